@@ -7,6 +7,9 @@ $static_root = __DIR__ . "/..";
 $include_dir = "{$static_root}/include";
 $include_templates_dir = "{$static_root}/template/include";
 $icon_dir = "{$static_root}/img/icon";
+$js_dir = "{$static_root}/js";
+$css_dir = "{$static_root}/css";
+$font_dir = "{$static_root}/font";
 
 $patterns = [
 	"{$include_templates_dir}/*.tmpl",
@@ -14,10 +17,29 @@ $patterns = [
 	"{$icon_dir}/icons.svg"
 ];
 
+## Additional assets, versioned for the service worker only (not inlined).
+$service_worker_patterns = [
+	"{$js_dir}/*.js",
+	"{$js_dir}/patterns/*.wasm",
+	"{$css_dir}/*.css",
+	"{$font_dir}/*/*.ttf",
+	"{$font_dir}/*/*.otf",
+	"{$font_dir}/*/*.woff2"
+];
+
 $paths = [ ];
 foreach ($patterns as $pattern)
 	$paths = array_merge($paths, glob($pattern));
 
+$service_worker_paths = $paths;
+foreach ($service_worker_patterns as $pattern)
+	$service_worker_paths = array_merge($service_worker_paths, glob($pattern));
+
+## The service worker itself is not precached.
+$service_worker_paths = array_values(array_filter($service_worker_paths, function ($path) {
+	return (basename($path) != "service-worker.js");
+}));
+
 $output = "<script>\n"
 		. "GW.assetVersions = {\n";
 
@@ -36,4 +58,11 @@ $output .= "</script>\n";
 
 file_put_contents("{$include_dir}/inlined-asset-versions.html", $output);
 
+## Full version map, for the service worker (see /static/js/service-worker.js).
+$version_map = [ ];
+foreach ($service_worker_paths as $path)
+	$version_map['/static' . substr($path, strlen($static_root))] = (string) filemtime($path);
+
+file_put_contents("{$include_dir}/asset-versions.json", json_encode($version_map, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+
 ?>
@@ -25,6 +25,7 @@ echo "Building <head> includes...\n";
 $includes = [
 	[ 'light-mode-GENERATED.css', 'id="inlined-styles-colors"' ],
 	[ 'dark-mode-GENERATED.css', 'id="inlined-dark-mode-styles" media="all and (prefers-color-scheme: dark)"' ],
+	[ 'themes.css', 'id="inlined-theme-styles"' ],
 	[ 'initial.css', 'id="inlined-styles"' ],
 	[ 'inline.js' ],
 	[ 'dark-mode-inline.js' ],
@@ -29,6 +29,7 @@ $head_includes = [
 	"{$static_dir}/css/include/light-mode-GENERATED.css",
 	"{$static_dir}/css/include/dark-mode-GENERATED.css",
 	"{$static_dir}/css/include/initial.css",
+	"{$static_dir}/css/include/themes.css",
 	"{$static_dir}/js/dark-mode-inline.js",
 	"{$static_dir}/js/inline.js",
 	"{$static_dir}/js/reader-mode-inline.js",
@@ -79,11 +80,14 @@ $versioned_files = [
 	"{$static_dir}/js/extracts-annotations.js",
 	"{$static_dir}/js/extracts-content.js",
 	"{$static_dir}/js/extracts-options.js",
+	"{$static_dir}/js/extracts-session.js",
 	"{$static_dir}/js/image-focus.js",
 	"{$static_dir}/js/misc.js",
+	"{$static_dir}/js/persistent-cache.js",
 	"{$static_dir}/js/popins.js",
 	"{$static_dir}/js/popups.js",
 	"{$static_dir}/js/reader-mode.js",
+	"{$static_dir}/js/reading-list.js",
 	"{$static_dir}/js/rewrite.js",
 	"{$static_dir}/js/sidenotes.js",
 	"{$static_dir}/js/tablesorter.js",
@@ -131,6 +135,13 @@ $versioned_assets = [
 ];
 $versioned_asset_patterns = [
 	"{$static_dir}/template/include/*.tmpl",
+	"{$static_dir}/js/patterns/*.wasm",
+	## For the service worker’s version map (see build_asset_versions.php).
+	"{$static_dir}/js/*.js",
+	"{$static_dir}/css/*.css",
+	"{$static_dir}/font/*/*.ttf",
+	"{$static_dir}/font/*/*.otf",
+	"{$static_dir}/font/*/*.woff2"
 ];
 foreach ($versioned_asset_patterns as $pattern)
 	$versioned_assets = array_merge($versioned_assets, glob($pattern));
@@ -78,7 +78,49 @@ Annotations = { ...Annotations,
 
 	//	Called by: Annotations.load
 	cacheAPIResponseForLink: (response, link) => {
-		Annotations.cachedAPIResponses[Annotations.responseCacheKeyForLink(link)] = response;
+		let cacheKey = Annotations.responseCacheKeyForLink(link);
+		Annotations.cachedAPIResponses[cacheKey] = response;
+
+		/*	Failures are not cached permanently; after a short time, loading
+			may be attempted again.
+		 */
+		if (response == "LOADING_FAILED") {
+			setTimeout(() => {
+				if (Annotations.cachedAPIResponses[cacheKey] == "LOADING_FAILED")
+					delete Annotations.cachedAPIResponses[cacheKey];
+			}, PersistentCache.loadingFailedTTL);
+		}
+	},
+
+	/****************************************/
+	/*	Caching (API responses, persistent).
+	 */
+
+	/*	Raw API responses are stored in the persistent cache (keyed by source
+		URL), so that annotations need not be re-requested on each page load.
+	 */
+	persistentCacheKeyForLink: (link) => {
+		return `Annotations:${(Annotations.sourceURLForLink(link).href)}`;
+	},
+
+	//	Called by: Annotations.load
+	loadPersistedAPIResponseForLink: (link, callback) => {
+		PersistentCache.get(Annotations.persistentCacheKeyForLink(link), callback);
+	},
+
+	//	Called by: Annotations.load
+	persistAPIResponseForLink: (response, link, etag = null) => {
+		PersistentCache.set(Annotations.persistentCacheKeyForLink(link), response, {
+			url: Annotations.sourceURLForLink(link),
+			etag: etag
+		});
+	},
+
+	//	Called by: Annotations.load
+	persistLoadFailureForLink: (link) => {
+		PersistentCache.setLoadingFailed(Annotations.persistentCacheKeyForLink(link), {
+			url: Annotations.sourceURLForLink(link)
+		});
 	},
 
 	/****************************/
@@ -98,7 +140,16 @@ Annotations = { ...Annotations,
 	},
 
 	cacheReferenceDataForlink: (referenceData, link) => {
-		Annotations.cachedReferenceData[Annotations.referenceDataCacheKeyForLink(link)] = referenceData;
+		let cacheKey = Annotations.referenceDataCacheKeyForLink(link);
+		Annotations.cachedReferenceData[cacheKey] = referenceData;
+
+		//	As with API responses, failures expire.
+		if (referenceData == "LOADING_FAILED") {
+			setTimeout(() => {
+				if (Annotations.cachedReferenceData[cacheKey] == "LOADING_FAILED")
+					delete Annotations.cachedReferenceData[cacheKey];
+			}, PersistentCache.loadingFailedTTL);
+		}
 	},
 
     /*  Returns cached annotation reference data for a given link, or else 
@@ -161,7 +212,11 @@ Annotations = { ...Annotations,
 		return Annotations.dataSourceForLink(link).sourceURLForLink(link);
 	},
 
+	/*	Returns a function that cancels the wait (removing the handlers), if
+		the annotation is not already loaded (or failed to load).
+	 */
 	//	Called by: extracts.annotationForTarget (extracts-annotations.js)
+	//	Called by: Transclude.transclude (transclude.js)
 	waitForDataLoad: (link, loadHandler = null, loadFailHandler = null) => {
 		if (Annotations.cachedAPIResponseForLink(link) == "LOADING_FAILED") {
             if (loadFailHandler)
@@ -199,12 +254,20 @@ Annotations = { ...Annotations,
 
         GW.notificationCenter.addHandlerForEvent("Annotations.annotationDidLoad", didLoadHandler, options);
         GW.notificationCenter.addHandlerForEvent("Annotations.annotationLoadDidFail", loadDidFailHandler, options);
+
+		return (() => {
+			GW.notificationCenter.removeHandlerForEvent("Annotations.annotationDidLoad", didLoadHandler);
+			GW.notificationCenter.removeHandlerForEvent("Annotations.annotationLoadDidFail", loadDidFailHandler);
+		});
 	},
 
-    /*  Load and process the annotation for the given link.
+    /*  Load and process the annotation for the given link. The optional
+    	`requestOptions` (`priority`, `signal`, `onAbort`) are passed to
+    	doAjax() (see utility.js). If the request is cancelled, nothing is
+    	cached (and no events are fired); `onAbort` is called instead.
         */
     //	Called by: Extracts.setUpAnnotationLoadEventsWithin (extracts-annotations.js)
-    load: (link, loadHandler = null, loadFailHandler = null) => {
+    load: (link, loadHandler = null, loadFailHandler = null, requestOptions = null) => {
         GWLog("Annotations.load", "annotations.js", 2);
 
 		/*	Get URL of the annotation resource.
@@ -227,6 +290,9 @@ Annotations = { ...Annotations,
 			} else {
 				Annotations.cacheReferenceDataForlink("LOADING_FAILED", link);
 
+				//	Do not keep unprocessable responses.
+				PersistentCache.remove(Annotations.persistentCacheKeyForLink(link));
+
 				GW.notificationCenter.fireEvent("Annotations.annotationLoadDidFail", { 
 					link: link 
 				});
@@ -236,31 +302,58 @@ Annotations = { ...Annotations,
 			}
 		};
 
+		let processFailure = (reason) => {
+			Annotations.cacheAPIResponseForLink("LOADING_FAILED", link);
+			Annotations.cacheReferenceDataForlink("LOADING_FAILED", link);
+
+			GW.notificationCenter.fireEvent("Annotations.annotationLoadDidFail", { link: link });
+
+			//	Send request to record failure in server logs.
+			if (reason)
+				GWServerLogError(sourceURL.href, reason);
+		};
+
 		/*	Retrieve, parse, and cache the annotation resource; or use an
-			already-cached API response.
+			already-cached API response (checking the in-memory cache first,
+			then the persistent cache).
 		 */
 		let response = Annotations.cachedAPIResponseForLink(link);
 		if (response) {
 			processResponse(response);
 		} else {
-			doAjax({
-				location: sourceURL.href,
-				onSuccess: (event) => {
-					let response = Annotations.processedAPIResponseForLink(event.target.responseText, link);
+			Annotations.loadPersistedAPIResponseForLink(link, (entry) => {
+				if (entry) {
+					if (entry.failed) {
+						processFailure();
+					} else {
+						let response = Annotations.processedAPIResponseForLink(entry.data, link);
 
-					Annotations.cacheAPIResponseForLink(response, link);
+						Annotations.cacheAPIResponseForLink(response, link);
 
-					processResponse(response);
-				},
-				onFailure: (event) => {
-					Annotations.cacheAPIResponseForLink("LOADING_FAILED", link);
-					Annotations.cacheReferenceDataForlink("LOADING_FAILED", link);
+						processResponse(response);
+					}
 
-					GW.notificationCenter.fireEvent("Annotations.annotationLoadDidFail", { link: link });
-
-					//	Send request to record failure in server logs.
-					GWServerLogError(sourceURL.href, "missing annotation");
+					return;
 				}
+
+				doAjax({
+					...requestOptions,
+					location: sourceURL.href,
+					onSuccess: (event) => {
+						let response = Annotations.processedAPIResponseForLink(event.target.responseText, link);
+
+						Annotations.cacheAPIResponseForLink(response, link);
+
+						Annotations.persistAPIResponseForLink(event.target.responseText, link, event.target.getResponseHeader("ETag"));
+
+						processResponse(response);
+					},
+					onFailure: (event) => {
+						Annotations.persistLoadFailureForLink(link);
+
+						processFailure("missing annotation");
+					}
+				});
 			});
 		}
 
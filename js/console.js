@@ -105,7 +105,7 @@ GW.console = {
         if (GW.console.isVisible() == false)
             return;
 
-        let allowedKeys = [ "Enter", "ArrowUp", "ArrowDown" ];
+        let allowedKeys = [ "Enter", "Tab", "ArrowUp", "ArrowDown" ];
         if (allowedKeys.includes(event.key) == false)
             return;
 
@@ -117,6 +117,11 @@ GW.console = {
                 GW.console.commandLineCommandReceived();
                 break;
 
+            case "Tab":
+                event.preventDefault();
+                GW.console.completeCommandLine();
+                break;
+
             case "ArrowUp":
                 event.preventDefault();
                 if (GW.console.commandLog_pointer == GW.console.commandLog.length)
@@ -199,17 +204,161 @@ GW.console = {
     },
 
     execLine: (line) => {
-        let command = line;
-        switch (command.toLowerCase()) {
-            case "clear":
-                GW.console.clearOutput();
-                break;
-            default:
-                GW.console.print(`gwrnsh: ${line}: command not found.`);
-                break;
+        let [ commandName, ...words ] = GW.console.splitCommandLine(line);
+        if (commandName == null)
+            return;
+
+        let command = GW.console.commands[commandName.toLowerCase()];
+        if (command == null) {
+            GW.console.print(`gwrnsh: ${commandName}: command not found.`);
+            return;
+        }
+
+        try {
+            command.action(GW.console.parseArguments(words));
+        } catch (error) {
+            GW.console.print(error);
         }
     },
 
+    /*  Splits a command line into words. Words are separated by whitespace;
+        quotes (single or double) group words, and a backslash escapes the
+        character after it.
+     */
+    splitCommandLine: (line) => {
+        let words = [ ];
+        let word = null;
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            let char = line[i];
+            if (   char == "\\"
+                && i + 1 < line.length) {
+                word = (word ?? "") + line[++i];
+            } else if (quote != null) {
+                if (char == quote)
+                    quote = null;
+                else
+                    word += char;
+            } else if (   char == "\""
+                       || char == "'") {
+                quote = char;
+                word = (word ?? "");
+            } else if (/\s/.test(char)) {
+                if (word != null)
+                    words.push(word);
+                word = null;
+            } else {
+                word = (word ?? "") + char;
+            }
+        }
+        if (word != null)
+            words.push(word);
+
+        return words;
+    },
+
+    /*  Sorts the given words into positional arguments and options.
+        `--name=value` is an option with a string value; `--name` is an option
+        with the value `true`.
+     */
+    parseArguments: (words) => {
+        let args = [ ];
+        let options = { };
+        words.forEach(word => {
+            let option = /^--([^=]+)(?:=(.*))?$/.exec(word);
+            if (option)
+                options[option[1]] = (option[2] ?? true);
+            else
+                args.push(word);
+        });
+
+        return { args: args, options: options };
+    },
+
+    //  Escapes characters that would otherwise split or quote a word.
+    escapeWord: (word) => {
+        return word.replace(/([\s"'\\])/g, "\\$1");
+    },
+
+    /*  Completes the word before the cursor (a command name, or an argument
+        of the command, as provided by the command’s ‘completions’ function).
+        If there are several possible completions, the word is extended as far
+        as they agree, and (if it can’t be extended) they are listed.
+     */
+    completeCommandLine: () => {
+        let input = GW.console.view.input;
+        let lineBeforeCursor = input.value.slice(0, input.selectionStart);
+
+        let words = GW.console.splitCommandLine(lineBeforeCursor);
+        if (   words.length == 0
+            || /\s$/.test(lineBeforeCursor))
+            words.push("");
+
+        let partialWord = words.last;
+        let candidates;
+        if (words.length == 1) {
+            candidates = Object.keys(GW.console.commands);
+        } else {
+            let command = GW.console.commands[words.first.toLowerCase()];
+            candidates = command?.completions?.(GW.console.parseArguments(words.slice(1, -1))) ?? [ ];
+        }
+        candidates = candidates.filter(candidate => candidate.startsWith(partialWord)).sort();
+        if (candidates.length == 0)
+            return;
+
+        let completion = candidates.reduce((prefix, candidate) => {
+            while (candidate.startsWith(prefix) == false)
+                prefix = prefix.slice(0, -1);
+            return prefix;
+        });
+        if (   completion.length > partialWord.length
+            || candidates.length == 1) {
+            let completedLine = lineBeforeCursor.replace(/(?:\\.|[^\s\\])*$/, () => GW.console.escapeWord(completion))
+                              + (candidates.length == 1 ? " " : "");
+            input.value = completedLine + input.value.slice(input.selectionStart);
+            GW.console.setInputCursorPosition(completedLine.length);
+        } else {
+            GW.console.print("> " + input.value, false);
+            GW.console.print(candidates.join("  "));
+        }
+    },
+
+    /*********************/
+    /*  Command registry.
+     */
+
+    /*  Registered commands, keyed by name. Each command is an object with the
+        following properties:
+
+        - ‘usage’ (string; optional)
+            Synopsis of the command’s arguments, e.g. `[<level>] [--permanent]`.
+
+        - ‘description’ (string)
+            One-line description of the command (shown by `help`).
+
+        - ‘completions’ (function; optional)
+            Called with the arguments entered so far (parsed, as for ‘action’);
+            returns an array of possible values of the next argument (for tab
+            completion).
+
+        - ‘action’ (function)
+            Called with an object containing the positional arguments (‘args’,
+            an array of strings) and the options (‘options’, a dictionary; see
+            GW.console.parseArguments).
+
+        Other modules may add commands with GW.console.registerCommand (which
+        may be called before this file loads).
+     */
+    commands: { },
+
+    registerCommand: (name, command) => {
+        GW.console.commands[name] = command;
+    },
+
+    printUsage: (commandName) => {
+        GW.console.print(`usage: ${commandName} ${(GW.console.commands[commandName].usage ?? "")}`.trim());
+    },
+
     jsExecLine: (line) => {
         $(line);
     }
@@ -223,6 +372,402 @@ if (GW.consoleTempBuffer > "") {
     GW.consoleTempBuffer = null;
 }
 
+/*********************/
+/*  Built-in commands.
+ */
+
+GW.console.registerCommand("help", {
+    usage: "[<command>]",
+    description: "List commands, or show usage of the given command.",
+    completions: (parsed) => {
+        return (parsed.args.length == 0
+                ? Object.keys(GW.console.commands)
+                : [ ]);
+    },
+    action: ({ args }) => {
+        if (args.length > 0) {
+            if (GW.console.commands[args.first] == null) {
+                GW.console.print(`help: ${args.first}: command not found.`);
+                return;
+            }
+
+            GW.console.printUsage(args.first);
+            GW.console.print(GW.console.commands[args.first].description);
+            return;
+        }
+
+        Object.keys(GW.console.commands).sort().forEach(name => {
+            GW.console.print(name.padEnd(20, " ") + (GW.console.commands[name].description ?? ""), false);
+        });
+        GW.console.print("(Enclose a line in backticks to evaluate it as JavaScript.)");
+    }
+});
+
+GW.console.registerCommand("clear", {
+    description: "Clear console output.",
+    action: () => {
+        GW.console.clearOutput();
+    }
+});
+
+GW.console.registerCommand("log-level", {
+    usage: "[<level>] [--permanent]",
+    description: "Show the log level, or set it (for this page load, or permanently).",
+    completions: (parsed) => {
+        return (parsed.args.length == 0
+                ? [ "0", "1", "2", "3", "--permanent" ]
+                : [ "--permanent" ]);
+    },
+    action: ({ args, options }) => {
+        if (args.length == 0) {
+            GW.console.print(`Log level: ${GW.logLevel}`);
+            return;
+        }
+
+        let level = parseInt(args.first);
+        if (   isNaN(level)
+            || level < 0) {
+            GW.console.printUsage("log-level");
+            return;
+        }
+
+        GW.setLogLevel(level, options.permanent == true);
+        GW.console.print(`Log level set to ${level}` + (options.permanent == true ? " (permanently)." : "."));
+    }
+});
+
+GW.console.registerCommand("events", {
+    usage: "[<event-name>]",
+    description: "List events that have handlers, or list the handlers for the given event.",
+    completions: (parsed) => {
+        return (parsed.args.length == 0
+                ? Object.keys(GW.notificationCenter.eventHandlers).filter(eventName => (GW.notificationCenter.eventHandlers[eventName]?.length > 0))
+                : [ ]);
+    },
+    action: ({ args }) => {
+        let eventHandlers = GW.notificationCenter.eventHandlers;
+
+        if (args.length == 0) {
+            Object.keys(eventHandlers).sort().forEach(eventName => {
+                if (eventHandlers[eventName]?.length > 0)
+                    GW.console.print(`${eventName} (${eventHandlers[eventName].length})`, false);
+            });
+            GW.console.flushBuffer();
+            return;
+        }
+
+        let handlers = eventHandlers[args.first];
+        if (!(handlers?.length > 0)) {
+            GW.console.print(`events: ${args.first}: no handlers.`);
+            return;
+        }
+
+        handlers.forEach((handler, index) => {
+            let options = [
+                (handler.options.phase ? `phase: ${handler.options.phase}` : null),
+                (handler.options.once ? "once" : null),
+                (handler.options.condition ? "conditional" : null)
+            ].filter(option => option != null).join(", ");
+            GW.console.print(`${index}: ${(GW.notificationCenter.handlerDescription(handler.f))}` + (options > "" ? ` [${options}]` : ""), false);
+        });
+        GW.console.flushBuffer();
+    }
+});
+
+GW.console.registerCommand("event-trace", {
+    usage: "<on|off|show|slow|export|clear|threshold> [<event-name>|<ms>] [--permanent]",
+    description: "Enable or disable event tracing; show the trace (optionally, only for the given event) as a timeline, or only the slow handlers; export the trace as JSON; clear it; or show or set the slow handler threshold.",
+    completions: (parsed) => {
+        if (parsed.args.length == 0)
+            return [ "on", "off", "show", "slow", "export", "clear", "threshold" ];
+        else if (   parsed.args.length == 1
+                 && [ "on", "off" ].includes(parsed.args.first))
+            return [ "--permanent" ];
+        else if (   parsed.args.length == 1
+                 && parsed.args.first == "show")
+            return GW.notificationCenter.trace.map(record => record.eventName).unique();
+        else
+            return [ ];
+    },
+    formatDuration: (duration) => {
+        return (duration == null ? "" : `${(duration.toFixed(2))} ms`);
+    },
+    //  Prints a trace record (and everything nested in it) as timeline lines.
+    printRecord: (record, depth = 0) => {
+        let command = GW.console.commands["event-trace"];
+        let indent = "    ".repeat(depth);
+
+        GW.console.print(`${indent}${(record.time.toFixed(1).padStart(9, " "))}  ${record.eventName}`
+                       + (record.source ? `  (source: ${record.source})` : "")
+                       + `  ${(command.formatDuration(record.duration))}`
+                       + `  {${(record.infoKeys.join(", "))}}`, false);
+
+        record.events.forEach(nestedRecord => {
+            command.printRecord(nestedRecord, depth + 1);
+        });
+
+        record.handlers.forEach(handlerRecord => {
+            GW.console.print(`${indent}    - ${handlerRecord.handler}`
+                           + (handlerRecord.phase ? ` [phase: ${handlerRecord.phase}]` : "")
+                           + (handlerRecord.condition == null ? "" : ` [condition: ${handlerRecord.condition}]`)
+                           + (handlerRecord.duration == null ? "" : `  ${(command.formatDuration(handlerRecord.duration))}`)
+                           + (handlerRecord.slow ? "  SLOW" : ""), false);
+
+            handlerRecord.events.forEach(nestedRecord => {
+                command.printRecord(nestedRecord, depth + 2);
+            });
+        });
+    },
+    //  Returns [ trace record, handler record ] pairs for all slow handlers.
+    slowHandlers: (records = GW.notificationCenter.trace) => {
+        let command = GW.console.commands["event-trace"];
+        return records.flatMap(record => [
+            ...(command.slowHandlers(record.events)),
+            ...(record.handlers.flatMap(handlerRecord => [
+                ...(handlerRecord.slow ? [ [ record, handlerRecord ] ] : [ ]),
+                ...(command.slowHandlers(handlerRecord.events))
+            ]))
+        ]);
+    },
+    action: ({ args, options }) => {
+        let command = GW.console.commands["event-trace"];
+        let trace = GW.notificationCenter.trace;
+
+        switch (args.first) {
+        case "on":
+        case "off":
+            GW.notificationCenter.setTracingEnabled(args.first == "on", options.permanent == true);
+            GW.console.print(`Event tracing ${(args.first == "on" ? "enabled" : "disabled")}`
+                           + (options.permanent == true ? " (permanently)." : "."));
+            break;
+        case "show":
+            let records = (args.length > 1
+                           ? trace.filter(record => record.eventName == args[1])
+                           : trace);
+            if (records.length == 0) {
+                GW.console.print(GW.notificationCenter.tracingEnabled
+                                 ? "No events traced."
+                                 : "No events traced. (Tracing is disabled; use ‘event-trace on’ to enable it.)");
+                return;
+            }
+            records.forEach(record => {
+                command.printRecord(record);
+            });
+            GW.console.flushBuffer();
+            break;
+        case "slow":
+            let slowHandlers = command.slowHandlers();
+            if (slowHandlers.length == 0) {
+                GW.console.print(`No handlers slower than ${GW.notificationCenter.slowHandlerThreshold} ms traced.`);
+                return;
+            }
+            slowHandlers.forEach(([ record, handlerRecord ]) => {
+                GW.console.print(`${(record.time.toFixed(1).padStart(9, " "))}  ${record.eventName}  ${handlerRecord.handler}`
+                               + `  ${(command.formatDuration(handlerRecord.duration))}`, false);
+            });
+            GW.console.flushBuffer();
+            break;
+        case "export":
+            let json = GW.notificationCenter.traceJSON();
+            let link = newElement("A", {
+                href: URL.createObjectURL(new Blob([ json ], { type: "application/json" })),
+                download: "event-trace.json"
+            });
+            link.click();
+            setTimeout(() => { URL.revokeObjectURL(link.href); }, 1000);
+            GW.console.print(`Exported ${trace.length} trace records (${json.length} characters) as event-trace.json.`);
+            break;
+        case "clear":
+            GW.notificationCenter.clearTrace();
+            GW.console.print("Event trace cleared.");
+            break;
+        case "threshold":
+            if (args.length > 1) {
+                let threshold = parseFloat(args[1]);
+                if (   isNaN(threshold)
+                    || threshold < 0) {
+                    GW.console.printUsage("event-trace");
+                    return;
+                }
+                GW.notificationCenter.slowHandlerThreshold = threshold;
+            }
+            GW.console.print(`Slow handler threshold: ${GW.notificationCenter.slowHandlerThreshold} ms`);
+            break;
+        default:
+            GW.console.print(`Event tracing is ${(GW.notificationCenter.tracingEnabled ? "enabled" : "disabled")}`
+                           + ` (${trace.length} trace records).`);
+            GW.console.printUsage("event-trace");
+            break;
+        }
+    }
+});
+
+GW.console.registerCommand("cache", {
+    usage: "<content|annotations|references> [<key>]",
+    description: "List the keys in the given cache (with the type or state of each entry), or show the entry for the given key.",
+    caches: () => {
+        return {
+            "content":     Content.cachedContent,
+            "annotations": Annotations.cachedAPIResponses,
+            "references":  Annotations.cachedReferenceData
+        };
+    },
+    completions: (parsed) => {
+        let caches = GW.console.commands["cache"].caches();
+        if (parsed.args.length == 0)
+            return Object.keys(caches);
+        else if (parsed.args.length == 1)
+            return Object.keys(caches[parsed.args.first] ?? { });
+        else
+            return [ ];
+    },
+    action: ({ args }) => {
+        let cache = GW.console.commands["cache"].caches()[args.first];
+        if (cache == null) {
+            GW.console.printUsage("cache");
+            return;
+        }
+
+        let entryDescription = (entry) => {
+            if (typeof entry == "string")
+                return (entry == "LOADING_FAILED" ? entry : `string (${entry.length} characters)`);
+            if (entry instanceof DocumentFragment)
+                return `document fragment (${entry.childElementCount} elements)`;
+            if (entry instanceof Document)
+                return "document";
+            return (entry?.constructor?.name ?? typeof entry);
+        };
+
+        if (args.length == 1) {
+            Object.keys(cache).sort().forEach(key => {
+                GW.console.print(`${key}  [${(entryDescription(cache[key]))}]`, false);
+            });
+            GW.console.print(`(${(Object.keys(cache).length)} entries)`);
+            return;
+        }
+
+        let entry = cache[args[1]];
+        if (entry === undefined) {
+            GW.console.print(`cache: ${args[1]}: not in ${args.first} cache.`);
+            return;
+        }
+
+        if (   entry instanceof DocumentFragment
+            || entry instanceof Document) {
+            let container = newElement("DIV");
+            container.append(...(Array.from(entry.childNodes).map(node => node.cloneNode(true))));
+            GW.console.print(container.innerHTML);
+        } else {
+            GW.console.print(entry);
+        }
+    }
+});
+
+GW.console.registerCommand("popframes", {
+    description: "List spawned popups (or popins), with their spawning targets.",
+    action: () => {
+        let popFrames = Extracts.popFrameProvider?.allSpawnedPopFrames() ?? [ ];
+        if (popFrames.length == 0) {
+            GW.console.print("No pop-frames spawned.");
+            return;
+        }
+
+        popFrames.forEach((popFrame, index) => {
+            let type = (popFrame.classList.contains("popin") ? "popin" : "popup");
+            let target = popFrame.spawningTarget;
+            GW.console.print(`${index}: ${type}  ${(target.href ?? target.dataset.urlOriginal ?? target.textContent)}`
+                           + `  [${(Array.from(popFrame.classList).join(" "))}]`, false);
+        });
+        GW.console.flushBuffer();
+    }
+});
+
+GW.console.registerCommand("transclude", {
+    usage: "<selector>",
+    description: "Transclude now the include-links that match (or are within elements that match) the given selector.",
+    action: ({ args }) => {
+        if (args.length == 0) {
+            GW.console.printUsage("transclude");
+            return;
+        }
+
+        let selector = args.join(" ");
+        let elements;
+        try {
+            elements = Array.from(document.querySelectorAll(selector));
+        } catch (error) {
+            GW.console.print(`transclude: ${selector}: invalid selector.`);
+            return;
+        }
+
+        let includeLinks = [ ];
+        elements.forEach(element => {
+            if (   element instanceof HTMLAnchorElement
+                && Transclude.isIncludeLink(element))
+                includeLinks.push(element);
+            else
+                includeLinks.push(...(Transclude.allIncludeLinksInContainer(element)));
+        });
+        includeLinks = includeLinks.unique();
+
+        includeLinks.forEach(includeLink => {
+            Transclude.transclude(includeLink, true);
+        });
+
+        GW.console.print(`Transcluding ${includeLinks.length} include-link(s).`);
+    }
+});
+
+GW.console.registerCommand("reader-mode", {
+    usage: "[auto|on|off]",
+    description: "Set reader mode (or, with no argument, toggle it on or off).",
+    completions: (parsed) => {
+        return (parsed.args.length == 0
+                ? ReaderMode.modeOptions.map(modeOption => modeOption[0])
+                : [ ]);
+    },
+    action: ({ args }) => {
+        let mode = args.first ?? (ReaderMode.active ? "off" : "on");
+        if (ReaderMode.modeOptions.findIndex(modeOption => modeOption[0] == mode) == -1) {
+            GW.console.printUsage("reader-mode");
+            return;
+        }
+
+        ReaderMode.saveMode(mode);
+        ReaderMode.setMode(mode);
+
+        GW.console.print(`Reader mode: ${mode}.`);
+    }
+});
+
+GW.console.registerCommand("dark-mode", {
+    usage: "[auto|light|dark|<theme>]",
+    description: "Set dark mode or color theme (or, with no argument, toggle between light and dark).",
+    completions: (parsed) => {
+        return (parsed.args.length == 0
+                ? DarkMode.modeOptions.map(modeOption => modeOption[0])
+                : [ ]);
+    },
+    action: ({ args }) => {
+        let mode = args.first ?? (DarkMode.computedMode() == "dark" ? "light" : "dark");
+        if (DarkMode.modeOptions.findIndex(modeOption => modeOption[0] == mode) == -1) {
+            GW.console.printUsage("dark-mode");
+            return;
+        }
+
+        DarkMode.saveMode(mode);
+        DarkMode.setMode(mode);
+
+        GW.console.print(`Dark mode: ${mode}.`);
+    }
+});
+
+//  Add commands registered (by other modules) before this file loaded.
+GW.consoleTempCommands.forEach(([ name, command ]) => {
+    GW.console.registerCommand(name, command);
+});
+GW.consoleTempCommands = null;
+
 doWhenBodyExists(() => {
     //  Construct views.
     GW.console.view = addUIElement(`<div id="console" class="hidden">
@@ -234,7 +779,7 @@ doWhenBodyExists(() => {
                 <span></span>
             </div>
             <div class="console-command-line-entry-field">
-                <input name="console-command" title="JS REPL" type="text" autocomplete="off"></input>
+                <input name="console-command" title="Command line (type ‘help’ for commands; enclose JS in backticks)" type="text" autocomplete="off"></input>
             </div>
         </div>
     </div>`);
@@ -10,7 +10,18 @@ Content = {
 	},
 
 	cacheContentForLink: (content, link) => {
-		Content.cachedContent[Content.contentCacheKeyForLink(link)] = content;
+		let cacheKey = Content.contentCacheKeyForLink(link);
+		Content.cachedContent[cacheKey] = content;
+
+		/*	Failures are not cached permanently; after a short time, loading
+			may be attempted again.
+		 */
+		if (content == "LOADING_FAILED") {
+			setTimeout(() => {
+				if (Content.cachedContent[cacheKey] == "LOADING_FAILED")
+					delete Content.cachedContent[cacheKey];
+			}, PersistentCache.loadingFailedTTL);
+		}
 	},
 
 	cachedContentForLink: (link) => {
@@ -49,15 +60,65 @@ Content = {
 		}
 	},
 
+	/******************************/
+	/*	Content caching (persistent).
+	 */
+
+	/*	Raw responses are stored in the persistent cache (keyed by source URL),
+		so that content need not be re-requested on each page load.
+	 */
+	persistentCacheKeyForSourceURL: (sourceURL) => {
+		return `Content:${sourceURL.href}`;
+	},
+
+	//	Called by: Content.load
+	loadPersistedResponse: (sourceURL, callback) => {
+		PersistentCache.get(Content.persistentCacheKeyForSourceURL(sourceURL), callback);
+	},
+
+	//	Called by: Content.load
+	persistResponse: (response, sourceURL, etag = null) => {
+		PersistentCache.set(Content.persistentCacheKeyForSourceURL(sourceURL), response, {
+			url: sourceURL,
+			etag: etag
+		});
+	},
+
+	//	Called by: Content.load
+	persistLoadFailure: (sourceURL) => {
+		PersistentCache.setLoadingFailed(Content.persistentCacheKeyForSourceURL(sourceURL), {
+			url: sourceURL
+		});
+	},
+
 	/*******************/
 	/*	Content loading.
 	 */
 
 	sourceURLsForLink: (link) => {
-		return Content.contentTypeForLink(link).sourceURLsForLink(link);
+		let contentType = Content.contentTypeForLink(link);
+		if (contentType == null)
+			return null;
+
+		return (contentType.sourceURLsForLink ?? Content.defaultSourceURLsForLink)(link);
 	},
 
+	/*	Used for content types which do not define their own
+		.sourceURLsForLink() function.
+	 */
+	defaultSourceURLsForLink: (link) => {
+		let url = new URL(link.href);
+		url.hash = "";
+		url.search = "";
+
+		return [ url ];
+	},
+
+	/*	Returns a function that cancels the wait (removing the handlers), if
+		the content is not already loaded (or failed to load).
+	 */
 	//	Called by: Extracts.handleIncompleteReferenceData (extracts.js)
+	//	Called by: Transclude.transclude (transclude.js)
 	waitForDataLoad: (link, loadHandler = null, loadFailHandler = null) => {
 		if (Content.cachedContentForLink(link) == "LOADING_FAILED") {
             if (loadFailHandler)
@@ -90,9 +151,19 @@ Content = {
 
         GW.notificationCenter.addHandlerForEvent("Content.contentDidLoad", didLoadHandler, options);
         GW.notificationCenter.addHandlerForEvent("Content.contentLoadDidFail", loadDidFailHandler, options);
+
+		return (() => {
+			GW.notificationCenter.removeHandlerForEvent("Content.contentDidLoad", didLoadHandler);
+			GW.notificationCenter.removeHandlerForEvent("Content.contentLoadDidFail", loadDidFailHandler);
+		});
 	},
 
-	load: (link, loadHandler = null, loadFailHandler = null, sourceURLsRemaining = null) => {
+	/*	The optional `requestOptions` (`priority`, `signal`, `onAbort`) are
+		passed to doAjax() (see utility.js). If the request is cancelled,
+		nothing is cached (and no events are fired), so loading may be
+		attempted again; `onAbort` is called instead.
+	 */
+	load: (link, loadHandler = null, loadFailHandler = null, requestOptions = null, sourceURLsRemaining = null) => {
         GWLog("Content.load", "content.js", 2);
 
 		sourceURLsRemaining = sourceURLsRemaining ?? Content.sourceURLsForLink(link);
@@ -110,6 +181,9 @@ Content = {
 			} else {
 				Content.cacheContentForLink("LOADING_FAILED", link);
 
+				//	Do not keep unprocessable responses.
+				PersistentCache.remove(Content.persistentCacheKeyForSourceURL(sourceURL));
+
 				GW.notificationCenter.fireEvent("Content.contentLoadDidFail", {
 					link: link
 				});
@@ -119,40 +193,62 @@ Content = {
 			}
 		};
 
+		let processFailure = (reason) => {
+			if (sourceURLsRemaining.length > 0) {
+				Content.load(link, null, null, requestOptions, sourceURLsRemaining);
+				return;
+			}
+
+			Content.cacheContentForLink("LOADING_FAILED", link);
+
+			GW.notificationCenter.fireEvent("Content.contentLoadDidFail", {
+				link: link
+			});
+
+			//	Send request to record failure in server logs.
+			if (reason)
+				GWServerLogError(sourceURL, reason);
+		};
+
 		if (sourceURL.pathname == location.pathname) {
 			processResponse();
 		} else {
-			doAjax({
-				location: sourceURL.href,
-				onSuccess: (event) => {
-					let contentType = Content.contentTypeForLink(link);
-					let httpContentTypeHeader = event.target.getResponseHeader("Content-Type");
-					if (   contentType.permittedContentTypes
-						&& (   httpContentTypeHeader == null
-							|| contentType.permittedContentTypes.includes(httpContentTypeHeader.match(/(.+?)(?:;|$)/)[1]) == false)) {
-						//	Send request to record failure in server logs.
-						GWServerLogError(includeLink.href + `--bad-content-type`, "bad content type");
-
-						return;
-                    }
-
-					processResponse(event.target.responseText);
-				},
-				onFailure: (event) => {
-					if (sourceURLsRemaining.length > 0) {
-						Content.load(link, null, null, sourceURLsRemaining);
-						return;
-					}
+			//	Check persistent cache first; request from server if need be.
+			Content.loadPersistedResponse(sourceURL, (entry) => {
+				if (entry) {
+					if (entry.failed)
+						processFailure();
+					else
+						processResponse(entry.data);
+
+					return;
+				}
 
-					Content.cacheContentForLink("LOADING_FAILED", link);
+				doAjax({
+					...requestOptions,
+					location: sourceURL.href,
+					onSuccess: (event) => {
+						let contentType = Content.contentTypeForLink(link);
+						let httpContentTypeHeader = event.target.getResponseHeader("Content-Type");
+						if (   contentType.permittedContentTypes
+							&& (   httpContentTypeHeader == null
+								|| contentType.permittedContentTypes.includes(httpContentTypeHeader.match(/(.+?)(?:;|$)/)[1]) == false)) {
+							//	Send request to record failure in server logs.
+							GWServerLogError(includeLink.href + `--bad-content-type`, "bad content type");
+
+							return;
+						}
 
-					GW.notificationCenter.fireEvent("Content.contentLoadDidFail", {
-						link: link
-					});
+						Content.persistResponse(event.target.responseText, sourceURL, event.target.getResponseHeader("ETag"));
 
-					//	Send request to record failure in server logs.
-					GWServerLogError(sourceURL, "missing content");
-				}
+						processResponse(event.target.responseText);
+					},
+					onFailure: (event) => {
+						Content.persistLoadFailure(sourceURL);
+
+						processFailure("missing content");
+					}
+				});
 			});
 		}
 
@@ -192,16 +288,91 @@ Content = {
 		.sourceURLsForLink(URL|Element) => [ URL ]
 		.contentFromResponse(string, URL|Element, URL) => object
 		.referenceDataFromContent(object, URL|Element) => object
+
+		(If .sourceURLsForLink is omitted, Content.defaultSourceURLsForLink is
+		 used instead.)
+
+		Optional members:
+
+		.permittedContentTypes => [ string ]
+			If present, responses whose Content-Type header is not one of the
+			listed MIME types are rejected.
+
+		Content types must be registered (see Content.registerContentType)
+		in order to be used. Content types defined in this file (in the
+		.contentTypes object, below) are registered at load time; other
+		content types (defined elsewhere) may be registered at any time.
 	 */
 
+	/*	Registered content types, sorted by descending priority. (Content
+		types with equal priority are ordered by time of registration.) Each
+		entry is a dictionary with the keys ‘name’, ‘contentType’, and
+		‘priority’.
+	 */
+	contentTypeRegistry: [ ],
+
+	/*	Register the given content type under the given name. When the content
+		type of a link is being determined, content types are tested in order
+		of descending priority (the first one whose .matches() function
+		returns true is used).
+
+		If a content type is already registered under the given name, it is
+		unregistered first (i.e., the new content type replaces the old one).
+
+		Returns the content type if registered, null otherwise (i.e., if the
+		content type is missing any necessary members).
+	 */
+	registerContentType: (typeName, contentType, priority = 0) => {
+		GWLog(`Content.registerContentType (${typeName}, priority ${priority})`, "content.js", 1);
+
+		let missingMembers = [ "matches", "contentFromResponse", "referenceDataFromContent" ].filter(member =>
+			typeof contentType[member] != "function"
+		);
+		if (missingMembers.length > 0) {
+			GWLog(`Content type “${typeName}” is missing necessary members: ${(missingMembers.join(", "))}`, "content.js", 0);
+			return null;
+		}
+
+		Content.unregisterContentType(typeName);
+
+		Content.contentTypes[typeName] = contentType;
+		Content.contentTypeRegistry.insertBefore({
+			name: typeName,
+			contentType: contentType,
+			priority: priority
+		}, (entry) => (entry.priority < priority));
+
+		return contentType;
+	},
+
+	/*	Unregister the content type registered under the given name (if any).
+		Returns the unregistered content type (or null, if none was found).
+	 */
+	unregisterContentType: (typeName) => {
+		let index = Content.contentTypeRegistry.findIndex(entry => entry.name == typeName);
+		if (index === -1)
+			return null;
+
+		let contentType = Content.contentTypeRegistry[index].contentType;
+		Content.contentTypeRegistry.splice(index, 1);
+		delete Content.contentTypes[typeName];
+
+		return contentType;
+	},
+
 	contentTypeForLink: (link) => {
-		for ([ typeName, contentType ] of Object.entries(Content.contentTypes))
-			if (contentType.matches(link))
-				return contentType;
+		for (entry of Content.contentTypeRegistry)
+			if (entry.contentType.matches(link))
+				return entry.contentType;
 
 		return null;
 	},
 
+	contentTypeNameForLink: (link) => {
+		let entry = Content.contentTypeRegistry.find(entry => entry.contentType.matches(link));
+		return (entry ? entry.name : null);
+	},
+
 	contentTypes: {
 		localTweetArchive: {
 			matches: (link) => {
@@ -636,3 +807,16 @@ Content = {
 		}
 	}
 };
+
+/******************************************************************************/
+/*	Register built-in content types. (Priorities are spaced out, so that other
+	content types may be registered to be tested before, after, or between the
+	built-in ones.)
+ */
+[	[ "localTweetArchive",  400 ],
+	[ "localCodeFile",      300 ],
+	[ "localFragment",      200 ],
+	[ "localPage",          100 ]
+ ].forEach(([ typeName, priority ]) => {
+	Content.registerContentType(typeName, Content.contentTypes[typeName], priority);
+});
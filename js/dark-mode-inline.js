@@ -10,15 +10,98 @@
 	‘force light’/‘force dark’ options. If users block JS, set the dark mode 
 	preference, and are unhappy when they get dark mode, well, they made their 
 	bed and must lie in it.)
+
+	The same goes for the other color themes (sepia, high-contrast, and the
+	user’s custom palette): each is applied here, before the page renders.
  */
 
 DarkMode = {
-	/*  Set specified color mode (auto, light, dark).
+	/*	Color themes other than the default light and dark modes. Each theme is
+		a set of color variables (see themes.css; and, for the ‘custom’ theme,
+		DarkMode.customPalette), applied on top of the color scheme of the
+		theme’s base mode (light or dark), which also determines, e.g., whether
+		images are inverted.
+
+		Keys are theme names; values are base modes. (The base mode of the
+		‘custom’ theme is set by the user; see DarkMode.customPalette.)
+	 */
+	themeBaseModes: {
+		"sepia":           "light",
+		"contrast-light":  "light",
+		"contrast-dark":   "dark",
+		"custom":          null
+	},
+
+	customPaletteLocalStorageKey: "dark-mode-custom-palette",
+
+	/*  Returns the saved custom palette (or an empty one), of the form:
+
+		{
+			baseMode: "light",          // or "dark"
+			colors: {
+				"--GW-body-background-color": "#f0f0e0",
+				…
+			}
+		}
+	 */
+	customPalette: () => {
+		let palette;
+		try {
+			palette = JSON.parse(localStorage.getItem(DarkMode.customPaletteLocalStorageKey));
+		} catch (error) {
+			palette = null;
+		}
+
+		return {
+			baseMode: (palette?.baseMode == "dark" ? "dark" : "light"),
+			colors: (palette?.colors ?? { })
+		};
+	},
+
+	/*	Returns the base mode (light or dark) of the given mode (auto, light,
+		dark, or a theme name). For ‘auto’, this is based on the system
+		setting.
+	 */
+	baseModeForMode: (mode, customPalette = DarkMode.customPalette()) => {
+		if (mode == "auto")
+			return (GW.mediaQueries.systemDarkModeActive.matches ? "dark" : "light");
+		else if (mode == "custom")
+			return customPalette.baseMode;
+		else if (DarkMode.themeBaseModes[mode])
+			return DarkMode.themeBaseModes[mode];
+		else
+			return (mode == "dark" ? "dark" : "light");
+	},
+
+	/*	Sets the color variables of the custom theme. (Only variable names and
+		hex color values are accepted, as the palette comes from local
+		storage.)
+	 */
+	setCustomThemeColors: (colors) => {
+		let customThemeStyles = document.querySelector("#custom-theme-styles");
+		if (customThemeStyles == null) {
+			customThemeStyles = document.createElement("style");
+			customThemeStyles.id = "custom-theme-styles";
+			document.head.appendChild(customThemeStyles);
+		}
+
+		customThemeStyles.textContent = `:root[data-theme="custom"] {\n`
+			+ Object.entries(colors).filter(([ variable, value ]) =>
+				(   /^--GW-[a-zA-Z0-9-]+$/.test(variable)
+				 && /^#[0-9a-fA-F]{3,8}$/.test(value))
+			).map(([ variable, value ]) => `\t${variable}: ${value};\n`).join("")
+			+ `}`;
+	},
+
+	/*  Set specified color mode (auto, light, dark, or a theme name).
+
+		(The custom palette may be specified, to preview a palette other
+		 than the saved one; see DarkMode.showPaletteEditor in dark-mode.js.)
 
 		Called by: this file (immediately upon load)
 		Called by: DarkMode.modeSelectButtonClicked (dark-mode.js)
 	 */
-	setMode: (selectedMode = DarkMode.currentMode()) => {
+	setMode: (selectedMode = DarkMode.currentMode(), customPalette = DarkMode.customPalette()) => {
 		GWLog("DarkMode.setMode", "dark-mode.js", 1);
 
 		//	The style block should be inlined (and already loaded).
@@ -26,35 +109,41 @@ DarkMode = {
 		if (darkModeStyles == null)
 			return;
 
-		//	Set `media` attribute of style block to match requested mode.
+		//	Set `media` attribute of style block to match requested (base) mode.
 		if (selectedMode == 'auto') {
 			darkModeStyles.media = "all and (prefers-color-scheme: dark)";
-		} else if (selectedMode == 'dark') {
+		} else if (DarkMode.baseModeForMode(selectedMode, customPalette) == 'dark') {
 			darkModeStyles.media = "all";
 		} else {
 			darkModeStyles.media = "not all";
 		}
 
+		/*	Set theme (if any). (Theme color variables are defined for the
+			`data-theme` attribute of the root element; see themes.css.)
+		 */
+		if (selectedMode == "custom")
+			DarkMode.setCustomThemeColors(customPalette.colors);
+		if (selectedMode in DarkMode.themeBaseModes)
+			document.documentElement.dataset.theme = selectedMode;
+		else
+			delete document.documentElement.dataset.theme;
+
 		//	Fire event.
 		GW.notificationCenter.fireEvent("DarkMode.didSetMode");
 	},
 
-    /*  Returns current (saved) mode (light, dark, or auto).
+    /*  Returns current (saved) mode (auto, light, dark, or a theme name).
      */
     currentMode: () => {
         return (localStorage.getItem("dark-mode-setting") || "auto");
     },
 
 	/*	Returns currently color mode (light or dark).
-		Based on saved selector mode, plus system setting (if selected mode is
-		‘auto’).
+		Based on saved selector mode (or, for themes, the theme’s base mode),
+		plus system setting (if selected mode is ‘auto’).
 	 */
 	computedMode: () => {
-		return ((   DarkMode.currentMode() == "dark" 
-				|| (   DarkMode.currentMode() == "auto" 
-					&& GW.mediaQueries.systemDarkModeActive.matches))
-				? "dark"
-				: "light");
+		return DarkMode.baseModeForMode(DarkMode.currentMode());
 	}
 };
 
@@ -39,11 +39,33 @@ DarkMode = { ...DarkMode,
 	modeOptions: [
 		[ "auto", "Auto", "Set light or dark mode automatically, according to system-wide setting (Win: Start → Personalization → Colors; Mac: Apple → System-Preferences → General → Appearance; iOS: Settings → Display-and-Brightness; Android: Settings → Display)", "adjust-solid" ],
 		[ "light", "Light", "Light mode at all times (black-on-white)", "sun-solid" ],
-		[ "dark", "Dark", "Dark mode at all times (inverted: white-on-black)", "moon-solid" ]
+		[ "dark", "Dark", "Dark mode at all times (inverted: white-on-black)", "moon-solid" ],
+		[ "sepia", "Sepia", "Sepia mode at all times (dark brown on cream)", "book-open-solid" ],
+		[ "contrast-light", "Light+", "High-contrast light mode at all times (black-on-white, with darker links and borders)", "sun-solid" ],
+		[ "contrast-dark", "Dark+", "High-contrast dark mode at all times (white-on-black, with brighter links and borders)", "moon-solid" ],
+		[ "custom", "Custom", "Custom color palette at all times (click to edit the palette)", "gear-solid" ]
 	],
 
 	selectedModeOptionNote: " [This option is currently selected.]",
 
+	/*	Color variables editable in the custom palette editor, with labels.
+		(Other color variables are those of the custom palette’s base mode.)
+	 */
+	customPaletteVariables: [
+		[ "--GW-body-background-color",                 "Background"                ],
+		[ "--GW-body-text-color",                       "Text"                      ],
+		[ "--GW-body-link-color",                       "Links"                     ],
+		[ "--GW-body-link-hover-color",                 "Links (hover)"             ],
+		[ "--GW-body-link-visited-color",               "Links (visited)"           ],
+		[ "--GW-text-selection-background-color",       "Selection background"      ],
+		[ "--GW-text-selection-color",                  "Selection text"            ],
+		[ "--GW-blockquote-background-color-level-one", "Blockquote background"     ],
+		[ "--GW-blockquote-border-color-level-one",     "Blockquote border"         ],
+		[ "--GW-TOC-background-color",                  "Table of contents background" ],
+		[ "--GW-TOC-border-color",                      "Table of contents border"  ],
+		[ "--GW-code-element-background-color",         "Code background"           ]
+	],
+
 	/******************/
 	/*	Infrastructure.
 	 */
@@ -51,6 +73,8 @@ DarkMode = { ...DarkMode,
 	modeSelector: null,
 	modeSelectorInteractable: true,
 
+	paletteEditor: null,
+
 	/*************/
 	/*	Functions.
 	 */
@@ -89,7 +113,7 @@ DarkMode = { ...DarkMode,
 		let modeSelectorInnerHTML = DarkMode.modeOptions.map(modeOption => {
 			let [ name, label, desc, icon ] = modeOption;
 			let selected = (name == currentMode ? " selected" : " selectable");
-			let disabled = (name == currentMode ? " disabled" : "");
+			let disabled = ((name == currentMode && name != "custom") ? " disabled" : "");
 			let active = ((   currentMode == "auto"
 						   && name == (GW.mediaQueries.systemDarkModeActive.matches ? "dark" : "light"))
 						  ? " active"
@@ -124,6 +148,14 @@ DarkMode = { ...DarkMode,
 		// Determine which setting was chosen (ie. which button was clicked).
 		let selectedMode = button.dataset.name;
 
+		/*	The custom palette is edited before it is applied. (The mode is
+			saved and set when the palette is saved.)
+		 */
+		if (selectedMode == "custom") {
+			DarkMode.showPaletteEditor();
+			return;
+		}
+
 		/*	We don’t want clicks to go through if the transition 
 			between modes has not completed yet, so we disable the 
 			button temporarily while we’re transitioning between 
@@ -191,10 +223,12 @@ DarkMode = { ...DarkMode,
 				button.title = button.title.slice(0, (-1 * DarkMode.selectedModeOptionNote.length));
 		});
 
-		//	Set the correct button to be selected.
+		/*	Set the correct button to be selected. (The custom palette button
+			remains enabled, so that the palette can be edited again.)
+		 */
 		modeSelector.querySelectorAll(`.select-mode-${currentMode}`).forEach(button => {
 			button.swapClasses([ "selectable", "selected" ], 1);
-			button.disabled = true;
+			button.disabled = (currentMode != "custom");
 			button.title += DarkMode.selectedModeOptionNote;
 		});
 
@@ -207,6 +241,147 @@ DarkMode = { ...DarkMode,
 							 : "light";
 			modeSelector.querySelector(`.select-mode-${activeMode}`).classList.add("active");
 		}
+	},
+
+	/***************************/
+	/*	Custom palette editor.
+	 */
+
+	/*	Returns the given CSS color value as a hex color (as required by color
+		inputs), or null if it is not a valid color (or is not opaque).
+	 */
+	hexColor: (value) => {
+		let element = document.body.appendChild(newElement("SPAN", { style: "display: none;" }));
+		element.style.color = value;
+		let rgb = getComputedStyle(element).color.match(/^rgb\((\d+), (\d+), (\d+)\)$/);
+		element.remove();
+
+		return (rgb
+				? "#" + rgb.slice(1).map(component => parseInt(component).toString(16).padStart(2, "0")).join("")
+				: null);
+	},
+
+	//	Returns the palette currently shown in the palette editor.
+	paletteInEditor: () => {
+		let palette = {
+			baseMode: DarkMode.paletteEditor.querySelector("input[name='custom-palette-base-mode']:checked").value,
+			colors: { }
+		};
+		DarkMode.paletteEditor.querySelectorAll("input[type='color']").forEach(input => {
+			if (input.dataset.edited == "true")
+				palette.colors[input.name] = input.value;
+		});
+		return palette;
+	},
+
+	/*	Shows the given palette in the palette editor. (Colors not specified by
+		the palette are those of the palette’s base mode.)
+	 */
+	updatePaletteEditor: (palette) => {
+		DarkMode.paletteEditor.querySelector(`input[name='custom-palette-base-mode'][value='${palette.baseMode}']`).checked = true;
+
+		//	Preview the palette, so that we can read the base mode’s colors.
+		DarkMode.setMode("custom", palette);
+
+		let rootStyle = getComputedStyle(document.documentElement);
+		DarkMode.paletteEditor.querySelectorAll("input[type='color']").forEach(input => {
+			input.value = (DarkMode.hexColor(rootStyle.getPropertyValue(input.name).trim()) ?? "#000000");
+			input.dataset.edited = (palette.colors[input.name] != null);
+		});
+	},
+
+	//	Called by: DarkMode.modeSelectButtonClicked
+	showPaletteEditor: () => {
+		GWLog("DarkMode.showPaletteEditor", "dark-mode.js", 1);
+
+		//	Create the palette editor, if needed.
+		if (DarkMode.paletteEditor == null) {
+			DarkMode.paletteEditor = addUIElement(`<div id="custom-palette-dialog" style="display: none;"><div>`
+				+ `<div class="custom-palette-dialog-title-bar">`
+					+ `<h1>Custom palette</h1>`
+				+ `</div>`
+				+ `<form class="controls">`
+					+ `<p class="base-mode">Based on: `
+						+ `<label><input type="radio" name="custom-palette-base-mode" value="light"> Light mode</label> `
+						+ `<label><input type="radio" name="custom-palette-base-mode" value="dark"> Dark mode</label>`
+					+ `</p>`
+					+ DarkMode.customPaletteVariables.map(([ variable, label ]) =>
+						  `<label class="color"><input type="color" name="${variable}"> <span class="label">${label}</span></label>`
+					  ).join("")
+				+ `</form>`
+				+ `<div class="controls-aux">`
+					+ `<button type="button" class="reset-button">Reset</button>`
+					+ `<button type="button" class="cancel-button">Cancel</button>`
+					+ `<button type="button" class="save-button default-button">Save</button>`
+				+ `</div>`
+			+ `</div></div>`);
+
+			//	Preview changes as they are made.
+			DarkMode.paletteEditor.querySelectorAll("input[type='color']").forEach(input => {
+				input.addEventListener("input", (event) => {
+					input.dataset.edited = true;
+					DarkMode.setMode("custom", DarkMode.paletteInEditor());
+				});
+			});
+			DarkMode.paletteEditor.querySelectorAll("input[type='radio']").forEach(input => {
+				input.addEventListener("change", (event) => {
+					DarkMode.updatePaletteEditor(DarkMode.paletteInEditor());
+				});
+			});
+
+			DarkMode.paletteEditor.querySelector("button.reset-button").addActivateEvent((event) => {
+				event.target.blur();
+
+				DarkMode.updatePaletteEditor({
+					baseMode: DarkMode.paletteInEditor().baseMode,
+					colors: { }
+				});
+			});
+			DarkMode.paletteEditor.querySelector("button.cancel-button").addActivateEvent((event) => {
+				event.target.blur();
+
+				DarkMode.hidePaletteEditor();
+			});
+			DarkMode.paletteEditor.querySelector("button.save-button").addActivateEvent((event) => {
+				event.target.blur();
+
+				DarkMode.saveCustomPalette(DarkMode.paletteInEditor());
+				DarkMode.saveMode("custom");
+				DarkMode.hidePaletteEditor();
+			});
+			document.addEventListener("keyup", DarkMode.paletteEditorKeyUp = (event) => {
+				if (   event.key != "Escape"
+					|| DarkMode.paletteEditor.style.display == "none")
+					return;
+
+				event.preventDefault();
+
+				DarkMode.hidePaletteEditor();
+			});
+		}
+
+		//	Show the saved palette.
+		DarkMode.updatePaletteEditor(DarkMode.customPalette());
+
+		//	Un-hide the palette editor.
+		DarkMode.paletteEditor.style.display = "";
+	},
+
+	/*	Hides the palette editor, and sets the saved mode (with the saved
+		palette, if the saved mode is ‘custom’).
+	 */
+	hidePaletteEditor: () => {
+		GWLog("DarkMode.hidePaletteEditor", "dark-mode.js", 1);
+
+		DarkMode.paletteEditor.style.display = "none";
+
+		DarkMode.setMode();
+	},
+
+	saveCustomPalette: (palette) => {
+		GWLog("DarkMode.saveCustomPalette", "dark-mode.js", 1);
+
+		localStorage.setItem(DarkMode.customPaletteLocalStorageKey, JSON.stringify(palette));
 	}
 };
 
@@ -245,7 +245,7 @@ Extracts = { ...Extracts,
                 annotatedTarget.removeAnnotationLoadEvents = onEventAfterDelayDo(annotatedTarget, "mouseenter", Extracts.annotationLoadHoverDelay, (event) => {
                     //  Do nothing if the annotation is already loaded.
                     if (Annotations.cachedDataExists(annotatedTarget) == false)
-                        Annotations.load(annotatedTarget);
+                        Annotations.load(annotatedTarget, null, null, Extracts.loadRequestOptionsForTarget(annotatedTarget));
                 }, "mouseleave");
             });
 
@@ -266,7 +266,7 @@ Extracts = { ...Extracts,
                 annotatedTarget.addEventListener("click", annotatedTarget.annotationLoad_click = (event) => {
                     //  Do nothing if the annotation is already loaded.
                     if (Annotations.cachedDataExists(annotatedTarget) == false)
-                        Annotations.load(annotatedTarget);
+                        Annotations.load(annotatedTarget, null, null, Extracts.loadRequestOptionsForTarget(annotatedTarget));
                 });
             });
 
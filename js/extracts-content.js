@@ -1554,7 +1554,7 @@ Extracts = { ...Extracts,
                 target.removeContentLoadEvents = onEventAfterDelayDo(target, "mouseenter", Extracts.contentLoadHoverDelay, (event) => {
                     //  Do nothing if the content is already loaded.
                     if (Content.cachedDataExists(target) == false)
-                        Content.load(target);
+                        Content.load(target, null, null, Extracts.loadRequestOptionsForTarget(target));
                 }, "mouseleave");
             });
 
@@ -1575,7 +1575,7 @@ Extracts = { ...Extracts,
                 target.addEventListener("click", target.contentLoad_click = (event) => {
                     //  Do nothing if the content is already loaded.
                     if (Content.cachedDataExists(target) == false)
-                        Content.load(target);
+                        Content.load(target, null, null, Extracts.loadRequestOptionsForTarget(target));
                 });
             });
 
@@ -16,6 +16,10 @@ Extracts = { ...Extracts,
 			Extracts.showOptionsDialog();
 		});
 
+		//	Popup tiling & named layouts submenu (see extracts-session.js).
+		if (Extracts.popFrameProvider == Popups)
+			button.enableSubmenu(Extracts.popupLayoutSubmenuButtons);
+
 		return button;
 	},
 
@@ -96,6 +100,10 @@ Extracts = { ...Extracts,
 							</span>
 						</label>
 					</form>` +
+					Extracts.popFrameModeOptionsHTML() +
+					(Extracts.popFrameProvider == Popups
+					 ? Extracts.popupKeyboardOptionsHTML()
+					 : ``) +
 				`</div>` +
 				`<div class="controls-aux">` + 
 					`<button type="button" class="cancel-button">Cancel</button>` + 
@@ -127,8 +135,22 @@ Extracts = { ...Extracts,
 
 				event.target.blur();
 
-				Extracts.saveOptions();
-				Extracts.fadeOptionsDialog();
+				if (Extracts.saveOptions())
+					Extracts.fadeOptionsDialog();
+			});
+			Extracts.optionsDialog.querySelector("button.default-keys-button")?.addActivateEvent(Extracts.optionsDialogDefaultKeysButtonClicked = (event) => {
+				GWLog("Extracts.optionsDialogDefaultKeysButtonClicked", "extracts.js", 2);
+
+				event.target.blur();
+
+				Extracts.updatePopupKeyboardOptions(Popups.defaultPopupSpawnKey, Popups.defaultPopupTilingControlKeys);
+			});
+			Extracts.optionsDialog.querySelector("button.clear-tiling-keys-button")?.addActivateEvent(Extracts.optionsDialogClearTilingKeysButtonClicked = (event) => {
+				GWLog("Extracts.optionsDialogClearTilingKeysButtonClicked", "extracts.js", 2);
+
+				event.target.blur();
+
+				Extracts.updatePopupKeyboardOptions(null, "");
 			});
 			document.addEventListener("keyup", Extracts.optionsDialogKeyUp = (event) => {
 				GWLog("Extracts.optionsDialogKeyUp", "extracts.js", 3);
@@ -142,7 +164,8 @@ Extracts = { ...Extracts,
 				switch (event.key) {
 				case "Enter":
 				case "Return":
-					Extracts.saveOptions();
+					if (Extracts.saveOptions() == false)
+						return;
 					break;
 				}
 
@@ -152,6 +175,13 @@ Extracts = { ...Extracts,
 			Extracts.optionsDialog.querySelector(Extracts.extractPopFramesEnabled() ? "input.extracts-enable" : "input.extracts-disable").checked = true;
 		}
 
+		//	Show current pop-frame mode.
+		Extracts.optionsDialog.querySelector(`input[name='extracts-pop-frame-mode'][value='${(Extracts.popFrameMode())}']`).checked = true;
+
+		//	Show current keyboard options.
+		if (Extracts.popFrameProvider == Popups)
+			Extracts.updatePopupKeyboardOptions(Popups.popupSpawnKey, Popups.popupTilingControlKeys);
+
 		//  Un-hide the options dialog.
 		Extracts.optionsDialog.style.display = "";
 	},
@@ -159,6 +189,12 @@ Extracts = { ...Extracts,
 	fadeOptionsDialog: () => {
 		GWLog("Extracts.fadeOptionsDialog", "extracts-options.js", 1);
 
+		//	The dialog may have been discarded (see Extracts.discardOptionsDialog).
+		if (Extracts.optionsDialog == null) {
+			Extracts.hideOptionsDialog();
+			return;
+		}
+
 		Extracts.optionsDialog.classList.toggle("fading", true);
 		setTimeout(Extracts.hideOptionsDialog, 150);
 	},
@@ -178,13 +214,135 @@ Extracts = { ...Extracts,
 		}
 	},
 
+	/*	Returns false (and saves nothing) if the options are invalid.
+	 */
 	saveOptions: () => {
 		GWLog("Extracts.saveOptions", "extracts-options.js", 1);
 
+		if (   Extracts.popFrameProvider == Popups
+			&& Extracts.savePopupKeyboardOptions() == false)
+			return false;
+
 		if (Extracts.optionsDialog.querySelector("input.extracts-enable").checked)
 			Extracts.enableExtractPopFrames();
 		else
 			Extracts.disableExtractPopFrames();
+
+		//	(This may switch the pop-frame provider; see extracts.js.)
+		let mode = Extracts.optionsDialog.querySelector("input[name='extracts-pop-frame-mode']:checked").value;
+		if (mode != Extracts.popFrameMode())
+			Extracts.setPopFrameMode(mode);
+
+		return true;
+	},
+
+	/*	Removes the options dialog (it is re-created, for the current pop-frame
+		provider, when next shown).
+	 */
+	//	Called by: ‘Extracts.popFrameProviderDidChange’ event handler
+	discardOptionsDialog: () => {
+		if (Extracts.optionsDialog == null)
+			return;
+
+		document.removeEventListener("keyup", Extracts.optionsDialogKeyUp);
+
+		Extracts.optionsDialog.remove();
+		Extracts.optionsDialog = null;
+	},
+
+	/*	Options for the pop-frame mode: automatic (popups or popins, depending
+		on the client), or always popups, or always popins (see extracts.js).
+	 */
+	//	Called by: Extracts.showOptionsDialog
+	popFrameModeOptionsHTML: () => {
+		let modeOptions = [
+			[ "auto",   "Automatic",     "Popups with a mouse or trackpad (if the window is wide enough); popins otherwise." ],
+			[ "popups", "Always popups", "Show popups when hovering over links, even on touch screens or in narrow windows." ],
+			[ "popins", "Always popins", "Show popins when clicking or tapping on links, even with a mouse or trackpad." ]
+		];
+
+		return (`<div class="pop-frame-mode-options">`
+			+ `<h2>Mode</h2>`
+			+ `<form class="option-buttons">`
+				+ modeOptions.map(([ mode, label, explanation ]) =>
+					  `<label>`
+					+ `<input class="extracts-pop-frame-mode" name="extracts-pop-frame-mode" value="${mode}" type="radio">`
+					+ `<span class="button-text">`
+						+ `<span class="label">${label}</span>`
+						+ `<span class="explanation">${explanation}</span>`
+					+ `</span>`
+					+ `</label>`
+				).join("")
+			+ `</form>`
+		+ `</div>`);
+	},
+
+	/*	Options for popup keyboard navigation: the popup spawn key, and the
+		popup tiling keys (see popups.js).
+	 */
+	//	Called by: Extracts.showOptionsDialog
+	popupKeyboardOptionsHTML: () => {
+		return (`<div class="keyboard-options">`
+			+ `<h2>Keyboard</h2>`
+			+ `<p class="explanation">Focus a link (with <kbd>Tab</kbd>) and press the popup key to open its popup. `
+				+ `In a popup, <kbd>↑</kbd>/<kbd>↓</kbd> move between links, <kbd>←</kbd> returns to the parent, `
+				+ `<kbd>→</kbd> enters an open nested popup, and <kbd>Esc</kbd> closes the popup.</p>`
+			+ `<label class="key-option"><span class="label">Open popup</span>`
+				+ `<input class="popup-spawn-key" type="text" maxlength="1" autocomplete="off" spellcheck="false"></label>`
+			+ `<p class="explanation">Keys for tiling the frontmost popup (leave all blank to disable):</p>`
+			+ `<div class="tiling-keys">`
+				+ Popups.popupTilingControlActions.map((action, index) =>
+					  `<label class="key-option"><span class="label">${action}</span>`
+					+ `<input class="popup-tiling-key" data-index="${index}" type="text" maxlength="1" autocomplete="off" spellcheck="false"></label>`
+				).join("")
+			+ `</div>`
+			+ `<div class="keyboard-options-buttons">`
+				+ `<button type="button" class="default-keys-button">Defaults</button>`
+				+ `<button type="button" class="clear-tiling-keys-button">Clear tiling keys</button>`
+			+ `</div>`
+		+ `</div>`);
+	},
+
+	//	Pass null as either argument to leave the corresponding field(s) alone.
+	updatePopupKeyboardOptions: (spawnKey, tilingKeys) => {
+		let options = Extracts.optionsDialog.querySelector(".keyboard-options");
+
+		if (spawnKey != null)
+			options.querySelector("input.popup-spawn-key").value = spawnKey;
+
+		if (tilingKeys != null)
+			options.querySelectorAll("input.popup-tiling-key").forEach(input => {
+				input.value = tilingKeys.substr(parseInt(input.dataset.index), 1);
+			});
+
+		options.classList.remove("invalid");
+	},
+
+	/*	The spawn key must be given; the tiling keys must be either all blank,
+		or all given and distinct (from each other, and from the spawn key).
+	 */
+	//	Called by: Extracts.saveOptions
+	savePopupKeyboardOptions: () => {
+		let options = Extracts.optionsDialog.querySelector(".keyboard-options");
+
+		let spawnKey = options.querySelector("input.popup-spawn-key").value;
+		let tilingKeys = Array.from(options.querySelectorAll("input.popup-tiling-key")).map(input => input.value);
+
+		let allKeys = [ spawnKey, ...tilingKeys ].filter(key => key != "");
+		let valid = (   spawnKey != ""
+					 && new Set(allKeys).size == allKeys.length
+					 && allKeys.findIndex(key => key.trim() == "") == -1
+					 && (   tilingKeys.join("") == ""
+						 || tilingKeys.includes("") == false));
+
+		options.classList.toggle("invalid", valid == false);
+		if (valid == false)
+			return false;
+
+		Popups.setPopupSpawnKey(spawnKey);
+		Popups.setPopupTilingControlKeys(tilingKeys.join(""));
+
+		return true;
 	},
 
 	injectShowOptionsDialogButton: () => {
@@ -216,6 +374,9 @@ Extracts = { ...Extracts,
 	updateShowOptionsDialogButton: () => {
 		GWLog("Extracts.updateShowOptionsDialogButton", "extracts-options.js", 2);
 
+		//	Update button label.
+		Extracts.showOptionsDialogButton.querySelector(".label").textContent = `${(Extracts.popFrameTypeText().capitalizeWords())}s…`;
+
 		//	Update button tooltip.
 		let stateText = Extracts.extractPopFramesEnabled() ? "enabled" : "disabled";
 		Extracts.showOptionsDialogButton.querySelector("button").title = `Show options for link ${(Extracts.popFrameTypeText())}s. `
@@ -230,3 +391,9 @@ Extracts = { ...Extracts,
 
 //  Inject “show options” icon/button into page toolbar.
 Extracts.injectShowOptionsDialogButton();
+
+//	Re-create options dialog for the new provider, when the provider changes.
+GW.notificationCenter.addHandlerForEvent("Extracts.popFrameProviderDidChange", (info) => {
+	Extracts.discardOptionsDialog();
+	Extracts.updateShowOptionsDialogButton();
+});
@@ -0,0 +1,274 @@
+/*=-----------------------------------------=*/
+/*= POPUP SESSION PERSISTENCE & NAMED LAYOUTS =*/
+/*=-----------------------------------------=*/
+
+/*	Non-ephemeral (pinned, zoomed, or collapsed) popups are saved when the page
+	is left (on reload, or when following a link), and restored (in the same
+	stacking order, with the same position, size, and scroll position) when
+	the page is loaded again, in the same browser tab.
+
+	Each popup is saved along with the identifier of its spawning target (see
+	Extracts.targetIdentifier), and the target’s HTML. When restoring, a
+	matching target in the page is used, if there is one; otherwise (e.g., if
+	the target was in another popup), the target is re-created from the saved
+	HTML, in a hidden container.
+
+	Named layouts work the same way, but are saved (in local storage, so they
+	are available on all pages) and recalled explicitly, from the popup title
+	bar options submenu. Recalling a layout replaces any popups currently
+	open with the popups in the layout.
+
+	(Popups only; popins are not persistent.)
+ */
+
+Extracts = { ...Extracts,
+	//	Session storage key prefix (the page pathname is appended).
+	popupSessionStorageKeyPrefix: "popup-session:",
+
+	//	Local storage key for named layouts.
+	popupLayoutsLocalStorageKey: "popup-layouts",
+
+	popupSessionTargetsContainer: null,
+
+	popupSessionStorageKey: () => {
+		return Extracts.popupSessionStorageKeyPrefix + location.pathname;
+	},
+
+	/*	Returns descriptions of all non-ephemeral popups, from back to front.
+		(Target link URLs are made absolute, so that targets can be re-created
+		 on other pages.)
+	 */
+	//	Called by: Extracts.savePopupSession
+	//	Called by: Extracts.savePopupLayout
+	savedPopupDescriptions: () => {
+		return Popups.allSpawnedPopups().filter(popup =>
+			Popups.popupIsEphemeral(popup) == false
+		).sort((a, b) =>
+			(parseInt(a.style.zIndex) - parseInt(b.style.zIndex))
+		).map(popup => {
+			let target = popup.spawningTarget.cloneNode(true);
+			if (target instanceof HTMLAnchorElement)
+				target.setAttribute("href", popup.spawningTarget.href);
+
+			return {
+				targetIdentifier:  Extracts.targetIdentifier(popup.spawningTarget),
+				targetHTML:        target.outerHTML,
+				state:             Popups.popupState(popup)
+			};
+		});
+	},
+
+	//	Called by: window ‘pagehide’ event handler
+	savePopupSession: () => {
+		GWLog("Extracts.savePopupSession", "extracts-session.js", 1);
+
+		if (Extracts.popFrameProvider != Popups)
+			return;
+
+		let savedPopups = Extracts.savedPopupDescriptions();
+
+		if (savedPopups.length == 0)
+			sessionStorage.removeItem(Extracts.popupSessionStorageKey());
+		else
+			sessionStorage.setItem(Extracts.popupSessionStorageKey(), JSON.stringify(savedPopups));
+	},
+
+	/*	Returns a popup-spawning target in the page with the given identifier
+		(or, failing that, one re-created from the given HTML).
+	 */
+	//	Called by: Extracts.restoreSavedPopups
+	targetForSavedPopup: (savedPopup) => {
+		let target = Array.from(document.querySelectorAll(".spawns-popup")).find(target =>
+			(   target.popup == null
+			 && Extracts.targetIdentifier(target) == savedPopup.targetIdentifier)
+		);
+		if (target)
+			return target;
+
+		if (Extracts.popupSessionTargetsContainer == null)
+			Extracts.popupSessionTargetsContainer = addUIElement(`<div id="popup-session-targets" style="display: none;"></div>`);
+
+		target = Extracts.popupSessionTargetsContainer.appendChild(elementFromHTML(savedPopup.targetHTML));
+		target.classList.remove("spawns-popup", "popup-open", "highlighted");
+		Extracts.addTargetsWithin(Extracts.popupSessionTargetsContainer);
+
+		return (target.classList.contains("spawns-popup")
+				? target
+				: null);
+	},
+
+	/*	Spawns popups from the given descriptions (as returned by
+		Extracts.savedPopupDescriptions).
+	 */
+	//	Called by: Extracts.restorePopupSession
+	//	Called by: Extracts.recallPopupLayout
+	restoreSavedPopups: (savedPopups) => {
+		savedPopups.forEach(savedPopup => {
+			let target = Extracts.targetForSavedPopup(savedPopup);
+			if (target == null)
+				return;
+
+			Popups.spawnPopup(target, {
+				x: savedPopup.state.rect.x,
+				y: savedPopup.state.rect.y
+			});
+
+			let popup = target.popup;
+			if (popup == null)
+				return;
+
+			Popups.restorePopupState(popup, savedPopup.state);
+
+			/*	The popup’s content may not have loaded yet; restore scroll
+				position once it has.
+			 */
+			let restoreScrollPosition = (info) => {
+				requestAnimationFrame(() => {
+					popup.scrollView.scrollTop = savedPopup.state.scrollTop;
+
+					if (   Popups.isSpawned(popup) == false
+						|| popup.scrollView.scrollTop >= savedPopup.state.scrollTop - 1)
+						GW.notificationCenter.removeHandlerForEvent("GW.contentDidInject", restoreScrollPosition);
+				});
+			};
+			GW.notificationCenter.addHandlerForEvent("GW.contentDidInject", restoreScrollPosition, {
+				condition: (info) => (info.document == popup.document)
+			});
+
+			//	Stop waiting if the popup goes away before its content loads.
+			popup.abortController.signal.addEventListener("abort", (event) => {
+				GW.notificationCenter.removeHandlerForEvent("GW.contentDidInject", restoreScrollPosition);
+			});
+		});
+	},
+
+	//	Called by: extracts-session.js (doWhenPageLoaded)
+	restorePopupSession: () => {
+		GWLog("Extracts.restorePopupSession", "extracts-session.js", 1);
+
+		if (   Extracts.popFrameProvider != Popups
+			|| Popups.popupContainer == null)
+			return;
+
+		let savedPopups;
+		try {
+			savedPopups = JSON.parse(sessionStorage.getItem(Extracts.popupSessionStorageKey()) ?? "[]");
+		} catch (error) {
+			savedPopups = [ ];
+		}
+
+		Extracts.restoreSavedPopups(savedPopups);
+	},
+
+	/*****************/
+	/*	Named layouts.
+	 */
+
+	//	Returns a dictionary of saved layouts, keyed by name.
+	savedPopupLayouts: () => {
+		try {
+			return (JSON.parse(localStorage.getItem(Extracts.popupLayoutsLocalStorageKey)) ?? { });
+		} catch (error) {
+			return { };
+		}
+	},
+
+	storePopupLayouts: (layouts) => {
+		if (Object.keys(layouts).length == 0)
+			localStorage.removeItem(Extracts.popupLayoutsLocalStorageKey);
+		else
+			localStorage.setItem(Extracts.popupLayoutsLocalStorageKey, JSON.stringify(layouts));
+	},
+
+	/*	Saves all non-ephemeral popups (i.e., pinned, zoomed, or collapsed
+		ones) as a layout with the given name (replacing any existing layout
+		with that name).
+	 */
+	//	Called by: Extracts.popupLayoutSubmenuButtons
+	savePopupLayout: (name) => {
+		GWLog("Extracts.savePopupLayout", "extracts-session.js", 1);
+
+		let savedPopups = Extracts.savedPopupDescriptions();
+		if (savedPopups.length == 0)
+			return;
+
+		let layouts = Extracts.savedPopupLayouts();
+		layouts[name] = savedPopups;
+		Extracts.storePopupLayouts(layouts);
+	},
+
+	//	Called by: Extracts.popupLayoutSubmenuButtons
+	recallPopupLayout: (name) => {
+		GWLog("Extracts.recallPopupLayout", "extracts-session.js", 1);
+
+		let savedPopups = Extracts.savedPopupLayouts()[name];
+		if (savedPopups == null)
+			return;
+
+		Popups.allSpawnedPopups().forEach(popup => {
+			Popups.despawnPopup(popup);
+		});
+
+		Extracts.restoreSavedPopups(savedPopups);
+	},
+
+	//	Called by: Extracts.popupLayoutSubmenuButtons
+	deletePopupLayout: (name) => {
+		GWLog("Extracts.deletePopupLayout", "extracts-session.js", 1);
+
+		let layouts = Extracts.savedPopupLayouts();
+		delete layouts[name];
+		Extracts.storePopupLayouts(layouts);
+	},
+
+	/*	Buttons for the popup title bar options submenu: one to save the
+		current layout, and one for each saved layout (click to recall; hold
+		Option/Alt and click to delete).
+	 */
+	//	Called by: Extracts.showExtractsOptionsDialogPopFrameTitleBarButton
+	popupLayoutSubmenuButtons: () => {
+		let submenuButton = (text, title, action) => {
+			let button = Popups.titleBarComponents.genericButton();
+			button.classList.add("submenu-button", "text-button", "popup-layout-button");
+
+			button.textContent = text;
+			button.title = title;
+
+			button.buttonAction = (event) => {
+				event.stopPropagation();
+
+				action(event);
+
+				//	Rebuild the submenu, to reflect the change.
+				let menuButton = button.parentElement?.previousElementSibling;
+				if (menuButton?.submenuButtons)
+					Popups.titleBarComponents.updateSubmenu(menuButton, menuButton.submenuButtons());
+			};
+
+			return button;
+		};
+
+		let buttons = [ submenuButton("Save layout…", "Save the pinned, zoomed, and collapsed popups as a named layout", (event) => {
+			let name = prompt("Layout name:")?.trim();
+			if (name)
+				Extracts.savePopupLayout(name);
+		}) ];
+
+		Object.keys(Extracts.savedPopupLayouts()).sort().forEach(name => {
+			buttons.push(submenuButton(name, `Recall layout “${name}” (hold Option/Alt to delete it)`, (event) => {
+				if (event.altKey == true)
+					Extracts.deletePopupLayout(name);
+				else
+					Extracts.recallPopupLayout(name);
+			}));
+		});
+
+		return buttons;
+	}
+};
+
+window.addEventListener("pagehide", Extracts.savePopupSession);
+
+doWhenPageLoaded(() => {
+	requestAnimationFrame(Extracts.restorePopupSession);
+});
@@ -168,11 +168,8 @@ Extracts = {
         GWLog("Extracts.setup", "extracts.js", 1);
 
 		//  Set pop-frame type (mode) - popups or popins.
-		let mobileMode = (   localStorage.getItem("extracts-force-popins") == "true"
-						  || GW.isMobile() 
-						  || matchMedia("(max-width: 1279px) and (max-height: 959px)").matches);
-		Extracts.popFrameProviderName = mobileMode ? "Popins" : "Popups";
-		GWLog(`${(mobileMode ? "Mobile" : "Non-mobile")} client detected. Activating ${(mobileMode ? "popins" : "popups")}.`, "extracts.js", 1);
+		Extracts.popFrameProviderName = Extracts.popFrameProviderNameForCurrentConditions();
+		GWLog(`Pop-frame mode is “${(Extracts.popFrameMode())}”. Activating ${(Extracts.popFrameProviderName.toLowerCase())}.`, "extracts.js", 1);
 
 		//  Prevent null references.
 		Popups = window["Popups"] || { };
@@ -239,6 +236,148 @@ Extracts = {
         GW.notificationCenter.fireEvent("Extracts.setupDidComplete");
     },
 
+    /*  Pop-frame mode. In “auto” mode (the default), popups are used if the
+    	client has a fine pointer capable of hover, and a viewport wide enough
+    	for popups (see Extracts.popupsMediaQuery); otherwise, popins are used.
+    	When this changes (e.g., the window is resized, or a mouse or trackpad
+    	is connected or disconnected), the pop-frame provider is switched. The
+    	mode can also be set (in the extracts options dialog) to always use
+    	popups, or always use popins.
+     */
+	popFrameModeLocalStorageItemKey: "extracts-pop-frame-mode",
+
+	popFrameModes: [ "auto", "popups", "popins" ],
+
+	popupsMediaQuery: matchMedia("only screen and (hover: hover) and (pointer: fine) and (min-width: 768px)"),
+
+	//	Called by: Extracts.setup
+	//	Called by: Extracts.popFrameProviderNameForCurrentConditions
+	//	Called by: extracts-options.js
+	popFrameMode: () => {
+		let mode = localStorage.getItem(Extracts.popFrameModeLocalStorageItemKey);
+		if (Extracts.popFrameModes.includes(mode))
+			return mode;
+
+		//	Legacy setting.
+		return (localStorage.getItem("extracts-force-popins") == "true"
+				? "popins"
+				: "auto");
+	},
+
+	//	Called by: extracts-options.js
+	setPopFrameMode: (mode) => {
+		GWLog("Extracts.setPopFrameMode", "extracts.js", 1);
+
+		localStorage.removeItem("extracts-force-popins");
+		if (mode == "auto")
+			localStorage.removeItem(Extracts.popFrameModeLocalStorageItemKey);
+		else
+			localStorage.setItem(Extracts.popFrameModeLocalStorageItemKey, mode);
+
+		Extracts.updatePopFrameProvider();
+	},
+
+	//	Called by: Extracts.setup
+	//	Called by: Extracts.updatePopFrameProvider
+	popFrameProviderNameForCurrentConditions: () => {
+		switch (Extracts.popFrameMode()) {
+		case "popups":
+			return "Popups";
+		case "popins":
+			return "Popins";
+		default:
+			return (Extracts.popupsMediaQuery.matches ? "Popups" : "Popins");
+		}
+	},
+
+	/*	Returns the spawning target (in the main document) of the bottom-most
+		pop-frame in the stack of the frontmost popup (or of the popin stack),
+		or null if there are no visible pop-frames.
+	 */
+	//	Called by: Extracts.updatePopFrameProvider
+	rootTargetOfSpawnedPopFrames: () => {
+		let popFrame = (Extracts.popFrameProvider == Popups
+						? Popups.frontmostPopup()
+						: Popins.allSpawnedPopins().last);
+		if (popFrame == null)
+			return null;
+
+		let parentPopFrame;
+		while (parentPopFrame = Extracts.popFrameProvider.containingPopFrame(popFrame.spawningTarget))
+			popFrame = parentPopFrame;
+
+		return (popFrame.spawningTarget.getClientRects().length > 0
+				? popFrame.spawningTarget
+				: null);
+	},
+
+	/*	Switches to the pop-frame provider appropriate for the current mode and
+		conditions (if it isn’t already active). Spawned pop-frames are removed,
+		and the pop-frame for the root target of the spawned pop-frames (see
+		Extracts.rootTargetOfSpawnedPopFrames) is re-opened with the new
+		provider (as a pinned popup, or as a popin).
+	 */
+	//	Called by: Extracts.setPopFrameMode
+	//	Called by: Extracts.updatePopFrameProviderForCurrentConditions media query responder
+	updatePopFrameProvider: () => {
+		let providerName = Extracts.popFrameProviderNameForCurrentConditions();
+		if (   Extracts.popFrameProvider == null
+			|| providerName == Extracts.popFrameProviderName)
+			return;
+
+		GWLog(`Switching pop-frame provider to ${providerName}.`, "extracts.js", 1);
+
+		let target = Extracts.rootTargetOfSpawnedPopFrames();
+
+		//	Remove spawned pop-frames, and targets.
+		if (Extracts.popFrameProvider == Popups) {
+			Popups.allSpawnedPopups().forEach(popup => {
+				Popups.despawnPopup(popup);
+			});
+		}
+		Extracts.cleanup();
+
+		//	Set up the new provider, and targets.
+		Extracts.setup();
+		if (Extracts.extractPopFramesEnabled()) {
+			Extracts.processTargetsInContainer(document.body);
+
+			//	Re-open pop-frame (once the provider is ready).
+			if (target) {
+				requestAnimationFrame(() => {
+					Extracts.reopenPopFrameForTarget(target);
+				});
+			}
+		}
+
+		GW.notificationCenter.fireEvent("Extracts.popFrameProviderDidChange", {
+			popFrameProviderName: Extracts.popFrameProviderName
+		});
+	},
+
+	//	Called by: Extracts.updatePopFrameProvider
+	reopenPopFrameForTarget: (target) => {
+		if (Extracts.popFrameProvider == Popups) {
+			if (target.preparePopup == null)
+				return;
+
+			let targetRect = target.getBoundingClientRect();
+			Popups.spawnPopup(target, {
+				x: targetRect.left + targetRect.width / 2,
+				y: targetRect.top + targetRect.height / 2
+			});
+
+			//	Pin the popup, so that it stays open.
+			if (target.popup?.titleBar)
+				Popups.pinPopup(target.popup);
+		} else {
+			if (target.preparePopin == null)
+				return;
+
+			Popins.injectPopinForTarget(target);
+		}
+	},
+
     //  Called by: Extracts.setup
     processTargetsInContainer: (container) => {
         GWLog("Extracts.processTargetsInContainer", "extracts.js", 2);
@@ -642,6 +781,8 @@ Extracts = {
 			"inlined-styles-colors", 
 			"inlined-styles", 
 			"inlined-dark-mode-styles", 
+			"inlined-theme-styles",
+			"custom-theme-styles",
 			"inlined-fonts", 
 			"mathjax-styles"
 		];
@@ -672,9 +813,101 @@ Extracts = {
 			condition: (info) => (info.document == popFrame.document) 
 		});
 
+		//	Cancel the target’s prefetch (if still pending) when the pop-frame goes away.
+		popFrame.abortController.signal.addEventListener("abort", (event) => {
+			target.prefetchAbortController?.abort();
+			target.prefetchAbortController = null;
+		});
+
+		//	Announce loading state changes to screen readers.
+		Extracts.observePopFrameLoadingState(popFrame);
+
         return popFrame;
     },
 
+    /*  Visually hidden live region, for announcing pop-frame loading states
+    	(see Extracts.observePopFrameLoadingState).
+     */
+    popFrameStatusAnnouncer: null,
+
+    //  Called by: Extracts.observePopFrameLoadingState
+    announcePopFrameStatus: (message) => {
+		if (Extracts.popFrameStatusAnnouncer == null)
+			Extracts.popFrameStatusAnnouncer = addUIElement(`<div id="popframe-status-announcer" role="status" aria-live="polite"></div>`);
+
+		Extracts.popFrameStatusAnnouncer.textContent = message;
+    },
+
+    /*  Marks the pop-frame as busy (aria-busy) while it is loading, and
+    	announces (via a live region) when loading starts, finishes, or fails.
+    	(Loading states are indicated by the ‘loading’ and ‘loading-failed’
+    	classes; see Extracts.setLoadingSpinner, among others.)
+     */
+    //  Called by: Extracts.preparePopFrame
+    observePopFrameLoadingState: (popFrame) => {
+		//	Takes a list of class names.
+		let loadingState = (classNames) => {
+			return (classNames.includes("loading-failed")
+					? "failed"
+					: (classNames.includes("loading")
+					   ? "loading"
+					   : "loaded"));
+		};
+
+		let popFrameName = () => {
+			let title = popFrame.getAttribute("aria-label") ?? "";
+			let titleElement = popFrame.querySelector(".popframe-title");
+			if (titleElement)
+				title = titleElement.textContent.trim();
+			return (`${(Extracts.popFrameTypeText())}` + (title > "" ? ` “${title}”` : ""));
+		};
+
+		let updateLoadingState = (previousState) => {
+			let state = loadingState(Array.from(popFrame.classList));
+			if (state == previousState)
+				return;
+
+			popFrame.setAttribute("aria-busy", (state == "loading" ? "true" : "false"));
+
+			if (state == "loading")
+				Extracts.announcePopFrameStatus(`Loading ${(popFrameName())}…`);
+			else if (state == "failed")
+				Extracts.announcePopFrameStatus(`Loading ${(popFrameName())} failed.`);
+			else if (previousState == "loading")
+				Extracts.announcePopFrameStatus(`Loaded ${(popFrameName())}.`);
+		};
+
+		updateLoadingState("loaded");
+
+		let observer = new MutationObserver((mutationsList, observer) => {
+			updateLoadingState(loadingState((mutationsList.first.oldValue ?? "").split(" ")));
+		});
+		observer.observe(popFrame, { attributes: true, attributeFilter: [ "class" ], attributeOldValue: true });
+
+		popFrame.abortController.signal.addEventListener("abort", (event) => {
+			observer.disconnect();
+		});
+    },
+
+    /*  Request options for loading the content (or annotation) for a target,
+    	before its pop-frame is shown. (Hovering over a target prefetches its
+    	content; clicking on a target, to show a popin, needs it at once.) A
+    	prefetch is cancelled if the target’s pop-frame is despawned before the
+    	load completes.
+     */
+    //  Called by: Extracts.setUpAnnotationLoadEventsWithin (extracts-annotations.js)
+    //  Called by: Extracts.setUpContentLoadEventsWithin (extracts-content.js)
+    loadRequestOptionsForTarget: (target) => {
+    	if (   target.prefetchAbortController == null
+    		|| target.prefetchAbortController.signal.aborted)
+    		target.prefetchAbortController = new AbortController();
+
+    	return {
+    		priority: (Extracts.popFrameProvider == Popups ? "prefetch" : "visible"),
+    		signal: target.prefetchAbortController.signal
+    	};
+    },
+
 	additionalRewrites: [ ],
 
     /**********/
@@ -742,6 +975,11 @@ Extracts = {
             ];
         }
 
+        //  “Save for offline” button, for links to pages.
+        if (   popinTitle
+            && ReadingList.canSaveLink(target))
+            popin.titleBarContents.splice(-1, 0, ReadingList.saveLinkPopFrameTitleBarButton());
+
         //  Special handling for certain popin types.
         let targetTypeName = Extracts.targetTypeInfo(target).typeName;
         let specialPrepareFunction = Extracts[`preparePopin_${targetTypeName}`] || Extracts[`preparePopFrame_${targetTypeName}`];
@@ -868,6 +1106,11 @@ Extracts = {
             ];
         }
 
+        //  “Save for offline” button, for links to pages.
+        if (   popupTitle
+            && ReadingList.canSaveLink(target))
+            popup.titleBarContents.splice(-1, 0, ReadingList.saveLinkPopFrameTitleBarButton());
+
         //  Special handling for certain popup types.
         let targetTypeName = Extracts.targetTypeInfo(target).typeName;
         let specialPrepareFunction = Extracts[`preparePopup_${targetTypeName}`] || Extracts[`preparePopFrame_${targetTypeName}`];
@@ -928,3 +1171,8 @@ Extracts.additionalRewrites.push(Extracts.lazyLoadImages = (popFrame) => {
 GW.notificationCenter.fireEvent("Extracts.didLoad");
 
 Extracts.setup();
+
+//	Switch pop-frame provider if conditions change (see Extracts.popFrameMode).
+doWhenMatchMedia(Extracts.popupsMediaQuery, "Extracts.updatePopFrameProviderForCurrentConditions", (mediaQuery) => {
+	Extracts.updatePopFrameProvider();
+});
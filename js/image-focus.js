@@ -9,23 +9,43 @@ ImageFocus = {
 	 ****************/
 
 	contentImagesSelector: [
-		".markdownBody figure img"
+		".markdownBody figure img",
+		".markdownBody figure video",
+		".markdownBody figure svg"
 	].join(", "),
 
 	excludedContainerElementsSelector: [
 		"a",
 		"button",
+		"figcaption",
 		"figure.image-focus-not"
 	].join(", "),
 
+	/*	Images in the main page, or in a pop-frame, may be included in that
+		page’s (or pop-frame’s) image gallery. (Images in transcluded content
+		form a separate gallery for each transclusion.)
+	 */
 	imageGalleryInclusionTest: (image) => {
-		return (   image.closest("#markdownBody") != null
+		return (   image.closest("#markdownBody, .popframe-body") != null
 				&& image.closest(".footnotes") == null
 				&& image.classList.contains("page-thumbnail") == false);
 	},
 
 	shrinkRatio: 0.975,
 
+	//	Double-clicking an image that fits in the viewport zooms in by this much.
+	doubleClickZoomFactor: 2.5,
+
+	/*	Clicking an image that fits in the viewport unfocuses it, after this
+		delay (in ms), unless the click turns out to be part of a double-click.
+	 */
+	clickToUnfocusDelay: 300,
+
+	/*	After zooming or panning, the URL hash is updated (to reflect the zoom
+		level and pan offset) after this delay (in ms).
+	 */
+	urlHashUpdateDelay: 250,
+
 	hideUITimerDuration: 1500,
 
 	dropShadowFilterForImages: " drop-shadow(10px 10px 10px #000) drop-shadow(0 0 10px #444)",
@@ -38,6 +58,7 @@ ImageFocus = {
 		".slideshow-button",
 		".help-overlay",
 		".image-number",
+		".filmstrip",
 		".caption"
 	].join(", "),
 
@@ -47,6 +68,16 @@ ImageFocus = {
 
 	hideUITimer: null,
 
+	clickToUnfocusTimer: null,
+
+	urlHashUpdateTimer: null,
+
+	pinchGesture: null,
+
+	filmstripImages: [ ],
+
+	transclusionGalleryCount: 0,
+
 	overlay: null,
 
 	mouseLastMovedAt: 0,
@@ -66,10 +97,12 @@ ImageFocus = {
 		ImageFocus.overlay = addUIElement(`<div id="image-focus-overlay">
 			<div class="help-overlay">
 				<p class="slideshow-help-text"><strong>Arrow keys:</strong> Next/previous image</p>
+				<p class="slideshow-help-text"><strong>Click</strong> a thumbnail to go to that image</p>
 				<p><strong>Escape</strong> or <strong>click</strong>: Hide zoomed image</p>
 				<p><strong>Space bar:</strong> Reset image size & position</p>
-				<p><strong>Scroll</strong> to zoom in/out</p>
-				<p>(When zoomed in, <strong>drag</strong> to pan;<br /><strong>double-click</strong> to reset size & position)</p>
+				<p><strong>Scroll</strong> or <strong>pinch</strong> to zoom in/out</p>
+				<p><strong>Double-click</strong> to zoom in on a point</p>
+				<p>(When zoomed in, <strong>drag</strong> or <strong>two-finger drag</strong> to pan;<br /><strong>double-click</strong> to reset size & position)</p>
 			</div>
 			<div class="image-number"></div>
 			<div class="slideshow-buttons">
@@ -80,6 +113,7 @@ ImageFocus = {
 					${(GW.svg("chevron-right-solid"))}
 				</button>
 			</div>
+			<div class="filmstrip"></div>
 			<div class="caption"></div>
 			<div class="loading-spinner">
 				${(GW.svg("circle-notch-light"))}
@@ -134,15 +168,24 @@ ImageFocus = {
         GW.notificationCenter.addHandlerForEvent("GW.contentDidInject", ImageFocus.processImagesOnContentInject = (info) => {
             GWLog("ImageFocus.processImagesOnContentInject", "image-focus.js", 2);
 
-            ImageFocus.processImagesWithin(info.container);
+			ImageFocus.processImagesWithin(info.container);
+
+			/*	Gallery images in transcluded content form a separate gallery
+				(unless they’ve already been assigned to one, by a transclusion
+				nested within this one).
+			 */
+			if (info.source == "transclude") {
+				let galleryID = "transclusion-" + (++ImageFocus.transclusionGalleryCount);
+				info.container.querySelectorAll(ImageFocus.galleryImagesSelector).forEach(image => {
+					if (image.dataset.imageFocusGallery == null)
+						image.dataset.imageFocusGallery = galleryID;
+				});
+			}
 
 			//	If this content is (or is being loaded into) the main page...
 			if (info.document == document) {
-				//  Count how many images there are in the page, and set the “… of X” label to that.
-				ImageFocus.overlay.querySelector(".image-number").dataset.numberOfImages = document.querySelectorAll(ImageFocus.galleryImagesSelector).length;
-
 				//  Accesskey-L starts the slideshow.
-				(document.querySelector(ImageFocus.galleryImagesSelector)||{}).accessKey = "l";
+				(ImageFocus.mainGalleryImages().first ?? { }).accessKey = "l";
 			}
 
 			//	Fire targets-processed event.
@@ -173,25 +216,157 @@ ImageFocus = {
 			if (image.closest(ImageFocus.excludedContainerElementsSelector))
 				return;
 
+			//	Only the outermost element of an inline SVG is focusable.
+			if (image.parentElement?.closest("svg"))
+				return;
+
 			image.classList.add("focusable");
 
 			if (ImageFocus.imageGalleryInclusionTest(image))
 				image.classList.add("gallery-image");
 		});
 
-		//  Add the listener to all focusable images.
+		/*	Add the listener to all focusable images. (Except videos, for
+			which clicks are used by the video controls.)
+		 */
 		container.querySelectorAll(ImageFocus.focusableImagesSelector).forEach(image => {
+			if (image.tagName == "VIDEO")
+				return;
+
 			image.addEventListener("click", ImageFocus.imageClickedToFocus);
 		});
 
 		//  Wrap all focusable images in a span.
 		container.querySelectorAll(ImageFocus.focusableImagesSelector).forEach(image => {
-			wrapElement(image, "image-wrapper focusable", "SPAN");
+			let wrapper = wrapElement(image, "image-wrapper focusable", "SPAN");
+
+			//	Videos get a button to focus them.
+			if (image.tagName == "VIDEO") {
+				wrapper.classList.add("focusable-video");
+
+				let button = wrapper.appendChild(newElement("BUTTON", {
+					type: "button",
+					class: "image-focus-button",
+					title: "Enlarge video"
+				}, {
+					innerHTML: GW.svg("arrows-maximize-solid")
+				}));
+				button.addActivateEvent((event) => {
+					GWLog("ImageFocus.imageFocusButtonClicked", "image-focus.js", 2);
+
+					ImageFocus.focusImage(image);
+					button.blur();
+				});
+			}
 		});
 	},
 
+	/*	Returns the image gallery (an array of gallery images, in document
+		order) that the given image belongs to. Each page and each pop-frame
+		has its own gallery, as does each transclusion.
+	 */
+	galleryImagesForImage: (image) => {
+		if (image.classList.contains("gallery-image") == false)
+			return [ ];
+
+		let root = image.getRootNode();
+		return Array.from((root.body ?? root).querySelectorAll(ImageFocus.galleryImagesSelector)).filter(otherImage =>
+			otherImage.dataset.imageFocusGallery == image.dataset.imageFocusGallery
+		);
+	},
+
+	/*	The main page’s own gallery (which can be navigated to by URL hash, and
+		started with accesskey L).
+	 */
+	mainGalleryImages: () => {
+		return Array.from(document.querySelectorAll(ImageFocus.galleryImagesSelector)).filter(image =>
+			image.dataset.imageFocusGallery == null
+		);
+	},
+
+	imageIsInMainGallery: (image) => {
+		return (   image.classList.contains("gallery-image")
+				&& image.getRootNode() == document
+				&& image.dataset.imageFocusGallery == null);
+	},
+
+	//	Event that signals that the given image (or video) has loaded.
+	loadEventNameForImage: (image) => {
+		return (image.tagName == "VIDEO"
+				? "loadedmetadata"
+				: "load");
+	},
+
+	//	Returns the URL of the given image (or video); null for inline SVGs.
+	urlOfImage: (image) => {
+		if (image.tagName == "IMG")
+			return image.src;
+
+		if (image.tagName == "VIDEO")
+			return (image.currentSrc || image.src || image.querySelector("source")?.src || null);
+
+		return null;
+	},
+
+	//	Returns a thumbnail of the given image, for the filmstrip.
+	thumbnailForImage: (image) => {
+		if (image.tagName == "svg") {
+			let thumbnail = image.cloneNode(true);
+			thumbnail.removeAttribute("class");
+			thumbnail.removeAttribute("style");
+			return thumbnail;
+		}
+
+		if (   image.tagName == "VIDEO"
+			&& image.poster == "") {
+			return newElement("VIDEO", {
+				src: ImageFocus.urlOfImage(image),
+				preload: "metadata",
+				muted: ""
+			});
+		}
+
+		return newElement("IMG", {
+			src: (image.tagName == "VIDEO" ? image.poster : image.src),
+			alt: "",
+			loading: "lazy",
+			decoding: "async"
+		});
+	},
+
+	/*	Fill the filmstrip with thumbnails of all images in the given image
+		gallery (clicking a thumbnail focuses that image).
+	 */
+	//	Called by: ImageFocus.focusImage
+	updateFilmstrip: (images) => {
+		GWLog("ImageFocus.updateFilmstrip", "image-focus.js", 2);
+
+		ImageFocus.filmstripImages = images;
+
+		ImageFocus.overlay.querySelector(".filmstrip").replaceChildren(...(images.map((image, index) => {
+			let thumbnail = newElement("BUTTON", {
+				type: "button",
+				class: "filmstrip-thumbnail",
+				tabindex: "-1",
+				title: `Image ${(index + 1)}`
+			});
+			thumbnail.appendChild(ImageFocus.thumbnailForImage(image));
+
+			thumbnail.addActivateEvent((event) => {
+				GWLog("ImageFocus.filmstripThumbnailClicked", "image-focus.js", 2);
+
+				ImageFocus.focusImage(image);
+				ImageFocus.cancelImageFocusHideUITimer();
+				thumbnail.blur();
+			});
+
+			return thumbnail;
+		})));
+	},
+
 	preloadImage: (image) => {
-		if (image.naturalWidth > 0)
+		if (   image.tagName != "IMG"
+			|| image.naturalWidth > 0)
 			return;
 
 		image.loading = "eager";
@@ -218,25 +393,45 @@ ImageFocus = {
 		 */
 		if (imageToFocus.classList.contains("gallery-image")) {
 			//	Update slideshow state.
-			let lastFocusedImage = document.querySelector("img.last-focused");
-			if (lastFocusedImage) {
-				lastFocusedImage.classList.remove("last-focused");
-				lastFocusedImage.removeAttribute("accesskey");
+			if (ImageFocus.imageIsInMainGallery(imageToFocus)) {
+				let lastFocusedImage = document.querySelector(".gallery-image.last-focused");
+				if (lastFocusedImage) {
+					lastFocusedImage.classList.remove("last-focused");
+					lastFocusedImage.removeAttribute("accesskey");
+				}
 			}
 
 			//  Set state of next/previous buttons.
-			let images = document.querySelectorAll(ImageFocus.galleryImagesSelector);
-			let indexOfFocusedImage = ImageFocus.getIndexOfFocusedImage();
+			let images = ImageFocus.galleryImagesForImage(imageToFocus);
+			let indexOfFocusedImage = images.indexOf(imageToFocus);
 			ImageFocus.overlay.querySelector(".slideshow-button.previous").disabled = (indexOfFocusedImage == 0);
 			ImageFocus.overlay.querySelector(".slideshow-button.next").disabled = (indexOfFocusedImage == images.length - 1);
 
-			//  Set the image number.
-			ImageFocus.overlay.querySelector(".image-number").textContent = (indexOfFocusedImage + 1);
+			//  Set the image number (and the “… of X” label).
+			let imageNumber = ImageFocus.overlay.querySelector(".image-number");
+			imageNumber.textContent = (indexOfFocusedImage + 1);
+			imageNumber.dataset.numberOfImages = images.length;
 
-			//  Replace the hash.
-			if (!location.hash.startsWith("#if_slide_"))
-				ImageFocus.savedHash = location.hash;
-			relocate("#if_slide_" + (indexOfFocusedImage + 1));
+			//	Rebuild the filmstrip, if we’ve switched to another gallery.
+			if (   images.length != ImageFocus.filmstripImages.length
+				|| images.findIndex((image, index) => (image != ImageFocus.filmstripImages[index])) != -1)
+				ImageFocus.updateFilmstrip(images);
+
+			//	Highlight the image’s thumbnail, and scroll it into view.
+			let filmstrip = ImageFocus.overlay.querySelector(".filmstrip");
+			Array.from(filmstrip.children).forEach((thumbnail, index) => {
+				thumbnail.classList.toggle("current", index == indexOfFocusedImage);
+			});
+			let currentThumbnail = filmstrip.children[indexOfFocusedImage];
+			if (currentThumbnail)
+				filmstrip.scrollLeft = currentThumbnail.offsetLeft - (filmstrip.clientWidth - currentThumbnail.offsetWidth) / 2;
+
+			//  Replace the hash (only the main page’s gallery has slide links).
+			if (ImageFocus.imageIsInMainGallery(imageToFocus)) {
+				if (!location.hash.startsWith("#if_slide_"))
+					ImageFocus.savedHash = location.hash;
+				relocate("#if_slide_" + (indexOfFocusedImage + 1));
+			}
 
 			//	Also preload the next and previous images.
 			if (indexOfFocusedImage > 0)
@@ -253,17 +448,34 @@ ImageFocus = {
 
 		//  Create the focused version of the image.
 		ImageFocus.imageInFocus = imageToFocus.cloneNode(true);
-		ImageFocus.imageInFocus.loading = "eager";
-		ImageFocus.imageInFocus.decoding = "sync";
+		if (imageToFocus.tagName == "IMG") {
+			ImageFocus.imageInFocus.loading = "eager";
+			ImageFocus.imageInFocus.decoding = "sync";
+		}
 		ImageFocus.imageInFocus.style = "";
 		ImageFocus.imageInFocus.style.filter = imageToFocus.style.filter + ImageFocus.dropShadowFilterForImages;
 		ImageFocus.imageInFocus.removeAttribute("title");
 
-		//	Allow for styling based on loading state.
-		ImageFocus.imageInFocus.classList.add("loading");
-		ImageFocus.imageInFocus.addEventListener("load", (event) => {
-			event.target.classList.remove("loading");
-		}, { once: true });
+		/*	Focused videos have controls, and pick up where the video in the
+			page left off (continuing to play, if it was playing).
+		 */
+		if (imageToFocus.tagName == "VIDEO") {
+			ImageFocus.imageInFocus.controls = true;
+			ImageFocus.imageInFocus.preload = "auto";
+			ImageFocus.imageInFocus.currentTime = imageToFocus.currentTime;
+			if (imageToFocus.paused == false) {
+				imageToFocus.pause();
+				ImageFocus.imageInFocus.autoplay = true;
+			}
+		}
+
+		//	Allow for styling based on loading state. (Inline SVGs don’t load.)
+		if (imageToFocus.tagName != "svg") {
+			ImageFocus.imageInFocus.classList.add("loading");
+			ImageFocus.imageInFocus.addEventListener(ImageFocus.loadEventNameForImage(imageToFocus), (event) => {
+				event.target.classList.remove("loading");
+			}, { once: true });
+		}
 
 		//  Add the image to the overlay.
 		ImageFocus.overlay.insertBefore(ImageFocus.imageInFocus, ImageFocus.overlay.querySelector(".loading-spinner"));
@@ -271,11 +483,14 @@ ImageFocus = {
 		//  Set image to default size and position.
 		ImageFocus.resetFocusedImagePosition(true);
 
-		//  If image is bigger than viewport, it’s draggable.
-		ImageFocus.imageInFocus.addEventListener("mousedown", ImageFocus.imageMouseDown);
+		//	(Mouse events on a video are for its controls.)
+		if (imageToFocus.tagName != "VIDEO") {
+			//  If image is bigger than viewport, it’s draggable.
+			ImageFocus.imageInFocus.addEventListener("mousedown", ImageFocus.imageMouseDown);
 
-		//  If image is bigger than viewport, double-click resets size/position.
-		ImageFocus.imageInFocus.addEventListener("dblclick", ImageFocus.doubleClick);
+			//  If image is bigger than viewport, double-click resets size/position.
+			ImageFocus.imageInFocus.addEventListener("dblclick", ImageFocus.doubleClick);
+		}
 
 		/*  If this image is part of the main gallery, then mark the overlay as 
 			being in slide show mode (to show buttons/count). Otherwise, the
@@ -298,18 +513,28 @@ ImageFocus = {
 
 		//  Make sure that initially, the image fits into the viewport.
 		let imageWidth, imageHeight;
-		if ((new URL(ImageFocus.imageInFocus.src)).pathname.endsWith(".svg")) {
+		if (ImageFocus.imageInFocus.tagName == "svg") {
+			/*	Inline SVGs are sized to fit the viewport (with the aspect
+				ratio of their viewBox, if specified).
+			 */
+			let viewBox = ImageFocus.imageInFocus.viewBox.baseVal;
+			imageWidth = window.innerWidth;
+			imageHeight = (viewBox?.width * viewBox?.height > 0
+						   ? imageWidth * viewBox.height / viewBox.width
+						   : imageWidth);
+		} else if (   ImageFocus.imageInFocus.tagName == "IMG"
+				   && (new URL(ImageFocus.imageInFocus.src)).pathname.endsWith(".svg")) {
 			//	Special handling for SVGs, which have no intrinsic size.
 			imageWidth = imageHeight = Math.min(window.innerWidth, window.innerHeight);
 		} else {
-			//	Non-SVGs have intrinsic size.
-			imageWidth = ImageFocus.imageInFocus.naturalWidth || ImageFocus.imageInFocus.getAttribute("width");
-			imageHeight = ImageFocus.imageInFocus.naturalHeight || ImageFocus.imageInFocus.getAttribute("height");
+			//	Non-SVGs (including videos) have intrinsic size.
+			imageWidth = ImageFocus.imageInFocus.naturalWidth || ImageFocus.imageInFocus.videoWidth || ImageFocus.imageInFocus.getAttribute("width");
+			imageHeight = ImageFocus.imageInFocus.naturalHeight || ImageFocus.imageInFocus.videoHeight || ImageFocus.imageInFocus.getAttribute("height");
 
 			if (imageWidth * imageHeight == 0) {
 				if (updateOnLoad == true) {
 					//	Reset on load.
-					ImageFocus.imageInFocus.addEventListener("load", (event) => {
+					ImageFocus.imageInFocus.addEventListener(ImageFocus.loadEventNameForImage(ImageFocus.imageInFocus), (event) => {
 						ImageFocus.resetFocusedImagePosition(false);
 					}, { once: true });
 
@@ -328,8 +553,9 @@ ImageFocus = {
 		let heightShrinkRatio = constrainedHeight / imageHeight;
 		let shrinkRatio = Math.min(widthShrinkRatio, heightShrinkRatio);
 
-		//	Set dimensions via CSS.
-		ImageFocus.imageInFocus.style.width = Math.round(imageWidth * shrinkRatio) + "px";
+		//	Set dimensions via CSS (saving default width, for zoom level).
+		ImageFocus.imageInFocus.defaultWidth = Math.round(imageWidth * shrinkRatio);
+		ImageFocus.imageInFocus.style.width = ImageFocus.imageInFocus.defaultWidth + "px";
 		ImageFocus.imageInFocus.style.height = Math.round(imageHeight * shrinkRatio) + "px";
 
 		//  Remove modifications to position.
@@ -340,14 +566,156 @@ ImageFocus = {
 		ImageFocus.setFocusedImageCursor();
 	},
 
+	/*	Scale the focused image by the given factor, keeping the given point
+		(in viewport coordinates) fixed in place.
+	 */
+	//	Called by: ImageFocus.scrollEvent
+	//	Called by: ImageFocus.doubleClick
+	//	Called by: ImageFocus.touchMove
+	zoomFocusedImage: (factor, zoomOrigin) => {
+		GWLog("ImageFocus.zoomFocusedImage", "image-focus.js", 3);
+
+		let image = ImageFocus.imageInFocus;
+		if (image == null)
+			return;
+
+		//  Get bounding box of the image within the viewport.
+		let imageBoundingBox = image.getBoundingClientRect();
+
+		//  Resize.
+		image.style.width = (imageBoundingBox.width * factor) + "px";
+		image.style.height = "auto";
+
+		//  Calculate offset from zoom origin.
+		let offsetOfImageFromZoomOrigin = {
+			x: imageBoundingBox.x - zoomOrigin.x,
+			y: imageBoundingBox.y - zoomOrigin.y
+		}
+
+		//  Calculate delta from centered zoom.
+		let deltaFromCenteredZoom = {
+			x: image.getBoundingClientRect().x - (zoomOrigin.x + offsetOfImageFromZoomOrigin.x * factor),
+			y: image.getBoundingClientRect().y - (zoomOrigin.y + offsetOfImageFromZoomOrigin.y * factor)
+		}
+
+		//  Adjust image position appropriately.
+		ImageFocus.moveFocusedImageBy(-deltaFromCenteredZoom.x, -deltaFromCenteredZoom.y);
+
+		//  Set the cursor appropriately.
+		ImageFocus.setFocusedImageCursor();
+	},
+
+	moveFocusedImageBy: (dx, dy) => {
+		let image = ImageFocus.imageInFocus;
+		image.style.left = parseInt(getComputedStyle(image).left) + dx + "px";
+		image.style.top = parseInt(getComputedStyle(image).top) + dy + "px";
+	},
+
+	/*	Returns the zoom level of the focused image (relative to its default,
+		fit-to-viewport, size), and the point of the image that is at the
+		center of the viewport (as fractions of the image’s width and height).
+		(Returns null if the image’s default size is not yet known.)
+	 */
+	focusedImageState: () => {
+		let image = ImageFocus.imageInFocus;
+		if (   image == null
+			|| image.defaultWidth == null)
+			return null;
+
+		let imageBoundingBox = image.getBoundingClientRect();
+		return {
+			zoom: imageBoundingBox.width / image.defaultWidth,
+			x: (window.innerWidth / 2 - imageBoundingBox.x) / imageBoundingBox.width,
+			y: (window.innerHeight / 2 - imageBoundingBox.y) / imageBoundingBox.height
+		};
+	},
+
+	/*	Zoom and pan the focused image to the given state (as returned by
+		ImageFocus.focusedImageState). If the image’s default size is not yet
+		known, this is done once the image loads.
+	 */
+	//	Called by: ImageFocus.focusImageSpecifiedByURL
+	setFocusedImageState: (state) => {
+		GWLog("ImageFocus.setFocusedImageState", "image-focus.js", 2);
+
+		let image = ImageFocus.imageInFocus;
+		if (image == null)
+			return;
+
+		if (image.defaultWidth == null) {
+			image.addEventListener(ImageFocus.loadEventNameForImage(image), (event) => {
+				if (event.target == ImageFocus.imageInFocus)
+					ImageFocus.setFocusedImageState(state);
+			}, { once: true });
+
+			return;
+		}
+
+		//	Resize.
+		image.style.width = Math.round(image.defaultWidth * state.zoom) + "px";
+		image.style.height = "auto";
+		image.style.left = "";
+		image.style.top = "";
+
+		//	Move the specified point of the image to the center of the viewport.
+		let imageBoundingBox = image.getBoundingClientRect();
+		ImageFocus.moveFocusedImageBy(window.innerWidth / 2 - (imageBoundingBox.x + state.x * imageBoundingBox.width),
+									  window.innerHeight / 2 - (imageBoundingBox.y + state.y * imageBoundingBox.height));
+
+		//  Set the cursor appropriately.
+		ImageFocus.setFocusedImageCursor();
+	},
+
+	/*	Returns the URL hash for the focused gallery image, encoding the zoom
+		level and pan offset (unless the image is at its default size and
+		position), e.g. ‘#if_slide_3_zoom_2.50_x_0.420_y_0.615’.
+	 */
+	urlHashForFocusedImage: () => {
+		let hash = "#if_slide_" + (ImageFocus.getIndexOfFocusedImage() + 1);
+
+		let state = ImageFocus.focusedImageState();
+		if (state == null)
+			return hash;
+
+		let [ zoom, x, y ] = [ state.zoom.toFixed(2), state.x.toFixed(3), state.y.toFixed(3) ];
+		if (   zoom == "1.00"
+			&& x == "0.500"
+			&& y == "0.500")
+			return hash;
+
+		return hash + `_zoom_${zoom}_x_${x}_y_${y}`;
+	},
+
+	/*	Update the URL hash to reflect the focused gallery image’s zoom level
+		and pan offset (after a delay, so that it’s not updated on every
+		event of a zoom or drag).
+	 */
+	updateURLHashForFocusedImage: () => {
+		clearTimeout(ImageFocus.urlHashUpdateTimer);
+		ImageFocus.urlHashUpdateTimer = setTimeout(() => {
+			ImageFocus.urlHashUpdateTimer = null;
+
+			if (   ImageFocus.currentlyFocusedImage
+				&& ImageFocus.imageIsInMainGallery(ImageFocus.currentlyFocusedImage)
+				&& location.hash.startsWith("#if_slide_"))
+				relocate(ImageFocus.urlHashForFocusedImage());
+		}, ImageFocus.urlHashUpdateDelay);
+	},
+
+	//	Returns true if the focused image is at least as big as the viewport.
+	focusedImageExceedsViewport: () => {
+		let imageBoundingBox = ImageFocus.imageInFocus.getBoundingClientRect();
+		return (   imageBoundingBox.height >= window.innerHeight
+				|| imageBoundingBox.width >= window.innerWidth);
+	},
+
 	setFocusedImageCursor: () => {
 		GWLog("ImageFocus.setFocusedImageCursor", "image-focus.js", 2);
 
 		if (ImageFocus.imageInFocus == null)
 			return;
 
-		ImageFocus.imageInFocus.style.cursor = (   ImageFocus.imageInFocus.height >= window.innerHeight
-												|| ImageFocus.imageInFocus.width >= window.innerWidth)
+		ImageFocus.imageInFocus.style.cursor = ImageFocus.focusedImageExceedsViewport()
 											   ? "move"
 											   : "";
 	},
@@ -355,8 +723,16 @@ ImageFocus = {
 	unfocusImage: () => {
 		GWLog("ImageFocus.unfocusImage", "image-focus.js", 1);
 
+		//	Cancel any pending click-to-unfocus.
+		clearTimeout(ImageFocus.clickToUnfocusTimer);
+		ImageFocus.clickToUnfocusTimer = null;
+
 		//  Remove image from overlay.
 		if (ImageFocus.imageInFocus) {
+			//	A video in the page picks up where the focused video left off.
+			if (ImageFocus.imageInFocus.tagName == "VIDEO")
+				ImageFocus.currentlyFocusedImage.currentTime = ImageFocus.imageInFocus.currentTime;
+
 			ImageFocus.imageInFocus.remove();
 			ImageFocus.imageInFocus = null;
 		}
@@ -400,6 +776,12 @@ ImageFocus = {
 		//	Drag-end event; also, click to unfocus.
 		window.addEventListener("mouseup", ImageFocus.mouseUp);
 
+		//	Pinch to zoom, two-finger drag to pan.
+		ImageFocus.overlay.addEventListener("touchstart", ImageFocus.touchStart);
+		ImageFocus.overlay.addEventListener("touchmove", ImageFocus.touchMove, { passive: false });
+		ImageFocus.overlay.addEventListener("touchend", ImageFocus.touchEnd);
+		ImageFocus.overlay.addEventListener("touchcancel", ImageFocus.touchEnd);
+
 		//	Fire event.
 		GW.notificationCenter.fireEvent("ImageFocus.imageOverlayDidAppear");
 	},
@@ -411,7 +793,7 @@ ImageFocus = {
 			preserve state.
 		 */
 		if (   ImageFocus.currentlyFocusedImage
-			&& ImageFocus.currentlyFocusedImage.classList.contains("gallery-image")) {
+			&& ImageFocus.imageIsInMainGallery(ImageFocus.currentlyFocusedImage)) {
 			//	Update classes.
 			ImageFocus.currentlyFocusedImage.classList.remove("focused");
 
@@ -423,6 +805,8 @@ ImageFocus = {
 			}
 
 			//  Reset the hash, if needed.
+			clearTimeout(ImageFocus.urlHashUpdateTimer);
+			ImageFocus.urlHashUpdateTimer = null;
 			if (location.hash.startsWith("#if_slide_")) {
 				relocate(ImageFocus.savedHash || location.pathname);
 				ImageFocus.savedHash = null;
@@ -437,6 +821,11 @@ ImageFocus = {
 		window.removeEventListener("mousemove", ImageFocus.mouseMoved);
 		window.removeEventListener("mouseup", ImageFocus.mouseUp);
 		document.removeEventListener("keyup", ImageFocus.keyUp);
+		ImageFocus.overlay.removeEventListener("touchstart", ImageFocus.touchStart);
+		ImageFocus.overlay.removeEventListener("touchmove", ImageFocus.touchMove);
+		ImageFocus.overlay.removeEventListener("touchend", ImageFocus.touchEnd);
+		ImageFocus.overlay.removeEventListener("touchcancel", ImageFocus.touchEnd);
+		ImageFocus.pinchGesture = null;
 
 		//  Hide overlay.
 		ImageFocus.overlay.classList.remove("engaged");
@@ -451,22 +840,17 @@ ImageFocus = {
 	},
 
 	getIndexOfFocusedImage: () => {
-		let images = document.querySelectorAll(ImageFocus.galleryImagesSelector);
-		let indexOfFocusedImage = -1;
-		for (i = 0; i < images.length; i++) {
-			if (images[i].classList.contains("focused")) {
-				indexOfFocusedImage = i;
-				break;
-			}
-		}
-		return indexOfFocusedImage;
+		if (ImageFocus.currentlyFocusedImage == null)
+			return -1;
+
+		return ImageFocus.galleryImagesForImage(ImageFocus.currentlyFocusedImage).indexOf(ImageFocus.currentlyFocusedImage);
 	},
 
 	focusNextImage: (next = true) => {
 		GWLog("ImageFocus.focusNextImage", "image-focus.js", 1);
 
 		//	Find next image to focus.
-		let images = document.querySelectorAll(ImageFocus.galleryImagesSelector);
+		let images = ImageFocus.galleryImagesForImage(ImageFocus.currentlyFocusedImage);
 		let indexOfFocusedImage = ImageFocus.getIndexOfFocusedImage();
 
 		//	This shouldn’t happen, but...
@@ -486,6 +870,7 @@ ImageFocus = {
 			(unique) strings in <p> tags, and inject into caption container.
 		 */
 		let figcaption = ImageFocus.currentlyFocusedImage.closest("figure").querySelector("figcaption");
+		let imageURL = ImageFocus.urlOfImage(ImageFocus.currentlyFocusedImage);
 		ImageFocus.overlay.querySelector(".caption").replaceChildren(newDocument(`<div class="caption-text-wrapper">` 
 		  + [ ...[
 				(figcaption ? figcaption.cloneNode(true) : null),
@@ -506,22 +891,26 @@ ImageFocus = {
 			).map(element => `<p>${(element.innerHTML.trim())}</p>`)
 			].join("") 
 		  + `</div>`
-		  + `<p class="image-url" title="Click to copy image URL to clipboard">`
-			  + `<code class="url">`
-				  + ImageFocus.currentlyFocusedImage.src
-			  + `</code>`
-			  + `<span class="icon-container">`
-				  + `<span class="icon normal">`
-					  + GW.svg("copy-regular")
-				  + `</span>`
-				  + `<span class="icon copied">`
-					  + GW.svg("circle-check-solid")
+		  + (imageURL == null ? `` : (
+			    `<p class="image-url" title="Click to copy image URL to clipboard">`
+				  + `<code class="url">`
+					  + imageURL
+				  + `</code>`
+				  + `<span class="icon-container">`
+					  + `<span class="icon normal">`
+						  + GW.svg("copy-regular")
+					  + `</span>`
+					  + `<span class="icon copied">`
+						  + GW.svg("circle-check-solid")
+					  + `</span>`
 				  + `</span>`
-			  + `</span>`
-		  + `</p>`));
+			  + `</p>`))));
 
-		//	Activate click-to-copy on image URL.
+		//	Activate click-to-copy on image URL (inline SVGs have none).
 		let imageURLContainer = ImageFocus.overlay.querySelector(".caption .image-url");
+		if (imageURLContainer == null)
+			return;
+
 		imageURLContainer.addActivateEvent((event) => {
 			copyTextToClipboard(imageURLContainer.querySelector(".url").textContent);
 
@@ -541,13 +930,28 @@ ImageFocus = {
 	focusImageSpecifiedByURL: () => {
 		GWLog("ImageFocus.focusImageSpecifiedByURL", "image-focus.js", 1);
 
+		/*	The hash may also specify zoom level and pan offset (see
+			ImageFocus.urlHashForFocusedImage).
+		 */
 		if (location.hash.startsWith("#if_slide_")) {
 			doWhenPageLoaded(() => {
-				let images = document.querySelectorAll(ImageFocus.galleryImagesSelector);
-				let imageToFocus = (/#if_slide_([0-9]+)/.exec(location.hash)||{})[1];
+				let images = ImageFocus.mainGalleryImages();
+				let hash = location.hash;
+				let [ imageToFocus, zoom, x, y ] = (/^#if_slide_([0-9]+)(?:_zoom_([0-9.]+)_x_(-?[0-9.]+)_y_(-?[0-9.]+))?$/.exec(hash) ?? [ ]).slice(1);
 				if (   imageToFocus > 0
 					&& imageToFocus <= images.length) {
 					ImageFocus.focusImage(images[imageToFocus - 1]);
+
+					let state = { zoom: parseFloat(zoom), x: parseFloat(x), y: parseFloat(y) };
+					if (   state.zoom > 0
+						&& isFinite(state.zoom)
+						&& isFinite(state.x)
+						&& isFinite(state.y)) {
+						//	Focusing the image resets the hash; restore it.
+						relocate(hash);
+
+						ImageFocus.setFocusedImageState(state);
+					}
 				}
 			});
 		}
@@ -603,7 +1007,8 @@ ImageFocus = {
 	imageClickedToFocus: (event) => {
 		GWLog("ImageFocus.imageClickedToFocus", "image-focus.js", 2);
 
-		ImageFocus.focusImage(event.target);
+		//	(The target may be an element within an inline SVG.)
+		ImageFocus.focusImage(event.currentTarget);
 	},
 
 	scrollEvent: (event) => {
@@ -611,6 +1016,13 @@ ImageFocus = {
 
 		event.preventDefault();
 
+		//	Scrolling over the filmstrip scrolls it, rather than zooming.
+		let filmstrip = event.target.closest(".filmstrip");
+		if (filmstrip) {
+			filmstrip.scrollLeft += (event.deltaX || event.deltaY);
+			return;
+		}
+
 		let image = ImageFocus.imageInFocus;
 
 		//  Remove the filter.
@@ -621,24 +1033,19 @@ ImageFocus = {
 		let imageBoundingBox = image.getBoundingClientRect();
 
 		//  Calculate resize factor.
-		let factor = ((image.height > 10 && image.width > 10) || event.deltaY < 0)
+		let factor = ((imageBoundingBox.height > 10 && imageBoundingBox.width > 10) || event.deltaY < 0)
 					 ? 1 + Math.sqrt(Math.abs(event.deltaY))/100.0
 					 : 1;
-
-		//  Resize.
-		image.style.width = (event.deltaY < 0 ?
-							(image.clientWidth * factor) :
-							(image.clientWidth / factor))
-							+ "px";
-		image.style.height = "auto";
+		if (event.deltaY > 0)
+			factor = 1 / factor;
 
 		//  Designate zoom origin.
 		let zoomOrigin;
 
 		//  Zoom from cursor if we’re zoomed in to where image exceeds screen, AND
 		//  the cursor is over the image.
-		let imageSizeExceedsWindowBounds = (   image.getBoundingClientRect().width > window.innerWidth
-											|| image.getBoundingClientRect().height > window.innerHeight);
+		let imageSizeExceedsWindowBounds = (   imageBoundingBox.width * factor > window.innerWidth
+											|| imageBoundingBox.height * factor > window.innerHeight);
 		let zoomingFromCursor =    imageSizeExceedsWindowBounds
 								&& (   imageBoundingBox.left <= event.clientX
 									&& event.clientX <= imageBoundingBox.right
@@ -658,21 +1065,8 @@ ImageFocus = {
 			zoomOrigin = { x: imageBoundingBox.x + imageBoundingBox.width / 2,
 						   y: imageBoundingBox.y + imageBoundingBox.height / 2 };
 
-		//  Calculate offset from zoom origin.
-		let offsetOfImageFromZoomOrigin = {
-			x: imageBoundingBox.x - zoomOrigin.x,
-			y: imageBoundingBox.y - zoomOrigin.y
-		}
-
-		//  Calculate delta from centered zoom.
-		let deltaFromCenteredZoom = {
-			x: image.getBoundingClientRect().x - (zoomOrigin.x + (event.deltaY < 0 ? offsetOfImageFromZoomOrigin.x * factor : offsetOfImageFromZoomOrigin.x / factor)),
-			y: image.getBoundingClientRect().y - (zoomOrigin.y + (event.deltaY < 0 ? offsetOfImageFromZoomOrigin.y * factor : offsetOfImageFromZoomOrigin.y / factor))
-		}
-
-		//  Adjust image position appropriately.
-		image.style.left = parseInt(getComputedStyle(image).left) - deltaFromCenteredZoom.x + "px";
-		image.style.top = parseInt(getComputedStyle(image).top) - deltaFromCenteredZoom.y + "px";
+		//	Zoom.
+		ImageFocus.zoomFocusedImage(factor, zoomOrigin);
 
 		//  Gradually re-center image, if it’s smaller than the window.
 		if (!imageSizeExceedsWindowBounds) {
@@ -685,15 +1079,14 @@ ImageFocus = {
 
 			//  Divide the offset by 10 because we’re nudging the image toward center,
 			//  not jumping it there.
-			image.style.left = parseInt(getComputedStyle(image).left) + imageOffsetFromCenter.x / 10 + "px";
-			image.style.top = parseInt(getComputedStyle(image).top) + imageOffsetFromCenter.y / 10 + "px";
+			ImageFocus.moveFocusedImageBy(imageOffsetFromCenter.x / 10, imageOffsetFromCenter.y / 10);
 		}
 
 		//  Put the filter back.
 		image.style.filter = image.savedFilter;
 
-		//  Set the cursor appropriately.
-		ImageFocus.setFocusedImageCursor();
+		//	Update the URL hash.
+		ImageFocus.updateURLHashForFocusedImage();
 	},
 
 	mouseUp: (event) => {
@@ -703,8 +1096,7 @@ ImageFocus = {
 		let imageWasBeingDragged = (window.onmousemove != null);
 
 		//	Do this regardless of where the mouse-up is.
-		if (   ImageFocus.imageInFocus.height >= window.innerHeight
-			|| ImageFocus.imageInFocus.width >= window.innerWidth) {
+		if (ImageFocus.focusedImageExceedsViewport()) {
 			window.onmousemove = "";
 
 			//  Put the filter back.
@@ -719,11 +1111,31 @@ ImageFocus = {
 		if (event.button != 0)
 			return;
 
-		if (   (   ImageFocus.imageInFocus.height < window.innerHeight
-				&& ImageFocus.imageInFocus.width < window.innerWidth)
-			|| (   imageWasBeingDragged == false
-				&& event.target != ImageFocus.imageInFocus))
+		//	Update the URL hash to reflect the new pan offset.
+		if (imageWasBeingDragged)
+			ImageFocus.updateURLHashForFocusedImage();
+
+		//	(The target may be an element within an inline SVG.)
+		let clickWasOnImage = ImageFocus.imageInFocus.contains(event.target);
+
+		//	Clicks on a video are for its controls.
+		if (   clickWasOnImage
+			&& ImageFocus.imageInFocus.tagName == "VIDEO")
+			return;
+
+		let imageFitsInViewport = (ImageFocus.focusedImageExceedsViewport() == false);
+		if (   imageFitsInViewport
+			&& clickWasOnImage) {
+			/*	Clicking on the image unfocuses it, unless the click turns out
+				to be the first of a double-click (which zooms in instead).
+			 */
+			if (event.detail < 2)
+				ImageFocus.clickToUnfocusTimer = setTimeout(ImageFocus.exitImageFocus, ImageFocus.clickToUnfocusDelay);
+		} else if (   imageFitsInViewport
+				   || (   imageWasBeingDragged == false
+					   && clickWasOnImage == false)) {
 			ImageFocus.exitImageFocus();
+		}
 	},
 
 	imageMouseDown: (event) => {
@@ -736,8 +1148,7 @@ ImageFocus = {
 		//	Prevent browser/system drag-and-drop initiate.
 		event.preventDefault();
 
-		if (   ImageFocus.imageInFocus.height >= window.innerHeight
-			|| ImageFocus.imageInFocus.width >= window.innerWidth) {
+		if (ImageFocus.focusedImageExceedsViewport()) {
 			let mouseCoordX = event.clientX;
 			let mouseCoordY = event.clientY;
 
@@ -760,9 +1171,81 @@ ImageFocus = {
 	doubleClick: (event) => {
 		GWLog("ImageFocus.doubleClick", "image-focus.js", 2);
 
-		if (   ImageFocus.imageInFocus.height >= window.innerHeight
-			|| ImageFocus.imageInFocus.width >= window.innerWidth)
+		//	Cancel the unfocus scheduled by the double-click’s first click.
+		clearTimeout(ImageFocus.clickToUnfocusTimer);
+		ImageFocus.clickToUnfocusTimer = null;
+
+		/*	If the image is bigger than the viewport, reset its size/position;
+			otherwise, zoom in on the double-clicked point.
+		 */
+		if (ImageFocus.focusedImageExceedsViewport())
 			ImageFocus.resetFocusedImagePosition();
+		else
+			ImageFocus.zoomFocusedImage(ImageFocus.doubleClickZoomFactor, { x: event.clientX, y: event.clientY });
+
+		//	Update the URL hash.
+		ImageFocus.updateURLHashForFocusedImage();
+	},
+
+	//	Returns the distance between, and midpoint of, the first two touches.
+	touchPairGeometry: (touches) => {
+		let [ a, b ] = [ touches[0], touches[1] ];
+		return {
+			distance: Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY),
+			midpoint: { x: (a.clientX + b.clientX) / 2,
+						y: (a.clientY + b.clientY) / 2 }
+		};
+	},
+
+	touchStart: (event) => {
+		GWLog("ImageFocus.touchStart", "image-focus.js", 3);
+
+		if (event.touches.length == 2)
+			ImageFocus.pinchGesture = ImageFocus.touchPairGeometry(event.touches);
+	},
+
+	touchMove: (event) => {
+		GWLog("ImageFocus.touchMove", "image-focus.js", 3);
+
+		if (   ImageFocus.pinchGesture == null
+			|| ImageFocus.imageInFocus == null
+			|| event.touches.length != 2)
+			return;
+
+		//	Prevent page zoom.
+		event.preventDefault();
+
+		let previous = ImageFocus.pinchGesture;
+		let current = ImageFocus.touchPairGeometry(event.touches);
+
+		//	Pinch to zoom (from the point between the fingers)...
+		let factor = previous.distance > 0
+					 ? current.distance / previous.distance
+					 : 1;
+		if (   factor < 1
+			&& (   ImageFocus.imageInFocus.getBoundingClientRect().height <= 10
+				|| ImageFocus.imageInFocus.getBoundingClientRect().width <= 10))
+			factor = 1;
+		ImageFocus.zoomFocusedImage(factor, previous.midpoint);
+
+		//	... and move the fingers to pan.
+		ImageFocus.moveFocusedImageBy(current.midpoint.x - previous.midpoint.x,
+									  current.midpoint.y - previous.midpoint.y);
+
+		ImageFocus.pinchGesture = current;
+	},
+
+	touchEnd: (event) => {
+		GWLog("ImageFocus.touchEnd", "image-focus.js", 3);
+
+		if (   ImageFocus.pinchGesture == null
+			|| event.touches.length == 2)
+			return;
+
+		ImageFocus.pinchGesture = null;
+
+		//	Update the URL hash.
+		ImageFocus.updateURLHashForFocusedImage();
 	},
 
 	keyUp: (event) => {
@@ -783,6 +1266,7 @@ ImageFocus = {
 		case " ":
 		case "Spacebar":
 			ImageFocus.resetFocusedImagePosition();
+			ImageFocus.updateURLHashForFocusedImage();
 			break;
 		case "ArrowDown":
 		case "Down":
@@ -808,10 +1292,10 @@ ImageFocus = {
 
 		let currentDateTime = new Date();
 
-		if ([ ImageFocus.imageInFocus, 
-			  ImageFocus.overlay, 
-			  document.documentElement 
-			 ].includes(event.target)) {
+		if (   [ ImageFocus.overlay,
+				 document.documentElement
+				].includes(event.target)
+			|| ImageFocus.imageInFocus?.contains(event.target)) {
 			if (ImageFocus.hideUITimer == null)
 				ImageFocus.unhideImageFocusUI();
 
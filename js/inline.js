@@ -86,11 +86,17 @@ function GWStopWatch(f, ...args) {
 /***********/
 
 GW.consoleTempBuffer = "";
+GW.consoleTempCommands = [ ];
 GW.console = {
 	print: (string) => {
 		GW.consoleTempBuffer += string;
 		GW.consoleTempBuffer += "\n";
 	},
+
+	//	Commands are added to the console once it loads (see console.js).
+	registerCommand: (name, command) => {
+		GW.consoleTempCommands.push([ name, command ]);
+	}
 };
 
 function $ (f) {
@@ -778,6 +784,181 @@ GW.notificationCenter = {
         }
     },
 
+    /***************************************************************************/
+    /*  EVENT TRACING
+
+        When tracing is enabled, every event firing is recorded in
+        GW.notificationCenter.trace, as a trace record of the following form:
+
+        {
+            eventName:  "GW.contentDidLoad",
+            source:     "transclude",           // value of the ‘source’ key
+            infoKeys:   [ "source", … ],        // keys of the event info
+            time:       1234.5,                 // ms since page load
+            duration:   6.7,                    // ms (all handlers, total)
+            handlers: [
+                {
+                    handler:    "rewriteFoo",   // see handlerDescription()
+                    phase:      "rewrite",      // or null
+                    condition:  true,           // or false, or null if none
+                    duration:   4.2,            // ms (null if not called)
+                    slow:       false,          // duration > threshold?
+                    events:     [ … ]           // events fired by the handler
+                },
+                …
+            ],
+            events:     [ … ]                   // other nested firings
+        }
+
+        Events fired from within a handler are recorded as nested trace records
+        (in the handler record), not as top-level ones; events fired from
+        within a condition function are likewise nested, in the trace record
+        of the event whose handler’s condition it is. The trace is viewable (as an indented timeline)
+        and exportable (as JSON) via the ‘event-trace’ console command.
+     */
+
+    //  Persistent setting (see setTracingEnabled()).
+    tracingEnabledLocalStorageKey: "notification-center-tracing-enabled",
+
+    tracingEnabled: (localStorage.getItem("notification-center-tracing-enabled") == "true"),
+
+    /*  Handlers that take longer than this (in milliseconds) are flagged as
+        slow in the trace.
+     */
+    slowHandlerThreshold: 16,
+
+    //  Top-level trace records beyond this number are discarded, oldest first.
+    maxTraceLength: 2000,
+
+    //  Top-level trace records.
+    trace: [ ],
+
+    /*  Trace records (and handler records) currently open. New trace records
+        are nested within the last one.
+     */
+    traceStack: [ ],
+
+    /*  Enable or disable event tracing (optionally saving the setting, so that
+        tracing is enabled from the start of the next page load).
+     */
+    setTracingEnabled: (enable, permanently = false) => {
+        GW.notificationCenter.tracingEnabled = enable;
+
+        if (permanently) {
+            if (enable)
+                localStorage.setItem(GW.notificationCenter.tracingEnabledLocalStorageKey, "true");
+            else
+                localStorage.removeItem(GW.notificationCenter.tracingEnabledLocalStorageKey);
+        }
+    },
+
+    clearTrace: () => {
+        GW.notificationCenter.trace = [ ];
+        GW.notificationCenter.traceStack = [ ];
+    },
+
+    /*  Returns a short human-readable description of a handler function: its
+        name, if it has one; failing that, the label of its first GWLog() call
+        (which, by convention, is the name of the function); failing that, the
+        first line of its source.
+     */
+    handlerDescription: (f) => {
+        if (f.name)
+            return f.name;
+
+        let source = f.toString();
+        return (   /GWLog\(["'`]([^"'`]+)["'`]/.exec(source)?.[1]
+                ?? source.split("\n")[0].slice(0, 80));
+    },
+
+    //  Called by: GW.notificationCenter.fireEvent
+    beginTraceRecord: (eventName, eventInfo) => {
+        let record = {
+            eventName:  eventName,
+            source:     (eventInfo.source ?? null),
+            infoKeys:   Object.keys(eventInfo),
+            time:       performance.now(),
+            duration:   null,
+            handlers:   [ ],
+            events:     [ ]
+        };
+
+        let parent = GW.notificationCenter.traceStack.last;
+        if (parent) {
+            parent.events.push(record);
+        } else {
+            GW.notificationCenter.trace.push(record);
+            if (GW.notificationCenter.trace.length > GW.notificationCenter.maxTraceLength)
+                GW.notificationCenter.trace.shift();
+        }
+
+        GW.notificationCenter.traceStack.push(record);
+
+        return record;
+    },
+
+    //  Called by: GW.notificationCenter.fireEvent
+    endTraceRecord: (record) => {
+        record.duration = performance.now() - record.time;
+
+        /*  Truncating (rather than popping) the stack ensures that it is
+            left in a consistent state even if a nested firing was aborted
+            by an exception in one of its handlers.
+         */
+        let index = GW.notificationCenter.traceStack.lastIndexOf(record);
+        if (index != -1)
+            GW.notificationCenter.traceStack.length = index;
+    },
+
+    //  Called by: GW.notificationCenter.fireEvent
+    traceSkippedHandler: (record, handler) => {
+        record.handlers.push({
+            handler:    GW.notificationCenter.handlerDescription(handler.f),
+            phase:      (handler.options.phase ?? null),
+            condition:  false,
+            duration:   null,
+            slow:       false,
+            events:     [ ]
+        });
+    },
+
+    //  Called by: GW.notificationCenter.fireEvent
+    traceHandlerCall: (record, handler, conditionResult, eventInfo) => {
+        let handlerRecord = {
+            handler:    GW.notificationCenter.handlerDescription(handler.f),
+            phase:      (handler.options.phase ?? null),
+            condition:  (conditionResult == null ? null : true),
+            duration:   null,
+            slow:       false,
+            events:     [ ]
+        };
+        record.handlers.push(handlerRecord);
+
+        let stackDepth = GW.notificationCenter.traceStack.length;
+        GW.notificationCenter.traceStack.push(handlerRecord);
+
+        let startTime = performance.now();
+        try {
+            handler.f(eventInfo);
+        } finally {
+            handlerRecord.duration = performance.now() - startTime;
+            handlerRecord.slow = (handlerRecord.duration > GW.notificationCenter.slowHandlerThreshold);
+
+            GW.notificationCenter.traceStack.length = stackDepth;
+        }
+    },
+
+    //  Returns the trace as a JSON string.
+    traceJSON: () => {
+        return JSON.stringify({
+            url:                    location.href,
+            slowHandlerThreshold:   GW.notificationCenter.slowHandlerThreshold,
+            trace:                  GW.notificationCenter.trace
+        }, null, 2);
+    },
+
+    /***************************************************************************/
+
     /*  Fire an event with the given name and event info dictionary.
 
         In addition to printing a console log message (if the log level is set
@@ -801,6 +982,10 @@ GW.notificationCenter = {
         by an event handler, this string (ie. the value of the ‘source’ key)
         is (if present) included in the console message that is printed when the
         event is fired.
+
+        If event tracing is enabled (see GW.notificationCenter.setTracingEnabled),
+        each firing is also recorded in the event trace (see ‘EVENT TRACING’,
+        above).
      */
     fireEvent: (eventName, eventInfo = { }) => {
         if (!eventName)
@@ -834,37 +1019,60 @@ GW.notificationCenter = {
         if (GW.notificationCenter.prefireProcessors[eventName])
             eventInfo = GW.notificationCenter.prefireProcessors[eventName](eventInfo);
 
-        /*  Call all registered handlers (if any), in order.
-         */
-        if (GW.notificationCenter.eventHandlers[eventName]) {
-            for (let i = 0; i < GW.notificationCenter.eventHandlers[eventName].length; i++) {
-                let handler = GW.notificationCenter.eventHandlers[eventName][i];
-                /*  If a condition function is provided, call it to determine
-                    whether the handler function should be called.
-                 */
-                if (   handler.options.condition
-                    && handler.options.condition(eventInfo) == false)
-                    continue;
-
-                /*  If the condition function evaluated true, or if no condition
-                    function was provided, we call the handler.
-                 */
-                handler.f(eventInfo);
+        //  If tracing is enabled, begin a trace record for this firing.
+        let traceRecord = (GW.notificationCenter.tracingEnabled
+                           ? GW.notificationCenter.beginTraceRecord(eventName, eventInfo)
+                           : null);
 
-                /*  If the handler options specified a true value for the ‘once’
-                    key, we unregister this handler after having called it once.
+        /*  Call all registered handlers (if any), in order. (The trace record,
+            if any, is finished even if a handler throws, so that later events
+            are not recorded as having been fired from within this one.)
+         */
+        try {
+            if (GW.notificationCenter.eventHandlers[eventName]) {
+                for (let i = 0; i < GW.notificationCenter.eventHandlers[eventName].length; i++) {
+                    let handler = GW.notificationCenter.eventHandlers[eventName][i];
+                    /*  If a condition function is provided, call it to determine
+                        whether the handler function should be called.
+                     */
+                    let conditionResult = (handler.options.condition
+                                           ? handler.options.condition(eventInfo)
+                                           : null);
+                    if (conditionResult == false) {
+                        if (traceRecord)
+                            GW.notificationCenter.traceSkippedHandler(traceRecord, handler);
+
+                        continue;
+                    }
 
-                    (Note that in the case of an once-only handler that’s called
-                     conditionally, i.e. one with a specified condition function,
-                     regardless of how many times the named event fires, the handler
-                     is never automatically removed until its condition evaluates
-                     true and the handler actually gets called once.)
-                 */
-                if (handler.options.once) {
-                    GW.notificationCenter.eventHandlers[eventName].splice(i, 1);
-                    i--;
+                    /*  If the condition function evaluated true, or if no condition
+                        function was provided, we call the handler. (If tracing, we
+                        time the call, and record any events fired from within it.)
+                     */
+                    if (traceRecord)
+                        GW.notificationCenter.traceHandlerCall(traceRecord, handler, conditionResult, eventInfo);
+                    else
+                        handler.f(eventInfo);
+
+                    /*  If the handler options specified a true value for the ‘once’
+                        key, we unregister this handler after having called it once.
+
+                        (Note that in the case of an once-only handler that’s called
+                         conditionally, i.e. one with a specified condition function,
+                         regardless of how many times the named event fires, the handler
+                         is never automatically removed until its condition evaluates
+                         true and the handler actually gets called once.)
+                     */
+                    if (handler.options.once) {
+                        GW.notificationCenter.eventHandlers[eventName].splice(i, 1);
+                        i--;
+                    }
                 }
             }
+        } finally {
+            //  Finish the trace record, if tracing.
+            if (traceRecord)
+                GW.notificationCenter.endTraceRecord(traceRecord);
         }
 
         //  Unregister this event from the list of events currently being fired.
@@ -154,6 +154,54 @@ function versionedAssetURL(pathname) {
 }
 
 
+/******************/
+/* SERVICE WORKER */
+/******************/
+
+/*	The service worker (see service-worker.js) precaches static assets and
+	caches visited pages and annotations, for offline reading. It may be
+	disabled via local storage (which also unregisters it).
+ */
+GW.serviceWorker = {
+	scriptPathname: "/static/js/service-worker.js",
+
+	isEnabled: () => {
+		return (   "serviceWorker" in navigator
+				&& localStorage.getItem("service-worker-disabled") != "true");
+	},
+
+	setEnabled: (enable) => {
+		if (enable)
+			localStorage.removeItem("service-worker-disabled");
+		else
+			localStorage.setItem("service-worker-disabled", "true");
+
+		GW.serviceWorker.updateRegistration();
+	},
+
+	updateRegistration: () => {
+		if ("serviceWorker" in navigator == false)
+			return;
+
+		if (GW.serviceWorker.isEnabled()) {
+			navigator.serviceWorker.register(GW.serviceWorker.scriptPathname, { scope: "/" }).catch(error => {
+				GWLog(`Could not register service worker: ${error}`, "misc.js", 1);
+			});
+		} else {
+			navigator.serviceWorker.getRegistrations().then(registrations => {
+				registrations.forEach(registration => {
+					registration.unregister();
+				});
+			});
+		}
+	}
+};
+
+doWhenPageLoaded(() => {
+	GW.serviceWorker.updateRegistration();
+});
+
+
 /*************/
 /* DOCUMENTS */
 /*************/
@@ -0,0 +1,473 @@
+/********************/
+/* PERSISTENT CACHE */
+/********************/
+
+/*	Size-bounded, least-recently-used cache of raw response text, stored in
+	IndexedDB so that it persists across page loads. Used by Content and
+	Annotations to avoid re-requesting the same pages, fragments, and
+	annotations on every page view.
+
+	Each entry is keyed by a string (usually the href of the source URL), and
+	is a dictionary with the following keys/values:
+
+	- ‘key’
+		The cache key.
+
+	- ‘url’
+		The URL (as string) from which the data was retrieved.
+
+	- ‘data’
+		The raw response text (or null, for failure entries).
+
+	- ‘failed’
+		True if the entry records a failed load (see .setLoadingFailed()).
+
+	- ‘size’
+		Approximate storage size of the entry, in bytes.
+
+	- ‘version’
+		The asset version (from GW.assetVersions) of the URL at the time the
+		entry was stored, if any. An entry whose version does not match the
+		current asset version of its URL is invalid.
+
+	- ‘etag’
+		The ETag response header of the response, if any. Entries with an ETag
+		(but no asset version) are revalidated in the background whenever they
+		are retrieved; if the server returns a new version, the entry is
+		replaced (and the new version is used on subsequent page loads).
+
+	- ‘expires’
+		Timestamp (ms) after which the entry is invalid.
+
+	- ‘lastAccess’
+		Timestamp (ms) of the last time the entry was stored or retrieved. Used
+		to determine eviction order when the cache exceeds its size budget.
+
+	- ‘pinned’
+		True if the entry has been pinned (see .pin()). Pinned entries do not
+		expire, and are not evicted to stay within the size budget (though
+		they do count toward it).
+
+	All methods are asynchronous, and take callbacks (if they return anything).
+	If IndexedDB is unavailable (or the cache is disabled), all lookups miss,
+	and all writes are silently discarded.
+ */
+PersistentCache = {
+	/*****************/
+	/*	Configuration.
+	 */
+
+	databaseName: "gw-persistent-cache",
+	databaseVersion: 1,
+	storeName: "entries",
+
+	//	Total size budget, in bytes. (Override via local storage.)
+	maxSize: parseInt(localStorage.getItem("persistent-cache-max-size") || `${(32 * 1024 * 1024)}`),
+
+	//	Maximum lifetime of a successful entry, in ms.
+	maxAge: 7 * 24 * 60 * 60 * 1000,
+
+	//	Lifetime of a failure entry, in ms.
+	loadingFailedTTL: 5 * 60 * 1000,
+
+	//	Delay before running eviction after a write, in ms.
+	evictionDelay: 2000,
+
+	/*********/
+	/*	State.
+	 */
+
+	database: null,
+
+	databaseUnavailable: false,
+
+	//	Functions waiting for the database to open.
+	waitingForDatabase: [ ],
+
+	evictionTimer: null,
+
+	/***********/
+	/*	General.
+	 */
+
+	isEnabled: () => {
+		return (   window.indexedDB != null
+				&& localStorage.getItem("persistent-cache-disabled") != "true");
+	},
+
+	setEnabled: (enable) => {
+		if (enable) {
+			localStorage.removeItem("persistent-cache-disabled");
+		} else {
+			localStorage.setItem("persistent-cache-disabled", "true");
+			PersistentCache.clear();
+		}
+	},
+
+	/*	Returns the current asset version of the given URL (if any).
+	 */
+	versionForURL: (url) => {
+		if (typeof url == "string")
+			url = new URL(url);
+
+		return (url.hostname == location.hostname
+				? (GW.assetVersions[url.pathname] ?? null)
+				: null);
+	},
+
+	isEntryValid: (entry) => {
+		if (   entry.pinned != true
+			&& entry.expires < Date.now())
+			return false;
+
+		if (entry.version != PersistentCache.versionForURL(entry.url))
+			return false;
+
+		return true;
+	},
+
+	/************/
+	/*	Database.
+	 */
+
+	/*	Call the given function, passing the open database, as soon as the
+		database is open (opening it, if need be). If the database is not
+		available, the function is passed null.
+	 */
+	doWhenDatabaseOpen: (f) => {
+		if (   PersistentCache.databaseUnavailable
+			|| PersistentCache.isEnabled() == false) {
+			f(null);
+		} else if (PersistentCache.database) {
+			f(PersistentCache.database);
+		} else {
+			PersistentCache.waitingForDatabase.push(f);
+
+			if (PersistentCache.waitingForDatabase.length == 1)
+				PersistentCache.openDatabase();
+		}
+	},
+
+	//	Called by: PersistentCache.doWhenDatabaseOpen
+	openDatabase: () => {
+		GWLog("PersistentCache.openDatabase", "persistent-cache.js", 1);
+
+		let databaseDidOpen = (database) => {
+			if (database) {
+				PersistentCache.database = database;
+			} else {
+				PersistentCache.databaseUnavailable = true;
+			}
+
+			let waiting = PersistentCache.waitingForDatabase;
+			PersistentCache.waitingForDatabase = [ ];
+			waiting.forEach(f => { f(database); });
+		};
+
+		let request;
+		try {
+			request = indexedDB.open(PersistentCache.databaseName, PersistentCache.databaseVersion);
+		} catch (error) {
+			databaseDidOpen(null);
+			return;
+		}
+
+		request.onupgradeneeded = (event) => {
+			let database = event.target.result;
+			if (database.objectStoreNames.contains(PersistentCache.storeName))
+				database.deleteObjectStore(PersistentCache.storeName);
+
+			let store = database.createObjectStore(PersistentCache.storeName, { keyPath: "key" });
+			store.createIndex("lastAccess", "lastAccess");
+		};
+		request.onsuccess = (event) => {
+			databaseDidOpen(event.target.result);
+		};
+		request.onerror = (event) => {
+			GWLog("Could not open persistent cache database", "persistent-cache.js", 1);
+
+			databaseDidOpen(null);
+		};
+	},
+
+	/*********************/
+	/*	Entry operations.
+	 */
+
+	/*	Passes the (valid) entry for the given key to the callback, or null if
+		no valid entry exists. Invalid entries encountered are deleted.
+	 */
+	get: (key, callback) => {
+		PersistentCache.doWhenDatabaseOpen((database) => {
+			if (database == null) {
+				callback(null);
+				return;
+			}
+
+			let store = database.transaction(PersistentCache.storeName, "readwrite").objectStore(PersistentCache.storeName);
+			let request = store.get(key);
+			request.onsuccess = (event) => {
+				let entry = request.result ?? null;
+				if (entry) {
+					if (PersistentCache.isEntryValid(entry)) {
+						//	Update access time (for LRU eviction).
+						entry.lastAccess = Date.now();
+						store.put(entry);
+					} else {
+						store.delete(key);
+						entry = null;
+					}
+				}
+
+				//	Check for newer version, if possible.
+				if (   entry
+					&& entry.etag
+					&& entry.version == null)
+					PersistentCache.revalidate(entry);
+
+				callback(entry);
+			};
+			request.onerror = (event) => {
+				callback(null);
+			};
+		});
+	},
+
+	/*	Stores the given data under the given key. Available options:
+
+		url (key)
+			URL (string or URL) from which the data was retrieved; defaults to
+			the key.
+
+		etag (null)
+			ETag response header, for revalidation.
+
+		ttl (PersistentCache.maxAge)
+			Lifetime of the entry, in ms.
+
+		failed (false)
+			Whether the entry records a failed load.
+
+		pinned (unchanged)
+			Whether the entry is pinned (see .pin()). If not specified, an
+			existing entry’s pinned status is kept.
+	 */
+	set: (key, data, options = { }) => {
+		PersistentCache.doWhenDatabaseOpen((database) => {
+			if (database == null)
+				return;
+
+			let url = (options.url ?? key).toString();
+			let now = Date.now();
+			let entry = {
+				key:         key,
+				url:         url,
+				data:        data,
+				failed:      (options.failed ?? false),
+				size:        (2 * (key.length + url.length + (data ? data.length : 0))),
+				version:     PersistentCache.versionForURL(url),
+				etag:        (options.etag ?? null),
+				expires:     now + (options.ttl ?? PersistentCache.maxAge),
+				lastAccess:  now
+			};
+
+			//	Entries larger than the entire budget are not stored.
+			if (entry.size > PersistentCache.maxSize)
+				return;
+
+			let transaction = database.transaction(PersistentCache.storeName, "readwrite");
+			let store = transaction.objectStore(PersistentCache.storeName);
+			store.get(key).onsuccess = (event) => {
+				entry.pinned = (options.pinned ?? event.target.result?.pinned ?? false);
+				store.put(entry);
+			};
+			transaction.oncomplete = (event) => {
+				PersistentCache.scheduleEviction();
+			};
+			transaction.onerror = (event) => {
+				GWLog(`Could not store persistent cache entry for ${key}`, "persistent-cache.js", 1);
+
+				//	Quota may have been exceeded; make some room.
+				PersistentCache.scheduleEviction();
+			};
+		});
+	},
+
+	/*	Records a failed load for the given key. Failure entries expire after
+		a short time (see PersistentCache.loadingFailedTTL), so that loading is
+		re-attempted later.
+	 */
+	setLoadingFailed: (key, options = { }) => {
+		PersistentCache.set(key, null, Object.assign({ }, options, {
+			failed: true,
+			ttl: PersistentCache.loadingFailedTTL
+		}));
+	},
+
+	/*	Pins (or unpins) the entry for the given key. Passes true to the
+		callback if the entry exists (and was pinned or unpinned), false
+		otherwise.
+	 */
+	pin: (key, pinned = true, callback = null) => {
+		PersistentCache.doWhenDatabaseOpen((database) => {
+			if (database == null) {
+				if (callback)
+					callback(false);
+
+				return;
+			}
+
+			let store = database.transaction(PersistentCache.storeName, "readwrite").objectStore(PersistentCache.storeName);
+			store.get(key).onsuccess = (event) => {
+				let entry = event.target.result;
+				if (   entry
+					&& entry.failed == false) {
+					entry.pinned = pinned;
+					store.put(entry);
+				}
+
+				if (callback)
+					callback(entry != null && entry.failed == false);
+			};
+		});
+	},
+
+	remove: (key) => {
+		PersistentCache.doWhenDatabaseOpen((database) => {
+			if (database == null)
+				return;
+
+			database.transaction(PersistentCache.storeName, "readwrite").objectStore(PersistentCache.storeName).delete(key);
+		});
+	},
+
+	clear: (callback = null) => {
+		PersistentCache.doWhenDatabaseOpen((database) => {
+			if (database == null) {
+				if (callback)
+					callback();
+
+				return;
+			}
+
+			let transaction = database.transaction(PersistentCache.storeName, "readwrite");
+			transaction.objectStore(PersistentCache.storeName).clear();
+			transaction.oncomplete = (event) => {
+				if (callback)
+					callback();
+			};
+		});
+	},
+
+	/*	Passes an array of all entries (most recently accessed first) to the
+		callback. (Entry data is omitted.)
+	 */
+	allEntries: (callback) => {
+		PersistentCache.doWhenDatabaseOpen((database) => {
+			if (database == null) {
+				callback([ ]);
+				return;
+			}
+
+			let entries = [ ];
+			let index = database.transaction(PersistentCache.storeName, "readonly").objectStore(PersistentCache.storeName).index("lastAccess");
+			index.openCursor(null, "prev").onsuccess = (event) => {
+				let cursor = event.target.result;
+				if (cursor) {
+					entries.push(Object.assign({ }, cursor.value, { data: null }));
+					cursor.continue();
+				} else {
+					callback(entries);
+				}
+			};
+		});
+	},
+
+	/****************/
+	/*	Revalidation.
+	 */
+
+	/*	Check whether a newer version of the entry’s data is available from
+		the server (using a conditional request); if so, replace the entry
+		(or delete it, if the data is gone).
+	 */
+	//	Called by: PersistentCache.get
+	revalidate: (entry) => {
+		requestIdleCallback(() => {
+			doAjax({
+				location: entry.url,
+				headers: { "If-None-Match": entry.etag },
+				onSuccess: (event) => {
+					//	Not modified.
+					if (event.target.status == 304)
+						return;
+
+					let etag = event.target.getResponseHeader("ETag");
+					if (etag == entry.etag)
+						return;
+
+					GWLog(`Persistent cache entry for ${entry.key} is stale; updating`, "persistent-cache.js", 2);
+
+					PersistentCache.set(entry.key, event.target.responseText, {
+						url: entry.url,
+						etag: etag
+					});
+				},
+				onFailure: (event) => {
+					if ([ 404, 410 ].includes(event.target.status))
+						PersistentCache.remove(entry.key);
+				}
+			});
+		});
+	},
+
+	/************/
+	/*	Eviction.
+	 */
+
+	//	Called by: PersistentCache.set
+	scheduleEviction: () => {
+		clearTimeout(PersistentCache.evictionTimer);
+		PersistentCache.evictionTimer = setTimeout(() => {
+			requestIdleCallback(PersistentCache.evict);
+		}, PersistentCache.evictionDelay);
+	},
+
+	/*	Delete least recently accessed entries, until total size is within
+		budget. (Also deletes any invalid entries encountered.)
+	 */
+	evict: () => {
+		GWLog("PersistentCache.evict", "persistent-cache.js", 2);
+
+		PersistentCache.doWhenDatabaseOpen((database) => {
+			if (database == null)
+				return;
+
+			let totalSize = 0;
+			let overBudget = false;
+			let index = database.transaction(PersistentCache.storeName, "readwrite").objectStore(PersistentCache.storeName).index("lastAccess");
+			index.openCursor(null, "prev").onsuccess = (event) => {
+				let cursor = event.target.result;
+				if (cursor == null)
+					return;
+
+				/*	Once the budget is exceeded, all less recently accessed
+					entries are deleted (except pinned entries).
+				 */
+				let entry = cursor.value;
+				if (overBudget == false)
+					overBudget = (totalSize + entry.size > PersistentCache.maxSize);
+
+				if (   (   overBudget
+						&& entry.pinned != true)
+					|| PersistentCache.isEntryValid(entry) == false) {
+					cursor.delete();
+				} else {
+					totalSize += entry.size;
+				}
+
+				cursor.continue();
+			};
+		});
+	}
+};
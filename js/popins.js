@@ -78,6 +78,9 @@ Popins = {
 
 			//  Mark target as spawning a popin.
 			target.classList.toggle("spawns-popin", true);
+
+			//	Mark target as having no open popin (for assistive technologies).
+			Popins.setTargetExpanded(target, null);
 		});
 	},
 
@@ -113,6 +116,9 @@ Popins = {
 
 			//  Un-mark target as spawning a popin.
 			target.classList.toggle("spawns-popin", false);
+			[ "aria-expanded", "aria-controls" ].forEach(attribute => {
+				target.removeAttribute(attribute);
+			});
 
 			//  Run any custom processing.
 			targetRestoreFunction = targetRestoreFunction ?? target.restoreTarget;
@@ -163,6 +169,20 @@ Popins = {
 		return Popins.spawnedPopins;
 	},
 
+	/*	Returns the spawning targets of the given popin and of all the popins
+		below it in its stack (from the bottom of the stack to the top).
+	 */
+	//	Called by: Popins.addFooterBarToPopin
+	popinStackTargets: (popin) => {
+		let targets = [ ];
+		while (popin) {
+			targets.unshift(popin.spawningTarget);
+			popin = Popins.containingPopFrame(popin.spawningTarget);
+		}
+
+		return targets;
+	},
+
 	//	Called by: Popins.addTitleBarToPopin
 	popinStackNumber: (popin) => {
 		//  If there’s another popin in the ‘stack’ below this one…
@@ -238,14 +258,25 @@ Popins = {
 			if (newlyAddedElement.buttonAction)
 				newlyAddedElement.addActivateEvent(newlyAddedElement.buttonAction);
 		});
+
+		//  Label the popin by its title (for assistive technologies).
+		let popinTitle = popin.titleBar.querySelector(".popframe-title");
+		if (popinTitle) {
+			popinTitle.id = `${popin.id}-title`;
+			popin.setAttribute("aria-labelledby", popinTitle.id);
+		}
 	},
 
-	/*  Add secondary title-link to a popin which has a title-link.
+	/*  Add secondary title-link to a popin which has a title-link, and a
+		breadcrumb (showing the chain of spawning links) to a popin which is
+		not at the bottom of its stack.
 		*/
 	//	Called by: Popins.injectPopinForTarget
 	addFooterBarToPopin: (popin) => {
 		let popinTitleLink = popin.querySelector(".popframe-title-link");
-		if (!popinTitleLink)
+		let popinStackTargets = Popins.popinStackTargets(popin);
+		if (   popinTitleLink == null
+			&& popinStackTargets.length < 2)
 			return;
 
 		//  Set class ‘has-footer-bar’ on the popin.
@@ -256,14 +287,64 @@ Popins = {
 		popin.footerBar.classList.add("popin-footer-bar");
 		popin.insertBefore(popin.footerBar, null);
 
+		//	Inject stack breadcrumb.
+		if (popinStackTargets.length > 1)
+			popin.footerBar.appendChild(Popins.stackBreadcrumb(popinStackTargets));
+
 		//	Inject footer title-link.
-		let footerTitleLink = newElement("A");
-		footerTitleLink.classList.add("popframe-title-link");
-		footerTitleLink.href = popinTitleLink.href;
-		footerTitleLink.title = `Open ${footerTitleLink.href} in a new tab.`;
-		footerTitleLink.target = "_blank";
-		footerTitleLink.textContent = "Open in new tab…";
-		popin.footerBar.appendChild(footerTitleLink);
+		if (popinTitleLink) {
+			let footerTitleLink = newElement("A");
+			footerTitleLink.classList.add("popframe-title-link");
+			footerTitleLink.href = popinTitleLink.href;
+			footerTitleLink.title = `Open ${footerTitleLink.href} in a new tab.`;
+			footerTitleLink.target = "_blank";
+			footerTitleLink.textContent = "Open in new tab…";
+			popin.footerBar.appendChild(footerTitleLink);
+		}
+	},
+
+	//	Maximum length of a link title in a popin stack breadcrumb.
+	stackBreadcrumbItemMaxLength: 24,
+
+	/*	Returns a breadcrumb for the given chain of spawning targets (from the
+		bottom of the popin stack to the top). Activating an item removes all
+		the popins above that item’s popin.
+	 */
+	//	Called by: Popins.addFooterBarToPopin
+	stackBreadcrumb: (popinStackTargets) => {
+		let breadcrumb = newElement("NAV", {
+			"class": "popin-stack-breadcrumb",
+			"aria-label": "Popin stack"
+		});
+
+		popinStackTargets.forEach((target, index) => {
+			let title = (target.textContent.trim() || target.title || target.href || "");
+			let item;
+			if (index < popinStackTargets.length - 1) {
+				item = newElement("BUTTON", {
+					"type": "button",
+					"class": "popin-stack-breadcrumb-item",
+					"title": `Go back to “${title}”`
+				});
+				item.addActivateEvent((event) => {
+					event.stopPropagation();
+
+					if (target.popin)
+						Popins.removePopinsAbove(target.popin);
+				});
+			} else {
+				item = newElement("SPAN", {
+					"class": "popin-stack-breadcrumb-item current",
+					"aria-current": "true"
+				});
+			}
+			item.textContent = (title.length > Popins.stackBreadcrumbItemMaxLength
+								? title.slice(0, Popins.stackBreadcrumbItemMaxLength - 1).trim() + "…"
+								: title);
+			breadcrumb.appendChild(item);
+		});
+
+		return breadcrumb;
 	},
 
 	/*  Elements and methods related to popin title bars.
@@ -336,6 +417,53 @@ Popins = {
 		popin.uiElementsContainer.append(...args);
 	},
 
+	/************************/
+	/*	Popin accessibility.
+		*/
+
+	/*	Popins are complementary regions, labelled by their title (if they
+		have a title bar) or else by their spawning link’s text. Spawning
+		links indicate whether their popin is open (aria-expanded), and which
+		popin it is (aria-controls). Keyboard focus moves into a popin opened
+		from the keyboard, and returns to the spawning link when the popin is
+		removed.
+	 */
+
+	//	Used to give each popin a unique ID.
+	popinsCreatedCount: 0,
+
+	//	Called by: Popins.newPopin
+	setPopinAccessibilityAttributes: (popin) => {
+		popin.id = `popin-${(++Popins.popinsCreatedCount)}`;
+
+		popin.setAttribute("role", "complementary");
+
+		let label = (popin.spawningTarget.textContent.trim() || popin.spawningTarget.title);
+		if (label)
+			popin.setAttribute("aria-label", label);
+	},
+
+	/*	Sets ARIA attributes on a target to indicate whether it has an open
+		popin (pass null if not).
+	 */
+	//	Called by: Popins.addTargetsWithin
+	//	Called by: Popins.injectPopinForTarget
+	//	Called by: Popins.detachPopinFromTarget
+	setTargetExpanded: (target, popin) => {
+		target.setAttribute("aria-expanded", (popin ? "true" : "false"));
+
+		if (popin)
+			target.setAttribute("aria-controls", popin.id);
+		else
+			target.removeAttribute("aria-controls");
+	},
+
+	//	Called by: Popins.targetClicked (event handler)
+	moveKeyboardFocusIntoPopin: (popin) => {
+		popin.scrollView.tabIndex = -1;
+		popin.scrollView.focus({ preventScroll: true });
+	},
+
 	/******************/
 	/*	Popin spawning.
 		*/
@@ -364,9 +492,17 @@ Popins = {
 
 		popin.titleBarContents = [ ];
 
+		/*	Aborted when the popin is removed (so that requests made for the
+			popin’s content can be cancelled; see doAjax() in utility.js).
+		 */
+		popin.abortController = new AbortController();
+
 		//  Give the popin a reference to the target.
 		popin.spawningTarget = target;
 
+		//	Set ARIA role and label.
+		Popins.setPopinAccessibilityAttributes(popin);
+
 		return popin;
 	},
 
@@ -427,6 +563,9 @@ Popins = {
 		//	Push popin onto spawned popins stack.
 		Popins.spawnedPopins.unshift(target.popin);
 
+		//	Add swipe and long-press event listeners.
+		Popins.addTouchGestureListenersToPopin(target.popin);
+
 		//	Designate ancestors.
 		let ancestor = target.popin.parentElement;
 		do { ancestor.classList.add("popin-ancestor"); }
@@ -435,6 +574,7 @@ Popins = {
 
 		//  Mark target as having an open popin associated with it.
 		target.classList.add("popin-open", "highlighted");
+		Popins.setTargetExpanded(target, target.popin);
 
 		//	Adjust popin position.
 		requestAnimationFrame(() => {
@@ -485,6 +625,21 @@ Popins = {
 		});
 	},
 
+	/*	Removes all popins above the given popin in its stack (leaving it at
+		the top).
+	 */
+	//	Called by: Popins.stackBreadcrumb
+	removePopinsAbove: (popin) => {
+		GWLog("Popins.removePopinsAbove", "popins.js", 2);
+
+		let topPopin;
+		while (   (topPopin = Popins.getTopPopin())
+			   && topPopin != popin)
+			Popins.removePopin(topPopin);
+
+		Popins.scrollPopinIntoView(popin);
+	},
+
 	//	Called by: Popins.cleanup
 	//	Called by: Popins.targetClicked (event handler)
 	//	Called by: Popins.removeTargetsWithin
@@ -502,6 +657,9 @@ Popins = {
 		//	Save place.
 		let ancestor = popin.parentElement;
 
+		//	Note whether the popin has keyboard focus (to return it, below).
+		let popinHadKeyboardFocus = popin.contains(document.activeElement);
+
 		//	Remove from spawned popins stack.
 		Popins.spawnedPopins.shift();
 
@@ -518,6 +676,14 @@ Popins = {
 
 		//  Detach popin from its spawning target.
 		Popins.detachPopinFromTarget(popin);
+
+		//	Cancel any requests still pending for the popin.
+		popin.abortController.abort();
+
+		//	Return keyboard focus to the popin’s spawning link.
+		if (   popinHadKeyboardFocus
+			&& popin.spawningTarget?.isConnected)
+			popin.spawningTarget.focus();
 	},
 
 	//	Called by: Popins.removePopin
@@ -530,6 +696,7 @@ Popins = {
 		popin.spawningTarget.popin = null;
 		popin.spawningTarget.popFrame = null;
 		popin.spawningTarget.classList.remove("popin-open", "highlighted");
+		Popins.setTargetExpanded(popin.spawningTarget, null);
 	},
 
 	isSpawned: (popin) => {
@@ -537,6 +704,244 @@ Popins = {
 				&& popin.parentElement);
 	},
 
+	/*******************/
+	/*	Touch gestures.
+		*/
+
+	/*	Swiping down on the top popin (while it is scrolled to the top)
+		dismisses it. Swiping right steps back through the popin stack
+		(removing the top popin); swiping left steps forward again (re-opening
+		the popin most recently stepped back from). Long-pressing a link in a
+		popin opens the link in a new tab (in the background, where the
+		browser allows it), instead of following it.
+	 */
+
+	//	Minimum swipe distance, in px.
+	swipeDistanceThreshold: 80,
+
+	//	Distance, in px, beyond which a touch is a swipe (or a scroll).
+	touchMovementThreshold: 10,
+
+	//	Duration of a long press, in ms.
+	longPressDuration: 500,
+
+	//	Targets of popins stepped back from (most recent last).
+	forwardStackTargets: [ ],
+
+	//	State of the current touch gesture (if any).
+	touchGesture: null,
+
+	//	Called by: Popins.injectPopinForTarget
+	addTouchGestureListenersToPopin: (popin) => {
+		popin.addEventListener("touchstart", Popins.popinTouchStart, { passive: true });
+		popin.addEventListener("touchmove", Popins.popinTouchMove, { passive: false });
+		popin.addEventListener("touchend", Popins.popinTouchEnd);
+		popin.addEventListener("touchcancel", Popins.popinTouchCancel);
+		popin.addEventListener("contextmenu", Popins.popinContextMenu);
+		popin.addEventListener("click", Popins.popinClickCapture, { capture: true });
+	},
+
+	/*	Returns true if the element, or any of its ancestors (up to the popin),
+		can be scrolled horizontally (in which case horizontal swipes are left
+		to the browser).
+	 */
+	//	Called by: Popins.popinTouchStart (event handler)
+	touchPathScrollsHorizontally: (path, popin) => {
+		for (let element of path) {
+			if (element == popin)
+				break;
+			if (   element instanceof Element
+				&& element.scrollWidth > element.clientWidth
+				&& [ "auto", "scroll" ].includes(getComputedStyle(element).overflowX))
+				return true;
+		}
+
+		return false;
+	},
+
+	//	Called by: Popins.popinTouchEnd (event handler)
+	openLinkInBackground: (link) => {
+		GWLog("Popins.openLinkInBackground", "popins.js", 2);
+
+		window.open(link.href, "_blank", "noopener");
+		window.focus();
+	},
+
+	//	Called by: Popins.popinTouchEnd (event handler)
+	stepBackInPopinStack: () => {
+		GWLog("Popins.stepBackInPopinStack", "popins.js", 2);
+
+		let popin = Popins.getTopPopin();
+		if (popin == null)
+			return;
+
+		Popins.forwardStackTargets.push(popin.spawningTarget);
+		Popins.removePopin(popin);
+	},
+
+	//	Called by: Popins.popinTouchEnd (event handler)
+	stepForwardInPopinStack: () => {
+		GWLog("Popins.stepForwardInPopinStack", "popins.js", 2);
+
+		let target = Popins.forwardStackTargets.pop();
+		if (   target == null
+			|| target.isConnected == false
+			|| target.popin != null
+			|| target.preparePopin == null)
+			return;
+
+		Popins.injectPopinForTarget(target);
+	},
+
+	//	Called by: Popins.popinTouchEnd (event handler)
+	//	Called by: Popins.popinTouchCancel (event handler)
+	endTouchGesture: () => {
+		let gesture = Popins.touchGesture;
+		if (gesture == null)
+			return;
+
+		clearTimeout(gesture.longPressTimer);
+
+		gesture.popin.classList.remove("swiping");
+		gesture.popin.style.transform = "";
+		gesture.popin.style.opacity = "";
+
+		Popins.touchGesture = null;
+	},
+
+	//	Added by: Popins.addTouchGestureListenersToPopin
+	popinTouchStart: (event) => {
+		Popins.endTouchGesture();
+		Popins.suppressNextClick = false;
+
+		if (event.touches.length != 1)
+			return;
+
+		let popin = event.currentTarget;
+		let path = event.composedPath();
+		let gesture = Popins.touchGesture = {
+			popin:                   popin,
+			startX:                  event.touches[0].clientX,
+			startY:                  event.touches[0].clientY,
+			deltaX:                  0,
+			deltaY:                  0,
+			//	One of "swipe-down", "swipe-horizontal", or "scroll".
+			type:                    null,
+			isTopPopin:              (popin == Popins.getTopPopin()),
+			scrollsHorizontally:     Popins.touchPathScrollsHorizontally(path, popin),
+			link:                    path.find(element => (element instanceof HTMLAnchorElement && element.href > "")),
+			longPressTimer:          null,
+			longPressFired:          false
+		};
+
+		if (gesture.link) {
+			/*	The link is opened when the touch ends (see Popins.popinTouchEnd),
+				not when the timer fires: opening a window requires user
+				activation, which a touchend event has but a timer does not.
+			 */
+			gesture.longPressTimer = setTimeout(() => {
+				gesture.longPressFired = true;
+			}, Popins.longPressDuration);
+		}
+	},
+
+	//	Added by: Popins.addTouchGestureListenersToPopin
+	popinTouchMove: (event) => {
+		let gesture = Popins.touchGesture;
+		if (gesture == null)
+			return;
+
+		gesture.deltaX = event.touches[0].clientX - gesture.startX;
+		gesture.deltaY = event.touches[0].clientY - gesture.startY;
+
+		let distance = Math.max(Math.abs(gesture.deltaX), Math.abs(gesture.deltaY));
+		if (distance > Popins.touchMovementThreshold)
+			clearTimeout(gesture.longPressTimer);
+
+		//	Determine what kind of gesture this is.
+		if (   gesture.type == null
+			&& distance > Popins.touchMovementThreshold) {
+			if (gesture.isTopPopin == false) {
+				gesture.type = "scroll";
+			} else if (Math.abs(gesture.deltaX) > Math.abs(gesture.deltaY)) {
+				gesture.type = gesture.scrollsHorizontally ? "scroll" : "swipe-horizontal";
+			} else {
+				gesture.type = (   gesture.deltaY > 0
+								&& gesture.popin.scrollView.scrollTop <= 0)
+							   ? "swipe-down"
+							   : "scroll";
+			}
+
+			if (gesture.type != "scroll")
+				gesture.popin.classList.add("swiping");
+		}
+
+		//	Make the popin follow the swipe.
+		if (gesture.type == "swipe-down") {
+			event.preventDefault();
+
+			let offset = Math.max(0, gesture.deltaY);
+			gesture.popin.style.transform = `translateY(${offset}px)`;
+			gesture.popin.style.opacity = Math.max(0.25, 1 - offset / (4 * Popins.swipeDistanceThreshold));
+		} else if (gesture.type == "swipe-horizontal") {
+			event.preventDefault();
+
+			gesture.popin.style.transform = `translateX(${gesture.deltaX}px)`;
+		}
+	},
+
+	//	Added by: Popins.addTouchGestureListenersToPopin
+	popinTouchEnd: (event) => {
+		let gesture = Popins.touchGesture;
+		if (gesture == null)
+			return;
+
+		Popins.endTouchGesture();
+
+		if (gesture.type == "swipe-down") {
+			if (gesture.deltaY > Popins.swipeDistanceThreshold)
+				Popins.removePopin(gesture.popin);
+		} else if (gesture.type == "swipe-horizontal") {
+			if (gesture.deltaX > Popins.swipeDistanceThreshold)
+				Popins.stepBackInPopinStack();
+			else if (gesture.deltaX < -1 * Popins.swipeDistanceThreshold)
+				Popins.stepForwardInPopinStack();
+		}
+
+		//	Open a long-pressed link in the background (instead of following it).
+		if (gesture.longPressFired) {
+			Popins.openLinkInBackground(gesture.link);
+			Popins.suppressNextClick = true;
+		}
+	},
+
+	//	Added by: Popins.addTouchGestureListenersToPopin
+	popinTouchCancel: (event) => {
+		Popins.endTouchGesture();
+	},
+
+	/*	Prevent the browser’s own long-press menu on links (we handle long
+		presses ourselves).
+	 */
+	//	Added by: Popins.addTouchGestureListenersToPopin
+	popinContextMenu: (event) => {
+		if (Popins.touchGesture?.link)
+			event.preventDefault();
+	},
+
+	suppressNextClick: false,
+
+	//	Added by: Popins.addTouchGestureListenersToPopin
+	popinClickCapture: (event) => {
+		if (Popins.suppressNextClick == false)
+			return;
+
+		Popins.suppressNextClick = false;
+
+		event.preventDefault();
+		event.stopPropagation();
+	},
+
 	/*******************/
 	/*	Event listeners.
 		*/
@@ -553,13 +958,24 @@ Popins = {
 
 		let target = event.target.closest(".spawns-popin");
 
+		//	Click events fired by keyboard activation have no click count.
+		let activatedByKeyboard = (event.detail == 0);
+
 		if (target.classList.contains("popin-open")) {
 			Popins.allSpawnedPopins().forEach(popin => {
 				Popins.removePopin(popin);
 			});
 		} else {
+			//	Opening a new popin discards the forward history.
+			Popins.forwardStackTargets = [ ];
+
 			$(() => {
 				Popins.injectPopinForTarget(target);
+
+				//	Move keyboard focus into the popin.
+				if (   activatedByKeyboard
+					&& target.popin)
+					Popins.moveKeyboardFocusIntoPopin(target.popin);
 			});
 		}
 
@@ -39,6 +39,12 @@ Popups = {
 
 		//  Remove Escape key event listener.
 		document.removeEventListener("keyup", Popups.keyUp);
+
+		//	Remove keyboard navigation event listener.
+		document.removeEventListener("keydown", Popups.keyDown);
+
+		//  Remove popup tiling window resize listener.
+		window.removeEventListener("resize", Popups.tilePinnedPopups);
 	},
 
 	//	Called by: popups.js (doWhenPageLoaded)
@@ -64,6 +70,12 @@ Popups = {
 
 			//  Add Escape key event listener.
 			document.addEventListener("keyup", Popups.keyUp);
+
+			//	Add keyboard navigation event listener.
+			document.addEventListener("keydown", Popups.keyDown);
+
+			//  Add popup tiling window resize listener.
+			window.addEventListener("resize", Popups.tilePinnedPopups);
         });
 
 		GW.notificationCenter.fireEvent("Popups.setupDidComplete");
@@ -111,6 +123,10 @@ Popups = {
 
 			//  Mark target as spawning a popup.
 			target.classList.toggle("spawns-popup", true);
+
+			//	Mark target as spawning a popup (for assistive technologies).
+			target.setAttribute("aria-haspopup", "dialog");
+			Popups.setTargetExpanded(target, null);
 		});
 	},
 
@@ -154,6 +170,9 @@ Popups = {
 
 			//  Un-mark target as spawning a popup.
 			target.classList.toggle("spawns-popup", false);
+			[ "aria-haspopup", "aria-expanded", "aria-controls" ].forEach(attribute => {
+				target.removeAttribute(attribute);
+			});
 
 			//  Run any custom processing.
 			targetRestoreFunction = targetRestoreFunction ?? target.restoreTarget;
@@ -305,11 +324,19 @@ Popups = {
 
 		popup.titleBarContents = [ ];
 
+		/*	Aborted when the popup is despawned (so that requests made for the
+			popup’s content can be cancelled; see doAjax() in utility.js).
+		 */
+		popup.abortController = new AbortController();
+
 		popup.uiElementsContainer = popup.appendChild(newElement("DIV", { "class": "popframe-ui-elements-container" }));
 
 		//  Give the popup a reference to the target.
 		popup.spawningTarget = target;
 
+		//	Set ARIA role and label.
+		Popups.setPopupAccessibilityAttributes(popup);
+
 		return popup;
 	},
 
@@ -384,6 +411,7 @@ Popups = {
 
 		//  Mark target as having an active popup associated with it.
 		target.classList.add("popup-open");
+		Popups.setTargetExpanded(target, target.popup);
 
 		//  Fire notification event.
 		GW.notificationCenter.fireEvent("Popups.popupDidSpawn", { popup: target.popup });
@@ -490,9 +518,18 @@ Popups = {
 
 		GW.notificationCenter.fireEvent("Popups.popupWillDespawn", { popup: popup });
 
+		//	Note whether the popup has keyboard focus (to return it, below).
+		let focusedElement = Popups.keyboardFocusedElement();
+		let popupHadKeyboardFocus = (   focusedElement != null
+									 && Popups.containingPopFrame(focusedElement) == popup);
+
 		//  Detach popup from its spawning target.
 		Popups.detachPopupFromTarget(popup);
 
+		//	Un-mark target as having an open popup (unless it has another one).
+		if (popup.spawningTarget.getAttribute("aria-controls") == popup.id)
+			Popups.setTargetExpanded(popup.spawningTarget, null);
+
 		//  Remove popup from the page.
 		popup.remove();
 
@@ -503,18 +540,29 @@ Popups = {
 		//	Mark popup as despawned.
 		popup.isDespawned = true;
 
+		//	Cancel any requests still pending for the popup.
+		popup.abortController.abort();
+
 		//  Update z-indexes of all popups.
 		Popups.updatePopupsZOrder();
 
 		//  Enable/disable main document scrolling.
 		Popups.updatePageScrollState();
 
+		//  Re-tile the remaining pinned popups.
+		if (Popups.popupIsPinned(popup))
+			Popups.tilePinnedPopups();
+
 		//	Reset cursor to normal.
 		requestAnimationFrame(() => {
 			Popups.clearWaitCursorForTarget(popup.spawningTarget);
 		});
 
-        document.activeElement.blur();
+		//	Return keyboard focus to the popup’s spawning link.
+		if (popupHadKeyboardFocus)
+			Popups.moveKeyboardFocusToSpawningTarget(popup);
+		else
+			document.activeElement.blur();
     },
 
 	//	Called by: Popups.getPopupAncestorStack (recursively)
@@ -626,16 +674,42 @@ Popups = {
 	/*  Popup pinning/unpinning, zooming/tiling, & restoring.
 		*/
 
-	/*  Popup tiling control keys.
+	/*  Popup tiling control keys. One key per action, in the order given by
+		popupTilingControlActions (see Popups.keyUp). Empty if tiling via
+		keyboard has been disabled. (Set from local storage, or to the
+		default keys, once Popups is defined; see end of file.)
 		*/
-	popupTilingControlKeys: (localStorage.getItem("popup-tiling-control-keys") || ""),
-	//	This function is currently unused (but should be used in the future).
-	//		—SA, 2022-02-01
+	popupTilingControlKeys: null,
+
+	defaultPopupTilingControlKeys: "aswdqexzfcv",
+
+	//	Descriptions (for the options UI) of the actions bound to tiling keys.
+	popupTilingControlActions: [
+		"Left half",
+		"Bottom half",
+		"Top half",
+		"Right half",
+		"Top-left quarter",
+		"Top-right quarter",
+		"Bottom-right quarter",
+		"Bottom-left quarter",
+		"Full screen",
+		"Pin / unpin",
+		"Collapse / uncollapse"
+	],
+
+	/*	Pass null to set the default keys; pass an empty string to disable
+		tiling via keyboard.
+	 */
+	//	Called by: Extracts.saveOptions (extracts-options.js)
 	setPopupTilingControlKeys: (keystring) => {
 		GWLog("Popups.setPopupTilingControlKeys", "popups.js", 1);
 
-		Popups.popupTilingControlKeys = keystring || "aswdqexzfcv";
-		localStorage.setItem("popup-tiling-control-keys", Popups.popupTilingControlKeys);
+		Popups.popupTilingControlKeys = keystring ?? Popups.defaultPopupTilingControlKeys;
+		if (Popups.popupTilingControlKeys == Popups.defaultPopupTilingControlKeys)
+			localStorage.removeItem("popup-tiling-control-keys");
+		else
+			localStorage.setItem("popup-tiling-control-keys", Popups.popupTilingControlKeys);
 	},
 
 	//	Called by: Popups.titleBarComponents.pinButton
@@ -806,6 +880,9 @@ Popups = {
 		//  Update title bar buttons states (if any).
 		if (popup.titleBar)
 			popup.titleBar.updateState();
+
+		//  Re-tile the remaining pinned popups.
+		Popups.tilePinnedPopups();
 	},
 
 	//	Called by: Popups.titleBarComponents.zoomButton
@@ -843,6 +920,9 @@ Popups = {
 		//  Update title bar buttons states (if any).
 		if (popup.titleBar)
 			popup.titleBar.updateState();
+
+		//  Put the popup back among the tiled popups (if it’s pinned).
+		Popups.tilePinnedPopups();
 	},
 
 	//	Called by: Popups.keyUp (event handler)
@@ -854,6 +934,9 @@ Popups = {
 			Popups.unpinPopup(popup);
 		} else {
 			Popups.pinPopup(popup);
+
+			//	Move keyboard focus into the pinned popup.
+			Popups.moveKeyboardFocusIntoPopup(popup);
 		}
 	},
 
@@ -867,18 +950,238 @@ Popups = {
 		Popups.detachPopupFromTarget(popup);
 
 		popup.titleBar.updateState();
+
+		Popups.tilePinnedPopups();
 	},
 
 	//	Called by: Popups.pinOrUnpinPopup
 	unpinPopup: (popup) => {
 		GWLog("Popups.unpinPopup", "popups.js", 2);
 
+		//  Un-tile the popup, returning it to its normal size.
+		if (Popups.popupIsTiled(popup)) {
+			Popups.removeClassesFromPopFrame(popup, "tiled", "resized");
+
+			popup.style.width = "";
+			popup.style.height = "";
+			popup.style.maxWidth = "";
+			popup.style.maxHeight = "";
+			popup.scrollView.style.maxHeight = "";
+		}
+
 		popup.swapClasses([ "pinned", "unpinned" ], 1);
 		Popups.positionPopup(popup);
 		popup.popupStack.push(popup);
 		Popups.attachPopupToTarget(popup);
 
 		popup.titleBar.updateState();
+
+		Popups.tilePinnedPopups();
+	},
+
+	/***************************************************************/
+	/*  Popup state saving & restoring (see also extracts-session.js).
+		*/
+
+	/*	Returns a (JSON-serializable) description of the popup’s pinned,
+		zoomed, collapsed, and resized state, its position and size, and its
+		scroll position.
+	 */
+	popupState: (popup) => {
+		let rect = popup.getBoundingClientRect();
+		let height = (   Popups.popupIsCollapsed(popup)
+					  && popup.dataset.previousHeight)
+					 ? parseFloat(popup.dataset.previousHeight)
+					 : rect.height;
+
+		return {
+			pinned:     Popups.popupIsPinned(popup),
+			zoomPlace:  (Popups.popupIsZoomed(popup)
+						 ? (Popups.titleBarComponents.popupPlaces.find(place => popup.classList.contains(place)) ?? null)
+						 : null),
+			collapsed:  Popups.popupIsCollapsed(popup),
+			resized:    Popups.popupWasResized(popup),
+			rect:       {
+							x:       rect.left,
+							y:       rect.top,
+							width:   rect.width,
+							height:  height
+						},
+			scrollTop:  popup.scrollView.scrollTop
+		};
+	},
+
+	/*	Applies a state (as returned by Popups.popupState) to a newly spawned
+		popup. (Popups without a title bar cannot be pinned.)
+	 */
+	restorePopupState: (popup, state) => {
+		GWLog("Popups.restorePopupState", "popups.js", 2);
+
+		if (   state.pinned
+			&& popup.titleBar) {
+			Popups.pinPopup(popup);
+
+			//	Keep the popup on screen, even if the window is now smaller.
+			Popups.setPopupViewportRect(popup, {
+				x:       Math.max(0, Math.min(state.rect.x, window.innerWidth - state.rect.width)),
+				y:       Math.max(0, Math.min(state.rect.y, window.innerHeight - state.rect.height)),
+				width:   (state.resized ? state.rect.width : 0),
+				height:  (state.resized ? state.rect.height : 0)
+			});
+			if (state.resized)
+				Popups.addClassesToPopFrame(popup, "resized");
+
+			//  Cache the viewport rect.
+			popup.viewportRect = popup.getBoundingClientRect();
+		}
+
+		if (state.zoomPlace)
+			Popups.zoomPopup(popup, state.zoomPlace);
+
+		if (state.collapsed)
+			Popups.collapsePopup(popup);
+
+		popup.scrollView.scrollTop = state.scrollTop;
+
+		if (popup.titleBar)
+			popup.titleBar.updateState();
+	},
+
+	/****************/
+	/*  Popup tiling.
+		*/
+
+	popupTilingModeLocalStorageKey: "popup-tiling-mode",
+
+	/*	When a tiling mode is set, pinned popups (other than zoomed or
+		collapsed ones) are automatically arranged to fill the viewport, in
+		the order in which they were spawned:
+
+		grid: in rows of (as nearly as possible) equal-sized cells; a last
+			row which is not full is stretched to the full viewport width.
+
+		master-stack: the first popup fills the left part of the viewport
+			(see popupTilingMasterWidthFraction), and the rest are stacked,
+			with equal heights, in the right part.
+
+		The layout is recomputed whenever a popup is pinned, unpinned,
+		zoomed, restored, or closed, and when the window is resized.
+	 */
+	popupTilingModes: [ "grid", "master-stack" ],
+
+	popupTilingMasterWidthFraction: 0.5,
+
+	//	Returns the current tiling mode, or null (if tiling is off).
+	popupTilingMode: () => {
+		let mode = localStorage.getItem(Popups.popupTilingModeLocalStorageKey);
+		return (Popups.popupTilingModes.includes(mode)
+				? mode
+				: null);
+	},
+
+	/*	Sets the tiling mode (null turns tiling off, leaving popups where they
+		are), and tiles pinned popups accordingly.
+	 */
+	//	Called by: Popups.titleBarComponents.popupTilingButtons
+	setPopupTilingMode: (mode) => {
+		GWLog("Popups.setPopupTilingMode", "popups.js", 1);
+
+		if (Popups.popupTilingModes.includes(mode)) {
+			localStorage.setItem(Popups.popupTilingModeLocalStorageKey, mode);
+
+			Popups.tilePinnedPopups();
+		} else {
+			localStorage.removeItem(Popups.popupTilingModeLocalStorageKey);
+
+			Popups.allSpawnedPopups().forEach(popup => {
+				Popups.removeClassesFromPopFrame(popup, "tiled");
+			});
+		}
+
+		Popups.allSpawnedPopups().forEach(popup => {
+			if (popup.titleBar)
+				popup.titleBar.updateState();
+		});
+	},
+
+	//	Called by: Popups.unpinPopup
+	popupIsTiled: (popup) => {
+		return popup.classList.contains("tiled");
+	},
+
+	//	Called by: Popups.tilePinnedPopups
+	tileablePopups: () => {
+		return Popups.allSpawnedPopups().filter(popup =>
+			(   Popups.popupIsPinned(popup)
+			 && Popups.popupIsZoomed(popup) == false
+			 && Popups.popupIsCollapsed(popup) == false)
+		);
+	},
+
+	/*	Returns an array of the given number of viewport rects, which tile the
+		viewport according to the given tiling mode.
+	 */
+	//	Called by: Popups.tilePinnedPopups
+	popupTileRects: (count, mode) => {
+		//  Viewport width must account for vertical scroll bar.
+		let viewportWidth = document.documentElement.offsetWidth;
+		let viewportHeight = window.innerHeight;
+
+		let rects = [ ];
+
+		if (   mode == "master-stack"
+			&& count > 1) {
+			let masterWidth = viewportWidth * Popups.popupTilingMasterWidthFraction;
+			rects.push(new DOMRect(0, 0, masterWidth, viewportHeight));
+
+			let stackHeight = viewportHeight / (count - 1);
+			for (let i = 0; i < count - 1; i++)
+				rects.push(new DOMRect(masterWidth, i * stackHeight, viewportWidth - masterWidth, stackHeight));
+		} else {
+			let columns = Math.ceil(Math.sqrt(count));
+			let rows = Math.ceil(count / columns);
+			let cellHeight = viewportHeight / rows;
+			for (let i = 0; i < count; i++) {
+				let row = Math.floor(i / columns);
+				let cellWidth = viewportWidth / Math.min(columns, count - row * columns);
+				rects.push(new DOMRect((i % columns) * cellWidth, row * cellHeight, cellWidth, cellHeight));
+			}
+		}
+
+		return rects;
+	},
+
+	/*	Arranges pinned popups according to the current tiling mode (if any).
+		(Waits a frame, so that any pending popup positioning is done first.)
+	 */
+	//	Called by: Popups.setPopupTilingMode
+	//	Called by: Popups.pinPopup
+	//	Called by: Popups.unpinPopup
+	//	Called by: Popups.zoomPopup
+	//	Called by: Popups.restorePopup
+	//	Called by: Popups.despawnPopup
+	//	Called by: window ‘resize’ event handler
+	tilePinnedPopups: () => {
+		let mode = Popups.popupTilingMode();
+		if (mode == null)
+			return;
+
+		GWLog("Popups.tilePinnedPopups", "popups.js", 2);
+
+		requestAnimationFrame(() => {
+			let popups = Popups.tileablePopups();
+			let rects = Popups.popupTileRects(popups.length, mode);
+			popups.forEach((popup, i) => {
+				Popups.addClassesToPopFrame(popup, "tiled", "resized");
+				Popups.setPopupViewportRect(popup, rects[i]);
+
+				//  Cache the viewport rect.
+				popup.viewportRect = popup.getBoundingClientRect();
+
+				if (popup.titleBar)
+					popup.titleBar.updateState();
+			});
+		});
 	},
 
 	/******************/
@@ -995,12 +1298,20 @@ Popups = {
 			if (newlyAddedElement.buttonAction)
 				newlyAddedElement.addActivateEvent(newlyAddedElement.buttonAction);
 
-			//  Add popup-positioning submenu to zoom button.
-			if (   newlyAddedElement.classList.contains("zoom-button")
-				&& newlyAddedElement.submenuEnabled)
-				Popups.titleBarComponents.addSubmenuToButton(newlyAddedElement, "zoom-button-submenu", Popups.titleBarComponents.popupZoomButtons());
+			/*  Add submenu to button, if enabled (e.g., popup-positioning
+				submenu to zoom button).
+			 */
+			if (newlyAddedElement.submenuEnabled)
+				Popups.titleBarComponents.addSubmenuToButton(newlyAddedElement, newlyAddedElement.submenuClass, newlyAddedElement.submenuButtons());
 		});
 
+		//  Label the popup by its title (for assistive technologies).
+		let popupTitle = popup.titleBar.querySelector(".popframe-title");
+		if (popupTitle) {
+			popupTitle.id = `${popup.id}-title`;
+			popup.setAttribute("aria-labelledby", popupTitle.id);
+		}
+
 		//  Add state-updating function.
 		popup.titleBar.updateState = () => {
 			popup.titleBar.querySelectorAll("button").forEach(button => {
@@ -1066,7 +1377,10 @@ Popups = {
 			"zoom-full": "Expand this popup to fill the screen",
 			"zoom-bottom-left": "Place this popup in the bottom-left quarter of the screen",
 			"zoom-bottom": "Place this popup on the bottom half of the screen",
-			"zoom-bottom-right": "Place this popup in the bottom-right quarter of the screen"
+			"zoom-bottom-right": "Place this popup in the bottom-right quarter of the screen",
+			"tiling-none": "Don’t tile pinned popups",
+			"tiling-grid": "Tile pinned popups in a grid",
+			"tiling-master-stack": "Tile pinned popups as main + stack"
 		},
 
 		//  A generic button, with no icon or tooltip text.
@@ -1140,6 +1454,9 @@ Popups = {
 
 			button.enableSubmenu = () => {
 				button.submenuEnabled = true;
+				button.submenuClass = "zoom-button-submenu";
+				button.submenuButtons = Popups.titleBarComponents.popupZoomButtons;
+
 				return button;
 			};
 
@@ -1209,9 +1526,51 @@ Popups = {
 			button.innerHTML = Popups.titleBarComponents.getButtonIcon("options");
 			button.title = Popups.titleBarComponents.buttonTitles["options"];
 
+			/*  Enables a submenu with popup tiling options (followed by any
+				buttons returned by the given function). The submenu is rebuilt
+				whenever it is about to be shown, so that it stays current.
+			 */
+			button.enableSubmenu = (additionalSubmenuButtons = null) => {
+				button.submenuEnabled = true;
+				button.submenuClass = "options-button-submenu";
+				button.submenuButtons = () => [
+					...(Popups.titleBarComponents.popupTilingButtons()),
+					...(additionalSubmenuButtons ? additionalSubmenuButtons() : [ ])
+				];
+
+				button.addEventListener("mouseenter", (event) => {
+					Popups.titleBarComponents.updateSubmenu(button, button.submenuButtons());
+				});
+
+				return button;
+			};
+
 			return button;
 		},
 
+		//  Tiling mode buttons (to be put into options button submenu).
+		popupTilingButtons: () => {
+			return [ null, ...(Popups.popupTilingModes) ].map(mode => {
+				let button = Popups.titleBarComponents.genericButton();
+				button.classList.add("submenu-button", "text-button", "tiling-mode-button");
+
+				button.textContent = Popups.titleBarComponents.buttonTitles[`tiling-${(mode ?? "none")}`];
+
+				button.buttonAction = (event) => {
+					event.stopPropagation();
+
+					Popups.setPopupTilingMode(mode);
+				};
+
+				button.updateState = () => {
+					button.classList.toggle("selected", (Popups.popupTilingMode() == mode));
+				};
+				button.updateState();
+
+				return button;
+			});
+		},
+
 		/*  Add a submenu of the given class and with given buttons to a button.
 			*/
 		//	Called by: Popups.addTitleBarToPopup
@@ -1225,6 +1584,16 @@ Popups = {
 
 			popup.titleBar.insertBefore(button.submenu, button.nextElementSibling);
 
+			Popups.titleBarComponents.updateSubmenu(button, submenuButtons);
+		},
+
+		/*  Replace the buttons in a button’s submenu with the given buttons.
+			*/
+		//	Called by: Popups.titleBarComponents.addSubmenuToButton
+		//	Called by: Popups.titleBarComponents.optionsButton
+		updateSubmenu: (button, submenuButtons) => {
+			button.submenu.replaceChildren();
+
 			submenuButtons.forEach(submenuButton => {
 				button.submenu.appendChild(submenuButton);
 				if (submenuButton.buttonAction)
@@ -1327,6 +1696,203 @@ Popups = {
 			Popups.addClassesToPopFrame(popup, "focused");
 	},
 
+	/*****************************/
+	/*  Popup keyboard navigation.
+		*/
+
+	/*	Focus a popup-spawning link (e.g. by tabbing to it) and press the popup
+		spawn key to spawn its popup (and move keyboard focus into the popup).
+		Within a popup, Tab moves focus between the popup’s links (and other
+		focusable elements); once a link in the popup has focus, the up/down
+		arrow keys also move focus between the popup’s links (otherwise they
+		scroll the popup, as usual); the spawn key spawns a nested popup; the
+		left arrow key moves focus back to the popup’s spawning link (in the
+		parent popup, or the page), and the right arrow key moves focus into
+		the already-spawned popup of the focused link. Escape despawns the
+		popup, returning focus to its spawning link. (See Popups.keyDown.)
+		(Set from local storage, or to the default key, once Popups is
+		defined; see end of file.)
+	 */
+	popupSpawnKey: null,
+
+	defaultPopupSpawnKey: "p",
+
+	//	Called by: Extracts.saveOptions (extracts-options.js)
+	setPopupSpawnKey: (key) => {
+		GWLog("Popups.setPopupSpawnKey", "popups.js", 1);
+
+		Popups.popupSpawnKey = key || Popups.defaultPopupSpawnKey;
+		if (Popups.popupSpawnKey == Popups.defaultPopupSpawnKey)
+			localStorage.removeItem("popup-spawn-key");
+		else
+			localStorage.setItem("popup-spawn-key", Popups.popupSpawnKey);
+	},
+
+	/*	Returns the element which has keyboard focus (looking inside popups’
+		shadow roots), or null.
+	 */
+	//	Called by: Popups.keyDown (event handler)
+	//	Called by: Popups.keyUp (event handler)
+	keyboardFocusedElement: () => {
+		let element = document.activeElement;
+		while (element?.shadowRoot?.activeElement)
+			element = element.shadowRoot.activeElement;
+
+		return (element == document.body ? null : element);
+	},
+
+	//	Called by: Popups.keyDown (event handler)
+	//	Called by: Popups.keyUp (event handler)
+	elementAcceptsTextInput: (element) => {
+		return (   element != null
+				&& (   element.matches("input, textarea, select")
+					|| element.isContentEditable));
+	},
+
+	//	Called by: Popups.moveKeyboardFocusToAdjacentLinkInPopup
+	keyboardNavigableLinksInPopup: (popup) => {
+		return Array.from(popup.body.querySelectorAll("a[href]")).filter(link => link.getClientRects().length > 0);
+	},
+
+	//	Called by: Popups.keyDown (event handler)
+	spawnPopupForKeyboardFocusedTarget: (target) => {
+		GWLog("Popups.spawnPopupForKeyboardFocusedTarget", "popups.js", 2);
+
+		Popups.clearPopupTimers(target);
+
+		//	Spawn the popup as if the mouse were over the middle of the target.
+		if (target.popup == null) {
+			let targetRect = target.getBoundingClientRect();
+			Popups.spawnPopup(target, {
+				x: targetRect.left + targetRect.width / 2,
+				y: targetRect.top + targetRect.height / 2
+			});
+		}
+
+		if (target.popup)
+			Popups.moveKeyboardFocusIntoPopup(target.popup);
+	},
+
+	//	Called by: Popups.spawnPopupForKeyboardFocusedTarget
+	//	Called by: Popups.pinOrUnpinPopup
+	//	Called by: Popups.keyDown (event handler)
+	moveKeyboardFocusIntoPopup: (popup) => {
+		Popups.bringPopupToFront(popup);
+
+		popup.scrollView.tabIndex = -1;
+		popup.scrollView.focus({ preventScroll: true });
+	},
+
+	/*	Moves keyboard focus to the next (if `direction` is 1) or previous (if
+		`direction` is -1) link in the popup (wrapping around).
+	 */
+	//	Called by: Popups.keyDown (event handler)
+	moveKeyboardFocusToAdjacentLinkInPopup: (popup, direction) => {
+		let links = Popups.keyboardNavigableLinksInPopup(popup);
+		if (links.length == 0)
+			return;
+
+		let index = links.indexOf(Popups.keyboardFocusedElement());
+		index = (index == -1
+				 ? (direction > 0 ? 0 : links.length - 1)
+				 : (index + direction + links.length) % links.length);
+
+		Popups.bringPopupToFront(popup);
+
+		links[index].focus();
+	},
+
+	//	Called by: Popups.keyDown (event handler)
+	//	Called by: Popups.despawnPopup
+	moveKeyboardFocusToSpawningTarget: (popup) => {
+		let target = popup.spawningTarget;
+		if (target.isConnected == false)
+			return;
+
+		let parentPopup = Popups.containingPopFrame(target);
+		if (parentPopup)
+			Popups.bringPopupToFront(parentPopup);
+
+		target.focus();
+	},
+
+	/************************/
+	/*  Popup accessibility.
+		*/
+
+	/*	Popups are (non-modal) dialogs, labelled by their title (if they have
+		a title bar) or else by their spawning link’s text. Spawning links
+		indicate whether their popup is open (aria-expanded), and which popup
+		it is (aria-controls). Keyboard focus moves into a popup when it is
+		pinned, cycles within the popup (on Tab and Shift-Tab), and returns to
+		the spawning link when the popup is despawned.
+	 */
+
+	//	Used to give each popup a unique ID.
+	popupsCreatedCount: 0,
+
+	//	Called by: Popups.newPopup
+	setPopupAccessibilityAttributes: (popup) => {
+		popup.id = `popup-${(++Popups.popupsCreatedCount)}`;
+
+		popup.setAttribute("role", "dialog");
+		popup.setAttribute("aria-modal", "false");
+
+		let label = (popup.spawningTarget.textContent.trim() || popup.spawningTarget.title);
+		if (label)
+			popup.setAttribute("aria-label", label);
+	},
+
+	/*	Sets ARIA attributes on a target to indicate whether it has an open
+		popup (pass null if not).
+	 */
+	//	Called by: Popups.addTargetsWithin
+	//	Called by: Popups.spawnPopup
+	//	Called by: Popups.despawnPopup
+	setTargetExpanded: (target, popup) => {
+		target.setAttribute("aria-expanded", (popup ? "true" : "false"));
+
+		if (popup)
+			target.setAttribute("aria-controls", popup.id);
+		else
+			target.removeAttribute("aria-controls");
+	},
+
+	//	Called by: Popups.moveKeyboardFocusToAdjacentFocusableElementInPopup
+	keyboardFocusableElementsInPopup: (popup) => {
+		let focusableElementsSelector = [
+			"a[href]",
+			"button:not([disabled])",
+			"input:not([disabled])",
+			"select:not([disabled])",
+			"textarea:not([disabled])",
+			"[tabindex]:not([tabindex='-1'])"
+		].join(", ");
+
+		return [
+			...(popup.titleBar?.querySelectorAll(focusableElementsSelector) ?? [ ]),
+			...(popup.body.querySelectorAll(focusableElementsSelector))
+		].filter(element => (   element.closest(".submenu") == null
+							 && element.getClientRects().length > 0));
+	},
+
+	/*	Moves keyboard focus to the next (if `direction` is 1) or previous (if
+		`direction` is -1) focusable element in the popup (wrapping around).
+	 */
+	//	Called by: Popups.keyDown (event handler)
+	moveKeyboardFocusToAdjacentFocusableElementInPopup: (popup, direction) => {
+		let elements = Popups.keyboardFocusableElementsInPopup(popup);
+		if (elements.length == 0)
+			return;
+
+		let index = elements.indexOf(Popups.keyboardFocusedElement());
+		index = (index == -1
+				 ? (direction > 0 ? 0 : elements.length - 1)
+				 : (index + direction + elements.length) % elements.length);
+
+		elements[index].focus();
+	},
+
 	/*********************/
 	/*  Popup positioning.
 		*/
@@ -2088,6 +2654,68 @@ Popups = {
 			Popups.despawnPopup(target.popup);
 	},
 
+	/*  The keydown event (for keyboard navigation; see Popups.popupSpawnKey).
+		*/
+	//	Added by: Popups.setup
+	keyDown: (event) => {
+		GWLog("Popups.keyDown", "popups.js", 3);
+
+		if (   event.altKey
+			|| event.ctrlKey
+			|| event.metaKey
+			|| Popups.popupContainerIsVisible() == false)
+			return;
+
+		let focusedElement = Popups.keyboardFocusedElement();
+		if (focusedElement == null)
+			return;
+
+		let popup = Popups.containingPopFrame(focusedElement);
+
+		//	Keep keyboard focus within the popup.
+		if (   event.key == "Tab"
+			&& popup != null) {
+			Popups.moveKeyboardFocusToAdjacentFocusableElementInPopup(popup, (event.shiftKey ? -1 : 1));
+			event.preventDefault();
+			return;
+		}
+
+		if (Popups.elementAcceptsTextInput(focusedElement))
+			return;
+
+		let target = focusedElement.closest(".spawns-popup");
+
+		switch (event.key) {
+			case Popups.popupSpawnKey:
+				if (target == null)
+					return;
+				Popups.spawnPopupForKeyboardFocusedTarget(target);
+				break;
+			case "ArrowDown":
+			case "ArrowUp":
+				//	Let the arrow keys scroll the popup, unless a link has focus.
+				if (   popup == null
+					|| focusedElement.matches("a[href]") == false)
+					return;
+				Popups.moveKeyboardFocusToAdjacentLinkInPopup(popup, (event.key == "ArrowDown" ? 1 : -1));
+				break;
+			case "ArrowLeft":
+				if (popup == null)
+					return;
+				Popups.moveKeyboardFocusToSpawningTarget(popup);
+				break;
+			case "ArrowRight":
+				if (target?.popup == null)
+					return;
+				Popups.moveKeyboardFocusIntoPopup(target.popup);
+				break;
+			default:
+				return;
+		}
+
+		event.preventDefault();
+	},
+
 	/*  The keyup event.
 		*/
 	//	Added by: Popups.setup
@@ -2097,6 +2725,11 @@ Popups = {
 		if (!allowedKeys.includes(event.key) || Popups.allSpawnedPopups().length == 0)
 			return;
 
+		//	Don’t interfere with typing.
+		let focusedElement = Popups.keyboardFocusedElement();
+		if (Popups.elementAcceptsTextInput(focusedElement))
+			return;
+
 		event.preventDefault();
 
 		switch(event.key) {
@@ -2145,4 +2778,8 @@ Popups = {
 	}
 };
 
+//	Keyboard settings (see Popups.popupTilingControlKeys, Popups.popupSpawnKey).
+Popups.popupTilingControlKeys = (localStorage.getItem("popup-tiling-control-keys") ?? Popups.defaultPopupTilingControlKeys);
+Popups.popupSpawnKey = (localStorage.getItem("popup-spawn-key") || Popups.defaultPopupSpawnKey);
+
 GW.notificationCenter.fireEvent("Popups.didLoad");
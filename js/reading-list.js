@@ -0,0 +1,546 @@
+/****************/
+/* READING LIST */
+/****************/
+
+/*	“Save for offline” reading list. Saving a page loads it (via Content.load),
+	and the annotations for all annotated links on it (via Annotations.load),
+	and pins the loaded responses in the persistent cache (see
+	persistent-cache.js), so that they do not expire and are not evicted.
+	Removing a page from the reading list un-pins them.
+
+	Pages can be saved from the page toolbar (the current page), or from the
+	title bar of a pop-frame (the page that the pop-frame’s link points to).
+	The reading list can be viewed, edited, and exported (as JSON) from the
+	reading list panel (which is opened from the page toolbar).
+
+	The reading list itself is kept in local storage (key: ‘reading-list’), as
+	a JSON array of entries, each with the following fields:
+
+	- ‘url’
+		URL of the page (without hash or query).
+
+	- ‘title’
+		Page title (plain text).
+
+	- ‘savedAt’
+		Timestamp (ms) of when the page was saved.
+
+	- ‘status’
+		One of “saving”, “saved”, or “failed”.
+
+	- ‘annotationCount’
+		Number of annotations saved along with the page.
+
+	- ‘cacheKeys’
+		Persistent cache keys of the pinned entries (page and annotations).
+ */
+
+ReadingList = {
+	/*****************/
+	/*	Configuration.
+	 */
+
+	localStorageItemKey: "reading-list",
+
+	exportFileName: "reading-list.json",
+
+	/*********/
+	/*	State.
+	 */
+
+	toolbarWidget: null,
+
+	panel: null,
+
+	/***********/
+	/*	Storage.
+	 */
+
+	entries: () => {
+		try {
+			return JSON.parse(localStorage.getItem(ReadingList.localStorageItemKey) ?? "[]");
+		} catch (error) {
+			return [ ];
+		}
+	},
+
+	storeEntries: (entries) => {
+		if (entries.length == 0)
+			localStorage.removeItem(ReadingList.localStorageItemKey);
+		else
+			localStorage.setItem(ReadingList.localStorageItemKey, JSON.stringify(entries));
+
+		GW.notificationCenter.fireEvent("ReadingList.readingListDidChange");
+	},
+
+	/*	Applies the given function to the stored entry for the given URL (if
+		any), and stores the result.
+	 */
+	updateEntry: (url, updateFunction) => {
+		let entries = ReadingList.entries();
+		let entry = entries.find(entry => entry.url == url);
+		if (entry == null)
+			return;
+
+		updateFunction(entry);
+
+		ReadingList.storeEntries(entries);
+	},
+
+	/***********/
+	/*	Helpers.
+	 */
+
+	urlForLink: (link) => {
+		let url = new URL(link.href);
+		url.hash = "";
+		url.search = "";
+
+		return url.href;
+	},
+
+	entryForLink: (link) => {
+		let url = ReadingList.urlForLink(link);
+		return ReadingList.entries().find(entry => entry.url == url);
+	},
+
+	canSaveLink: (link) => {
+		return (Content.contentTypeForLink(link) == Content.contentTypes.localPage);
+	},
+
+	//	Link to the current page (for saving from the page toolbar).
+	currentPageLink: () => {
+		return newElement("A", { href: location.pathname });
+	},
+
+	/***********/
+	/*	Saving.
+	 */
+
+	/*	Pins the persistent cache entry for the given key. If there is no such
+		entry (e.g. because the content was loaded from the in-memory cache,
+		or is the current page), it is requested from the server, and stored
+		already pinned. Passes true to the callback on success, false on
+		failure.
+	 */
+	//	Called by: ReadingList.save
+	pinOrFetch: (key, url, callback) => {
+		PersistentCache.pin(key, true, (didPin) => {
+			if (didPin) {
+				callback(true);
+				return;
+			}
+
+			doAjax({
+				location: url.href,
+				onSuccess: (event) => {
+					PersistentCache.set(key, event.target.responseText, {
+						url: url,
+						etag: event.target.getResponseHeader("ETag"),
+						pinned: true
+					});
+
+					callback(true);
+				},
+				onFailure: (event) => {
+					callback(false);
+				}
+			});
+		});
+	},
+
+	/*	Loads and pins the annotations for the given links, one at a time.
+		Passes the persistent cache keys of all the pinned annotations to the
+		callback.
+	 */
+	//	Called by: ReadingList.save
+	saveAnnotations: (links, callback, savedKeys = [ ]) => {
+		let link = links.shift();
+		if (link == null) {
+			callback(savedKeys);
+			return;
+		}
+
+		let next = (key = null) => {
+			if (key)
+				savedKeys.push(key);
+
+			ReadingList.saveAnnotations(links, callback, savedKeys);
+		};
+
+		Annotations.load(link, (link) => {
+			let key = Annotations.persistentCacheKeyForLink(link);
+			ReadingList.pinOrFetch(key, Annotations.sourceURLForLink(link), (didPin) => {
+				next(didPin ? key : null);
+			});
+		}, (link) => {
+			next();
+		});
+	},
+
+	/*	Saves the page that the given link points to (along with the
+		annotations for all annotated links on that page).
+	 */
+	save: (link) => {
+		GWLog("ReadingList.save", "reading-list.js", 1);
+
+		if (ReadingList.canSaveLink(link) == false)
+			return;
+
+		let url = ReadingList.urlForLink(link);
+
+		let entries = ReadingList.entries();
+		let entry = entries.find(entry => entry.url == url);
+		if (entry == null) {
+			entries.push(entry = {
+				url:              url,
+				title:            link.pathname,
+				savedAt:          Date.now(),
+				annotationCount:  0,
+				cacheKeys:        [ ]
+			});
+		} else if (entry.status == "saved") {
+			return;
+		}
+		entry.status = "saving";
+		ReadingList.storeEntries(entries);
+
+		let saveDidFail = () => {
+			ReadingList.updateEntry(url, (entry) => {
+				entry.status = "failed";
+			});
+
+			GWServerLogError(url + `--reading-list-save-failed`, "reading list save failed");
+		};
+
+		Content.load(link, (link) => {
+			let sourceURL = Content.sourceURLsForLink(link).first;
+			let pageKey = Content.persistentCacheKeyForSourceURL(sourceURL);
+			ReadingList.pinOrFetch(pageKey, sourceURL, (didPin) => {
+				if (didPin == false) {
+					saveDidFail();
+					return;
+				}
+
+				let content = Content.cachedContentForLink(link);
+
+				ReadingList.updateEntry(url, (entry) => {
+					entry.title = newElement("SPAN", null, { innerHTML: content.title }).textContent;
+					entry.cacheKeys = [ pageKey ];
+				});
+
+				//	Load annotations (once each, by persistent cache key).
+				let annotatedLinks = [ ];
+				let annotationKeys = new Set();
+				Annotations.allAnnotatedLinksInContainer(content.document).forEach(annotatedLink => {
+					let key = Annotations.persistentCacheKeyForLink(annotatedLink);
+					if (annotationKeys.has(key))
+						return;
+
+					annotationKeys.add(key);
+					annotatedLinks.push(annotatedLink);
+				});
+
+				ReadingList.saveAnnotations(annotatedLinks, (savedKeys) => {
+					ReadingList.updateEntry(url, (entry) => {
+						entry.status = "saved";
+						entry.annotationCount = savedKeys.length;
+						entry.cacheKeys = [ pageKey, ...savedKeys ];
+					});
+				});
+			});
+		}, (link) => {
+			saveDidFail();
+		});
+	},
+
+	/*	Removes the given URL from the reading list (and un-pins its entries
+		in the persistent cache).
+	 */
+	remove: (url) => {
+		GWLog("ReadingList.remove", "reading-list.js", 1);
+
+		let entries = ReadingList.entries();
+		let entry = entries.find(entry => entry.url == url);
+		if (entry == null)
+			return;
+
+		//	Keep entries which are shared with another saved page.
+		let otherCacheKeys = new Set(entries.filter(otherEntry => otherEntry != entry).flatMap(otherEntry => otherEntry.cacheKeys));
+		entry.cacheKeys.filter(key => otherCacheKeys.has(key) == false).forEach(key => {
+			PersistentCache.pin(key, false);
+		});
+
+		ReadingList.storeEntries(entries.filter(otherEntry => otherEntry != entry));
+	},
+
+	/*	Downloads the reading list as a JSON file.
+	 */
+	export: () => {
+		GWLog("ReadingList.export", "reading-list.js", 1);
+
+		let entries = ReadingList.entries().map(entry => ({
+			url:              entry.url,
+			title:            entry.title,
+			savedAt:          new Date(entry.savedAt).toISOString(),
+			status:           entry.status,
+			annotationCount:  entry.annotationCount
+		}));
+
+		let blobURL = URL.createObjectURL(new Blob([ JSON.stringify(entries, null, "\t") ], { type: "application/json" }));
+		newElement("A", { href: blobURL, download: ReadingList.exportFileName }).click();
+		setTimeout(() => { URL.revokeObjectURL(blobURL); });
+	},
+
+	/*************************/
+	/*	Pop-frame title bars.
+	 */
+
+	//	Called by: extracts.js
+	saveLinkPopFrameTitleBarButton: () => {
+		let button = Extracts.popFrameProvider.titleBarComponents.genericButton();
+		button.classList.add("reading-list-button");
+
+		button.buttonAction = (event) => {
+			event.stopPropagation();
+
+			let link = Extracts.popFrameProvider.containingPopFrame(button).spawningTarget;
+			let status = ReadingList.entryForLink(link)?.status;
+			if (status == "saving")
+				return;
+			else if (status == "saved")
+				ReadingList.remove(ReadingList.urlForLink(link));
+			else
+				ReadingList.save(link);
+		};
+
+		button.updateState = () => {
+			let popFrame = Extracts.popFrameProvider.containingPopFrame(button);
+			if (popFrame == null)
+				return;
+
+			let status = ReadingList.entryForLink(popFrame.spawningTarget)?.status;
+			button.innerHTML = GW.svg({
+				"saving":  "spinner-regular",
+				"saved":   "circle-check-solid"
+			}[status] ?? "archive");
+			button.title = {
+				"saving":  "Saving this page for offline reading…",
+				"saved":   "Saved for offline reading (click to remove from reading list)"
+			}[status] ?? "Save this page for offline reading";
+			button.classList.toggle("saving", status == "saving");
+		};
+
+		button.innerHTML = GW.svg("archive");
+		button.title = "Save this page for offline reading";
+
+		//	Set the correct state once the button is in a pop-frame.
+		requestAnimationFrame(button.updateState);
+
+		return button;
+	},
+
+	updatePopFrameTitleBarButtons: () => {
+		document.querySelectorAll(".popframe-title-bar-button.reading-list-button").forEach(button => {
+			button.updateState();
+		});
+	},
+
+	/************************/
+	/*	Page toolbar widget.
+	 */
+
+	injectToolbarWidget: () => {
+		GWLog("ReadingList.injectToolbarWidget", "reading-list.js", 1);
+
+		ReadingList.toolbarWidget = GW.pageToolbar.addWidget(`<div id="reading-list-widget">`
+				+ `<button type="button" tabindex="-1">`
+					+ `<span class="icon">${(GW.svg("book-open-solid"))}</span>`
+					+ `<span class="label">Reading list…</span>`
+				+ `</button>`
+			+ `</div>`);
+
+		//	Update appearance.
+		ReadingList.updateToolbarWidget();
+
+		//	Add event listeners.
+		ReadingList.toolbarWidget.querySelector("button").addActivateEvent(ReadingList.toolbarWidgetClicked = (event) => {
+			GWLog("ReadingList.toolbarWidgetClicked", "reading-list.js", 2);
+
+			event.stopPropagation();
+
+			event.target.blur();
+
+			ReadingList.showPanel();
+		});
+	},
+
+	updateToolbarWidget: () => {
+		let count = ReadingList.entries().length;
+		ReadingList.toolbarWidget.querySelector("button").title = `Show the reading list (pages saved for offline reading). `
+																+ `(${count} page${(count == 1 ? "" : "s")} saved.)`;
+	},
+
+	/*********/
+	/*	Panel.
+	 */
+
+	showPanel: () => {
+		GWLog("ReadingList.showPanel", "reading-list.js", 1);
+
+		if (Extracts.popFrameProvider == Popups)
+			Popups.hidePopupContainer();
+
+		//	Create the panel, if needed.
+		if (ReadingList.panel == null) {
+			ReadingList.panel = addUIElement(`<div id="reading-list-panel" class="extracts-options-dialog" style="display: none;"><div>` +
+				`<div class="extracts-options-dialog-title-bar">` +
+					`<h1>Reading list</h1>` +
+				`</div>` +
+				`<div class="controls">` +
+					`<ul class="reading-list-entries"></ul>` +
+				`</div>` +
+				`<div class="controls-aux">` +
+					`<button type="button" class="save-current-page-button">Save this page</button>` +
+					`<button type="button" class="export-button">Export JSON</button>` +
+					`<button type="button" class="close-button default-button">Close</button>` +
+				`</div>` +
+			`</div></div>`);
+
+			//	Add event listeners.
+			ReadingList.panel.addEventListener("click", ReadingList.panelBackdropClicked = (event) => {
+				GWLog("ReadingList.panelBackdropClicked", "reading-list.js", 2);
+
+				event.stopPropagation();
+				ReadingList.fadePanel();
+			});
+			ReadingList.panel.firstElementChild.addEventListener("click", ReadingList.panelClicked = (event) => {
+				GWLog("ReadingList.panelClicked", "reading-list.js", 3);
+
+				event.stopPropagation();
+			});
+			ReadingList.panel.querySelector("button.save-current-page-button").addActivateEvent(ReadingList.panelSaveCurrentPageButtonClicked = (event) => {
+				GWLog("ReadingList.panelSaveCurrentPageButtonClicked", "reading-list.js", 2);
+
+				event.target.blur();
+
+				ReadingList.save(ReadingList.currentPageLink());
+			});
+			ReadingList.panel.querySelector("button.export-button").addActivateEvent(ReadingList.panelExportButtonClicked = (event) => {
+				GWLog("ReadingList.panelExportButtonClicked", "reading-list.js", 2);
+
+				event.target.blur();
+
+				ReadingList.export();
+			});
+			ReadingList.panel.querySelector("button.close-button").addActivateEvent(ReadingList.panelCloseButtonClicked = (event) => {
+				GWLog("ReadingList.panelCloseButtonClicked", "reading-list.js", 2);
+
+				event.target.blur();
+
+				ReadingList.fadePanel();
+			});
+			ReadingList.panel.querySelector(".reading-list-entries").addEventListener("click", ReadingList.panelEntryRemoveButtonClicked = (event) => {
+				let removeButton = event.target.closest("button.remove-button");
+				if (removeButton == null)
+					return;
+
+				GWLog("ReadingList.panelEntryRemoveButtonClicked", "reading-list.js", 2);
+
+				ReadingList.remove(removeButton.closest("li").dataset.url);
+			});
+			document.addEventListener("keyup", ReadingList.panelKeyUp = (event) => {
+				GWLog("ReadingList.panelKeyUp", "reading-list.js", 3);
+
+				let allowedKeys = [ "Escape", "Esc" ];
+				if (!allowedKeys.includes(event.key) || ReadingList.panel.style.display == "none")
+					return;
+
+				event.preventDefault();
+
+				ReadingList.fadePanel();
+			});
+		}
+
+		ReadingList.updatePanel();
+
+		//	Un-hide the panel.
+		ReadingList.panel.style.display = "";
+	},
+
+	updatePanel: () => {
+		if (ReadingList.panel == null)
+			return;
+
+		let entries = ReadingList.entries();
+
+		let list = ReadingList.panel.querySelector(".reading-list-entries");
+		list.replaceChildren();
+		entries.sort((a, b) => (b.savedAt - a.savedAt)).forEach(entry => {
+			let statusText = {
+				"saving":  "Saving…",
+				"saved":   `Saved ${(new Date(entry.savedAt).toLocaleDateString())}`
+						 + (entry.annotationCount > 0
+						 	? ` (with ${entry.annotationCount} annotation${(entry.annotationCount == 1 ? "" : "s")})`
+						 	: ``),
+				"failed":  "Could not save"
+			}[entry.status];
+
+			let listItem = list.appendChild(newElement("LI", { "data-url": entry.url }));
+			listItem.append(newElement("A", { href: entry.url }, { textContent: entry.title }),
+							newElement("SPAN", { "class": "status" }, { textContent: statusText }),
+							newElement("BUTTON", { type: "button", "class": "remove-button", title: "Remove from reading list" }, { innerHTML: GW.svg("xmark-regular") }));
+		});
+
+		if (entries.length == 0)
+			list.appendChild(newElement("LI", { "class": "empty" }, { textContent: "No saved pages." }));
+
+		//	The current page cannot be saved twice.
+		let currentPageEntry = ReadingList.entryForLink(ReadingList.currentPageLink());
+		ReadingList.panel.querySelector("button.save-current-page-button").disabled = (   currentPageEntry != null
+																						&& currentPageEntry.status != "failed");
+		ReadingList.panel.querySelector("button.export-button").disabled = (entries.length == 0);
+	},
+
+	fadePanel: () => {
+		GWLog("ReadingList.fadePanel", "reading-list.js", 1);
+
+		ReadingList.panel.classList.toggle("fading", true);
+		setTimeout(ReadingList.hidePanel, 150);
+	},
+
+	hidePanel: () => {
+		GWLog("ReadingList.hidePanel", "reading-list.js", 1);
+
+		if (Extracts.popFrameProvider == Popups)
+			Popups.unhidePopupContainer();
+
+		if (ReadingList.panel != null) {
+			ReadingList.panel.style.display = "none";
+			ReadingList.panel.classList.toggle("fading", false);
+		}
+	},
+
+	/*********/
+	/*	Setup.
+	 */
+
+	setup: () => {
+		GWLog("ReadingList.setup", "reading-list.js", 1);
+
+		ReadingList.injectToolbarWidget();
+
+		GW.notificationCenter.addHandlerForEvent("ReadingList.readingListDidChange", ReadingList.readingListDidChange = (info) => {
+			ReadingList.updateToolbarWidget();
+			ReadingList.updatePanel();
+			ReadingList.updatePopFrameTitleBarButtons();
+		});
+
+		//	Resume any saves interrupted by leaving the page.
+		ReadingList.entries().filter(entry => entry.status == "saving").forEach(entry => {
+			ReadingList.save(newElement("A", { href: entry.url }));
+		});
+	}
+};
+
+doWhenPageLoaded(ReadingList.setup);
@@ -631,25 +631,79 @@ addContentLoadHandler(GW.contentLoadHandlers.removeExtraneousWhitespaceFromCitat
     });
 }, "rewrite");
 
+/******************************************************************/
+/*  Languages for which hyphenation patterns are available (in
+    /static/js/patterns/). Text in other languages is not hyphenated.
+ */
+GW.hyphenation = {
+    //  Language tags of the pattern files (sans ‘.wasm’ extension).
+    languages: [ "en-us", "de", "es", "fr", "it", "la" ],
+
+    /*  Other language tags (e.g. regional variants), with the pattern file to
+        use for each.
+     */
+    fallbacks: {
+        "en":    "en-us",
+        "de-de": "de",
+        "de-at": "de",
+        "de-ch": "de",
+        "es-es": "es",
+        "fr-fr": "fr",
+        "fr-ca": "fr",
+        "it-it": "it"
+    },
+
+    /*  Returns the language tag of the given element, i.e. the ‘lang’
+        attribute of its nearest ancestor that has a non-empty one (or of the
+        root element of the page, if there is no such ancestor), lowercased.
+        (This is the same as how Hyphenopoly determines the language of an
+        element.)
+     */
+    languageOfElement: (element) => {
+        return (   element.closest("[lang]:not([lang=''])")?.lang
+                ?? document.documentElement.lang).toLowerCase();
+    },
+
+    languageIsSupported: (lang) => {
+        return (   GW.hyphenation.languages.includes(lang)
+                || GW.hyphenation.fallbacks[lang] != null);
+    }
+};
+
 /******************************************************************/
 /*  Configure Hyphenopoly.
 
     Requires Hyphenopoly_Loader.js to be loaded prior to this file.
  */
 Hyphenopoly.config({
-    require: {
-        "en-us": "FORCEHYPHENOPOLY"
-    },
+    require: Object.fromEntries([
+        ...GW.hyphenation.languages,
+        ...(Object.keys(GW.hyphenation.fallbacks))
+    ].map(lang => [ lang, "FORCEHYPHENOPOLY" ])),
+    fallbacks: GW.hyphenation.fallbacks,
     setup: {
         hide: "none",
         keepAlive: true,
         safeCopy: false
+    },
+    handleEvent: {
+        /*  Elements in languages for which there are no patterns are expected
+            (they are skipped; see GW.hyphenation), so we do not warn about
+            them.
+         */
+        error: (event) => {
+            if (/not loaded|no elements found/.test(event.message))
+                event.preventDefault();
+        }
     }
 });
 
 /******************************************************************/
 /*  Hyphenate with Hyphenopoly.
 
+    Blocks in languages for which hyphenation patterns are not available (see
+    GW.hyphenation) are not hyphenated.
+
     Requires Hyphenopoly_Loader.js to be loaded prior to this file.
  */
 function hyphenate(eventInfo) {
@@ -666,7 +720,12 @@ function hyphenate(eventInfo) {
                     : (eventInfo.document == document
                        ? ".sidenote p, .abstract blockquote p"
                        : "p"));
-    let blocks = eventInfo.container.querySelectorAll(selector);
+    let blocks = Array.from(eventInfo.container.querySelectorAll(selector)).filter(block =>
+        GW.hyphenation.languageIsSupported(GW.hyphenation.languageOfElement(block))
+    );
+    if (blocks.length == 0)
+        return;
+
     Hyphenopoly.hyphenators.HTML.then((hyphenate) => {
         blocks.forEach(block => {
             hyphenate(block);
@@ -1066,7 +1125,9 @@ addContentLoadHandler(GW.contentLoadHandlers.rectifyTypographyInAnnotation = (ev
 
     //  Educate quotes in image alt-text.
     eventInfo.container.querySelectorAll("img").forEach(image => {
-        image.alt = Typography.processString(image.alt, Typography.replacementTypes.QUOTES);
+        image.alt = Typography.processString(image.alt, Typography.replacementTypes.QUOTES, {
+            lang: Typography.languageOfElement(image)
+        });
     });
 }, "rewrite", (info) => (info.contentType == "annotation"));
 
@@ -0,0 +1,307 @@
+/******************/
+/* SERVICE WORKER */
+/******************/
+
+/*	Offline-capable reading. Static assets listed in the asset version map
+	(/static/include/asset-versions.json; see build/build_asset_versions.php)
+	are precached, at their versioned URLs; pages and annotations are cached
+	as they are visited (or loaded for popups/transclusion), and served from
+	the cache when the network is unavailable.
+
+	When the version map changes (i.e., when the site is updated), cached
+	assets whose versions no longer match are evicted, and their new versions
+	are precached.
+
+	(Registered by misc.js. Must be served with the `Service-Worker-Allowed: /`
+	 header, so that it can control all pages; see nginx/gwern.net.conf.)
+ */
+
+GWServiceWorker = {
+	/*****************/
+	/*	Configuration.
+	 */
+
+	versionMapPathname: "/static/include/asset-versions.json",
+
+	//	Static assets (at their versioned URLs).
+	assetCacheName: "gw-assets",
+
+	//	Pages and annotations.
+	pageCacheName: "gw-pages",
+
+	//	The current version map (stored as a response, for persistence).
+	metadataCacheName: "gw-metadata",
+
+	//	Maximum number of pages/annotations to keep cached.
+	maxCachedPages: 500,
+
+	/*	Assets matching these patterns are precached when the service worker
+		is installed (and when the version map changes). Other assets in the
+		version map (e.g. fonts) are cached in the background afterwards, or
+		when first used.
+	 */
+	precachedAssetPatterns: [
+		/^\/static\/js\//,
+		/^\/static\/css\//,
+		/^\/static\/img\/icon\//,
+		/^\/static\/template\//
+	],
+
+	/*	Pages (and page fragments) to cache: extensionless pathnames (i.e.,
+		site pages), and annotations.
+	 */
+	cachedPagePatterns: [
+		/^\/metadata\/annotation\//,
+		/^\/(?!static\/)(?:[^\/]+\/)*[^\/.]*$/
+	],
+
+	//	Minimum time between checks for a new version map, in ms.
+	versionMapCheckInterval: 10 * 60 * 1000,
+
+	/*********/
+	/*	State.
+	 */
+
+	versionMap: null,
+
+	lastVersionMapCheck: 0,
+
+	/***********/
+	/*	Helpers.
+	 */
+
+	versionedAssetURL: (pathname, version) => {
+		return new URL(pathname + `?v=${version}`, self.location.origin).href;
+	},
+
+	isPrecachedAsset: (pathname) => {
+		return (GWServiceWorker.precachedAssetPatterns.findIndex(pattern => pattern.test(pathname)) != -1);
+	},
+
+	isCachedPage: (url) => {
+		return (GWServiceWorker.cachedPagePatterns.findIndex(pattern => pattern.test(url.pathname)) != -1);
+	},
+
+	/****************/
+	/*	Version map.
+	 */
+
+	/*	Returns a promise for the stored version map (or an empty map, if none
+		is stored).
+	 */
+	storedVersionMap: () => {
+		if (GWServiceWorker.versionMap)
+			return Promise.resolve(GWServiceWorker.versionMap);
+
+		return caches.open(GWServiceWorker.metadataCacheName).then(cache =>
+			cache.match(GWServiceWorker.versionMapPathname)
+		).then(response =>
+			(response ? response.json() : { })
+		).then(versionMap => {
+			GWServiceWorker.versionMap = versionMap;
+			return versionMap;
+		});
+	},
+
+	/*	Retrieves the version map from the server; if it has changed, evicts
+		stale assets and precaches new ones. Returns a promise (which
+		resolves once the precaching is done).
+	 */
+	updateVersionMap: () => {
+		GWServiceWorker.lastVersionMapCheck = Date.now();
+
+		return GWServiceWorker.storedVersionMap().then(oldVersionMap =>
+			fetch(GWServiceWorker.versionMapPathname, { cache: "no-cache" }).then(response => {
+				if (response.ok == false)
+					throw new Error(`Could not load version map (status ${response.status})`);
+
+				let storedResponse = response.clone();
+				return response.json().then(newVersionMap =>
+					caches.open(GWServiceWorker.metadataCacheName).then(cache =>
+						cache.put(GWServiceWorker.versionMapPathname, storedResponse)
+					).then(() => {
+						GWServiceWorker.versionMap = newVersionMap;
+
+						if (JSON.stringify(oldVersionMap) == JSON.stringify(newVersionMap))
+							return;
+
+						return GWServiceWorker.evictStaleAssets().then(GWServiceWorker.precacheAssets);
+					})
+				);
+			})
+		);
+	},
+
+	//	Called by: GWServiceWorker.fetchPage
+	updateVersionMapIfNeeded: () => {
+		if (Date.now() - GWServiceWorker.lastVersionMapCheck < GWServiceWorker.versionMapCheckInterval)
+			return;
+
+		GWServiceWorker.updateVersionMap().catch(error => {
+			//	Offline, probably; try again later.
+		});
+	},
+
+	/***********/
+	/*	Assets.
+	 */
+
+	/*	Caches all precached assets (see precachedAssetPatterns) in the
+		current version map which are not yet cached.
+	 */
+	precacheAssets: () => {
+		return GWServiceWorker.cacheAssets(GWServiceWorker.isPrecachedAsset).then(() => {
+			//	Cache the rest in the background.
+			GWServiceWorker.cacheAssets(pathname => (GWServiceWorker.isPrecachedAsset(pathname) == false));
+		});
+	},
+
+	//	Called by: GWServiceWorker.precacheAssets
+	cacheAssets: (filter) => {
+		return caches.open(GWServiceWorker.assetCacheName).then(cache =>
+			Promise.all(Object.entries(GWServiceWorker.versionMap).filter(([ pathname, version ]) =>
+				filter(pathname)
+			).map(([ pathname, version ]) => {
+				let url = GWServiceWorker.versionedAssetURL(pathname, version);
+				return cache.match(url).then(response => {
+					if (response == null)
+						return cache.add(url).catch(error => {
+							//	Missing asset; skip it.
+						});
+				});
+			}))
+		);
+	},
+
+	/*	Deletes cached assets whose versions do not match the current version
+		map.
+	 */
+	evictStaleAssets: () => {
+		return caches.open(GWServiceWorker.assetCacheName).then(cache =>
+			cache.keys().then(requests =>
+				Promise.all(requests.filter(request => {
+					let url = new URL(request.url);
+					let version = GWServiceWorker.versionMap[url.pathname];
+					return (   version == null
+							|| url.searchParams.get("v") != version);
+				}).map(request => cache.delete(request)))
+			)
+		);
+	},
+
+	/*	Versioned assets never change, so they are served from the cache if
+		possible. Unversioned assets are retrieved from the network if
+		possible, with any cached version as fallback. (Unversioned assets are
+		evicted whenever the version map changes.)
+	 */
+	//	Called by: fetch event handler
+	fetchAsset: (request) => {
+		let url = new URL(request.url);
+		let isVersioned = (   url.searchParams.has("v")
+						   && GWServiceWorker.versionMap?.[url.pathname] == url.searchParams.get("v"));
+
+		return caches.open(GWServiceWorker.assetCacheName).then(cache =>
+			cache.match(request, { ignoreSearch: (isVersioned == false) }).then(cachedResponse => {
+				if (   isVersioned
+					&& cachedResponse)
+					return cachedResponse;
+
+				return fetch(request).then(response => {
+					if (response.ok)
+						cache.put(request, response.clone());
+
+					return response;
+				}).catch(error => {
+					if (cachedResponse)
+						return cachedResponse;
+
+					throw error;
+				});
+			})
+		);
+	},
+
+	/**********/
+	/*	Pages.
+	 */
+
+	/*	Pages and annotations are retrieved from the network if possible (and
+		cached); if the network is unavailable, they are served from the cache.
+	 */
+	//	Called by: fetch event handler
+	fetchPage: (request) => {
+		GWServiceWorker.updateVersionMapIfNeeded();
+
+		let cacheKey = new URL(request.url);
+		cacheKey.hash = "";
+
+		return fetch(request).then(response => {
+			if (   response.ok
+				&& response.type == "basic") {
+				let cachedResponse = response.clone();
+				caches.open(GWServiceWorker.pageCacheName).then(cache =>
+					cache.delete(cacheKey.href).then(() =>
+						cache.put(cacheKey.href, cachedResponse)
+					).then(GWServiceWorker.evictOldPages)
+				);
+			}
+
+			return response;
+		}).catch(error =>
+			caches.open(GWServiceWorker.pageCacheName).then(cache =>
+				cache.match(cacheKey.href)
+			).then(cachedResponse => {
+				if (cachedResponse)
+					return cachedResponse;
+
+				throw error;
+			})
+		);
+	},
+
+	/*	Deletes least recently stored pages, if there are more than
+		maxCachedPages. (Cache keys are in insertion order, and pages are
+		re-inserted whenever they are retrieved.)
+	 */
+	//	Called by: GWServiceWorker.fetchPage
+	evictOldPages: () => {
+		return caches.open(GWServiceWorker.pageCacheName).then(cache =>
+			cache.keys().then(requests =>
+				Promise.all(requests.slice(0, Math.max(0, requests.length - GWServiceWorker.maxCachedPages)).map(request =>
+					cache.delete(request)
+				))
+			)
+		);
+	}
+};
+
+/**************************/
+/*	Service worker events.
+ */
+
+self.addEventListener("install", (event) => {
+	event.waitUntil(GWServiceWorker.updateVersionMap().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+	event.waitUntil(GWServiceWorker.storedVersionMap().then(GWServiceWorker.evictStaleAssets).then(() => self.clients.claim()));
+});
+
+self.addEventListener("fetch", (event) => {
+	let request = event.request;
+	if (request.method != "GET")
+		return;
+
+	let url = new URL(request.url);
+	if (url.origin != self.location.origin)
+		return;
+
+	if (url.pathname == GWServiceWorker.versionMapPathname)
+		return;
+
+	if (url.pathname.startsWith("/static/")) {
+		event.respondWith(GWServiceWorker.storedVersionMap().then(() => GWServiceWorker.fetchAsset(request)));
+	} else if (GWServiceWorker.isCachedPage(url)) {
+		event.respondWith(GWServiceWorker.fetchPage(request));
+	}
+});
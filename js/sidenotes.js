@@ -45,8 +45,17 @@ Sidenotes = {
 	 */
 	minimumViewportWidthForSidenotes: "1761px",
 
-	useLeftColumn: () => false,
-	useRightColumn: () => true
+	/*	If both columns are used, each sidenote is placed on whichever side
+		keeps it closest to its citation (see updateSidenotePositions()). If
+		a column is blocked, all sidenotes go in the other one.
+	 */
+	useLeftColumn: () => true,
+	useRightColumn: () => true,
+
+	/*	Maximum number of passes of the two-column layout optimization (each
+		pass tries moving every sidenote to the other column).
+	 */
+	layoutOptimizationMaxPasses: 4
 };
 
 /******************/
@@ -62,6 +71,16 @@ Sidenotes = { ...Sidenotes,
 	/*****************/
 	/* Infrastructure.
 	 */
+
+	/*	The Sidenotes object is itself the “sidenote context” of the main page:
+		it holds the main page’s sidenotes, citations, sidenote columns, and
+		hidden sidenote storage. A pop-frame with sidenotes has its own context
+		(an object with the same properties, plus `document`), stored on its
+		shadow root; see Sidenotes.constructSidenotesInPopFrame.
+
+		Functions that operate on a sidenote context take it as an argument,
+		defaulting to the main page’s context.
+	 */
 	sidenotes: null,
 	citations: null,
 
@@ -72,22 +91,37 @@ Sidenotes = { ...Sidenotes,
 
 	positionUpdateQueued: false,
 
-	sidenoteOfNumber: (number) => {
-		return (Sidenotes.sidenotes.find(sidenote => Notes.noteNumberFromHash(sidenote.id) == number) ?? null);
+	/*	Returns the sidenote context that the given element belongs to (or
+		null, if the element is in a pop-frame which has no sidenotes).
+	 */
+	contextForElement: (element) => {
+		let root = element.getRootNode();
+		return (root instanceof ShadowRoot
+				? (root.sidenoteContext ?? null)
+				: Sidenotes);
+	},
+
+	sidenoteOfNumber: (number, context = Sidenotes) => {
+		return (context.sidenotes.find(sidenote => Notes.noteNumberFromHash(sidenote.id) == number) ?? null);
 	},
 
-	citationOfNumber: (number) => {
-		return (Sidenotes.citations.find(citation => Notes.noteNumberFromHash(citation.id) == number) ?? null);
+	citationOfNumber: (number, context = Sidenotes) => {
+		return (context.citations.find(citation => Notes.noteNumberFromHash(citation.id) == number) ?? null);
 	},
 
 	/*	The sidenote of the same number as the given citation; 
 		or, the citation of the same number as the given sidenote.
+		(The context must be specified explicitly for elements which are not
+		 currently in the DOM.)
 	 */
-	counterpart: (element) => {
+	counterpart: (element, context = Sidenotes.contextForElement(element)) => {
+		if (context == null)
+			return null;
+
 		let number = Notes.noteNumberFromHash(element.id);
 		return (element.classList.contains("sidenote")
-			    ? Sidenotes.citationOfNumber(number)
-			    : Sidenotes.sidenoteOfNumber(number));
+			    ? Sidenotes.citationOfNumber(number, context)
+			    : Sidenotes.sidenoteOfNumber(number, context));
 	},
 
 	/*  The “target counterpart” is the element associated with the target, i.e.:
@@ -96,11 +130,16 @@ Sidenotes = { ...Sidenotes,
 		its counterpart is the in-text citation. We want a target counterpart to be
 		highlighted along with the target itself; therefore we apply a special
 		‘targeted’ class to the target counterpart.
+
+		(In a pop-frame, the URL hash does not apply; the target, i.e. the 
+		 citation or sidenote that a clicked link in the pop-frame points to, 
+		 must be given.)
 		*/
-	updateTargetCounterpart: () => {
+	updateTargetCounterpart: (context = Sidenotes, target = null) => {
 		GWLog("Sidenotes.updateTargetCounterpart", "sidenotes.js", 1);
 
-		if (Sidenotes.mediaQueries.viewportWidthBreakpoint.matches == false)
+		if (   context == Sidenotes
+			&& Sidenotes.mediaQueries.viewportWidthBreakpoint.matches == false)
 			return;
 
 		//  Clear existing targeting.
@@ -109,19 +148,20 @@ Sidenotes = { ...Sidenotes,
 			".footnote",
 			".sidenote"
 		].map(x => x + ".targeted").join(", ");
-		document.querySelectorAll(targetedElementSelector).forEach(element => {
+		(context.document ?? document).querySelectorAll(targetedElementSelector).forEach(element => {
 			element.classList.remove("targeted");
 		});
 
 		//  Identify target and counterpart, if any.
-		let target = location.hash.match(/^#(sn|fnref)[0-9]+$/)
+		if (context == Sidenotes)
+			target = location.hash.match(/^#(sn|fnref)[0-9]+$/)
 					 ? getHashTargetedElement()
 					 : null;
 
 		if (target == null)
 			return;
 
-		let counterpart = Sidenotes.counterpart(target);
+		let counterpart = Sidenotes.counterpart(target, context);
 
 		//  Mark the target and the counterpart, if any.
 		if (target)
@@ -133,7 +173,8 @@ Sidenotes = { ...Sidenotes,
 	/*	Set margin notes to ‘inline’ or ‘sidenote’ style, depending on what mode
 		the page is in (based on viewport width), whether each margin note is
 		in a constrained block, and whether it’s on the main page or in 
-		something like a pop-frame.
+		something like a pop-frame (in which case margin notes are shown in
+		sidenote style only if the pop-frame has sidenotes).
 
 		(This function should be called from a load or inject event handler,
 		 and the event info passed to it as argument.)
@@ -143,8 +184,9 @@ Sidenotes = { ...Sidenotes,
 
 		eventInfo.container.querySelectorAll(".marginnote").forEach(marginNote => {
 			let inline = (   marginNote.closest(Sidenotes.constrainMarginNotesWithinSelectors.join(", "))
-						  || Sidenotes.mediaQueries.viewportWidthBreakpoint.matches == false
-						  || eventInfo.document != document);
+						  || (eventInfo.document == document
+							  ? Sidenotes.mediaQueries.viewportWidthBreakpoint.matches == false
+							  : eventInfo.document.sidenoteContext == null));
 			marginNote.swapClasses([ "inline", "sidenote" ], (inline ? 0 : 1));
 		});
 	},
@@ -152,11 +194,11 @@ Sidenotes = { ...Sidenotes,
 	/*  Hide sidenotes within currently-collapsed collapse blocks. Show
 		sidenotes not within currently-collapsed collapse blocks.
 		*/
-	updateSidenotesInCollapseBlocks: () => {
+	updateSidenotesInCollapseBlocks: (context = Sidenotes) => {
 		GWLog("Sidenotes.updateSidenotesInCollapseBlocks", "sidenotes.js", 1);
 
-		Sidenotes.sidenotes.forEach(sidenote => {
-			let citation = Sidenotes.counterpart(sidenote);
+		context.sidenotes.forEach(sidenote => {
+			let citation = Sidenotes.counterpart(sidenote, context);
 			sidenote.classList.toggle("hidden", isWithinCollapsedBlock(citation));
 		});
 	},
@@ -164,61 +206,53 @@ Sidenotes = { ...Sidenotes,
 	/*	Queues a sidenote position update on the next available animation frame,
 		if an update is not already queued.
 	 */
-	updateSidenotePositionsIfNeeded: () => {
-		if (Sidenotes.positionUpdateQueued)
+	updateSidenotePositionsIfNeeded: (context = Sidenotes) => {
+		if (context.positionUpdateQueued)
 			return;
 
-		Sidenotes.positionUpdateQueued = true;
+		context.positionUpdateQueued = true;
 		requestAnimationFrame(() => {
-			Sidenotes.positionUpdateQueued = false;
-			Sidenotes.updateSidenotePositions();
+			context.positionUpdateQueued = false;
+			Sidenotes.updateSidenotePositions(context);
 		});
 	},
 
 	/*  This function actually calculates and sets the positions of all sidenotes.
 		*/
-	updateSidenotePositions: () => {
+	updateSidenotePositions: (context = Sidenotes) => {
 		GWLog("Sidenotes.updateSidenotePositions", "sidenotes.js", 1);
 
 		/*  If we’re in footnotes mode (ie. the viewport is too narrow), then
-			don’t do anything.
+			don’t do anything. (Likewise if a pop-frame’s sidenotes have been
+			deconstructed since the update was queued.)
 			*/
-		if (Sidenotes.mediaQueries.viewportWidthBreakpoint.matches == false)
+		if (   context == Sidenotes
+			&& Sidenotes.mediaQueries.viewportWidthBreakpoint.matches == false)
+			return;
+		if (context.sidenotes == null)
 			return;
 
 		//  Update the disposition of sidenotes within collapse blocks.
-		Sidenotes.updateSidenotesInCollapseBlocks();
+		Sidenotes.updateSidenotesInCollapseBlocks(context);
 
 		//	Check for cut-off sidenotes.
-		Sidenotes.sidenotes.forEach(sidenote => {
+		context.sidenotes.forEach(sidenote => {
 			/*  Check whether the sidenote is currently hidden (i.e., within a 
 				currently-collapsed collapse block or similar). If so, skip it.
 				*/
 			if (sidenote.classList.contains("hidden")) {
-				Sidenotes.hiddenSidenoteStorage.append(sidenote);
+				context.hiddenSidenoteStorage.append(sidenote);
 				return;
 			}
 
-			//  On which side should the sidenote go?
-			let sidenoteNumber = Notes.noteNumberFromHash(sidenote.id);
-			let side = null;
-			       if (   Sidenotes.useLeftColumn()  == true
-					   && Sidenotes.useRightColumn() == false) {
-				//	Left.
-				side = Sidenotes.sidenoteColumnLeft;
-			} else if (   Sidenotes.useLeftColumn()  == false
-					   && Sidenotes.useRightColumn() == true) {
-				//	Right.
-				side = Sidenotes.sidenoteColumnRight;
-			} else if (   Sidenotes.useLeftColumn()  == true
-					   && Sidenotes.useRightColumn() == true) {
-				//	Odd - right; even - left.
-				side = (sidenoteNumber % 2
-						? Sidenotes.sidenoteColumnLeft
-						: Sidenotes.sidenoteColumnRight);
-			}
+			/*	Inject the sidenote into a column (provisionally), so that it
+				can be measured. (Both columns are the same width, so it does
+				not matter which one; sides are chosen below.)
+			 */
+			let side = Sidenotes.useRightColumn()
+					   ? context.sidenoteColumnRight
+					   : context.sidenoteColumnLeft;
 
-			//  Inject the sidenote into the column (provisionally).
 			side.append(sidenote);
 
 			/*  Mark sidenotes which are cut off vertically.
@@ -227,18 +261,27 @@ Sidenotes = { ...Sidenotes,
 			sidenote.classList.toggle("cut-off", (sidenoteOuterWrapper.scrollHeight > sidenoteOuterWrapper.offsetHeight + 2));
 		});
 
+		/*	Empty sidenote columns are not displayed, and so cannot be measured;
+			give each column (that has no old layout cells left in it) a
+			placeholder cell. (It will be cleaned up along with the rest.)
+		 */
+		[ context.sidenoteColumnLeft, context.sidenoteColumnRight ].forEach(column => {
+			if (column.firstElementChild == null)
+				column.append(newElement("DIV", { "class": "sidenote-layout-cell" }));
+		});
+
 		/*  Determine proscribed vertical ranges (ie. bands of the page from which
 			sidenotes are excluded, by the presence of, eg. a full-width table).
 			*/
-		let leftColumnBoundingRect = Sidenotes.sidenoteColumnLeft.getBoundingClientRect();
-		let rightColumnBoundingRect = Sidenotes.sidenoteColumnRight.getBoundingClientRect();
+		let leftColumnBoundingRect = context.sidenoteColumnLeft.getBoundingClientRect();
+		let rightColumnBoundingRect = context.sidenoteColumnRight.getBoundingClientRect();
 
 		/*  Examine all potentially overlapping elements (ie. non-sidenote
 			elements that may appear in, or extend into, the side columns).
 			*/
 		let proscribedVerticalRangesLeft = [ ];
 		let proscribedVerticalRangesRight = [ ];
-		document.querySelectorAll(Sidenotes.potentiallyOverlappingElementsSelectors.join(", ")).forEach(potentiallyOverlappingElement => {
+		(context.document ?? document).querySelectorAll(Sidenotes.potentiallyOverlappingElementsSelectors.join(", ")).forEach(potentiallyOverlappingElement => {
 			if (isWithinCollapsedBlock(potentiallyOverlappingElement))
 				return;
 
@@ -259,12 +302,12 @@ Sidenotes = { ...Sidenotes,
 
 		//  The bottom edges of each column are also “proscribed vertical ranges”.
 		proscribedVerticalRangesLeft.push({
-			top:    Sidenotes.sidenoteColumnLeft.clientHeight,
-			bottom: Sidenotes.sidenoteColumnLeft.clientHeight
+			top:    context.sidenoteColumnLeft.clientHeight,
+			bottom: context.sidenoteColumnLeft.clientHeight
 		});
 		proscribedVerticalRangesRight.push({
-			top:    Sidenotes.sidenoteColumnRight.clientHeight,
-			bottom: Sidenotes.sidenoteColumnRight.clientHeight
+			top:    context.sidenoteColumnRight.clientHeight,
+			bottom: context.sidenoteColumnRight.clientHeight
 		});
 
 		//	Sort and merge.
@@ -290,23 +333,49 @@ Sidenotes = { ...Sidenotes,
 			be retrieved in the normal way while the sidenotes aren’t part of
 			the DOM).
 		 */
-		Sidenotes.sidenotes.forEach(sidenote => {
+		context.sidenotes.forEach(sidenote => {
 			sidenote.lastKnownHeight = sidenote.offsetHeight;
 			sidenote.remove();
 		});
 
 		//	Clean up old layout cells, if any.
-		[ Sidenotes.sidenoteColumnLeft, Sidenotes.sidenoteColumnRight ].forEach(column => {
+		[ context.sidenoteColumnLeft, context.sidenoteColumnRight ].forEach(column => {
 			column.querySelectorAll(".sidenote-layout-cell").forEach(cell => cell.remove());
 		});
 
+		/*	A column is blocked (and sidenotes are placed in the other column
+			only) if it is disabled, if it does not fit in the viewport, or if
+			proscribed ranges leave no room in it for even the smallest
+			sidenote.
+		 */
+		let displayedSidenotes = context.sidenotes.filter(sidenote => sidenote.classList.contains("hidden") == false);
+		let smallestSidenoteHeight = Math.min(...displayedSidenotes.map(sidenote => sidenote.lastKnownHeight));
+		let columnIsBlocked = (rect, ranges) => {
+			if (rect.width == 0)
+				return true;
+
+			if (   context == Sidenotes
+				&& (   rect.left < 0
+					|| rect.right > document.documentElement.clientWidth))
+				return true;
+
+			let prevRangeBottom = 0;
+			return (ranges.findIndex(range => {
+				let room = range.top - prevRangeBottom;
+				prevRangeBottom = range.bottom;
+				return (room >= smallestSidenoteHeight);
+			}) == -1);
+		};
+
 		//	Construct new layout cells.
 		let layoutCells = [ ];
 		let sides = [ ];
-		if (Sidenotes.useLeftColumn())
-			sides.push([ Sidenotes.sidenoteColumnLeft, leftColumnBoundingRect, proscribedVerticalRangesLeft ]);
-		if (Sidenotes.useRightColumn())
-			sides.push([ Sidenotes.sidenoteColumnRight, rightColumnBoundingRect, proscribedVerticalRangesRight ]);
+		if (   Sidenotes.useLeftColumn()
+			&& columnIsBlocked(leftColumnBoundingRect, proscribedVerticalRangesLeft) == false)
+			sides.push([ context.sidenoteColumnLeft, leftColumnBoundingRect, proscribedVerticalRangesLeft ]);
+		if (   Sidenotes.useRightColumn()
+			&& columnIsBlocked(rightColumnBoundingRect, proscribedVerticalRangesRight) == false)
+			sides.push([ context.sidenoteColumnRight, rightColumnBoundingRect, proscribedVerticalRangesRight ]);
 		sides.forEach(side => {
 			let [ column, rect, ranges ] = side;
 			let prevRangeBottom = 0;
@@ -329,26 +398,61 @@ Sidenotes = { ...Sidenotes,
 			});
 		});
 
+		/*	Citation positions do not change during layout, so we retrieve
+			them only once.
+		 */
+		let citationRects = new Map(context.citations.map(citation => [ citation, citation.getBoundingClientRect() ]));
+
 		/*	Default position for a sidenote within a layout cell is vertically
 			aligned with the footnote reference, or else at the top of the 
 			cell, whichever is lower.
 		 */
 		let defaultNotePosInCellForCitation = (cell, citation) => {
-			return Math.max(0, Math.round((citation.getBoundingClientRect().top - cell.rect.top) + 4));
+			return Math.max(0, Math.round((citationRects.get(citation).top - cell.rect.top) + 4));
+		};
+
+		/*	Vertical distance from a citation to the nearest point of a layout
+			cell (zero if the citation is level with the cell).
+		 */
+		let vDistanceToCell = (cell, citation) => {
+			let citationBoundingRect = citationRects.get(citation);
+			if (   citationBoundingRect.top > cell.rect.top 
+				&& citationBoundingRect.top < cell.rect.bottom)
+				return 0;
+			return (citationBoundingRect.top < cell.rect.top
+					? Math.abs(citationBoundingRect.top - cell.rect.top)
+					: Math.abs(citationBoundingRect.top - cell.rect.bottom));
+		};
+
+		//	Called by: assignSidenoteToCell(), unassignSidenoteFromCell()
+		let cellRoomTakenBySidenote = (sidenote) => {
+			return (sidenote.lastKnownHeight + Sidenotes.sidenoteSpacing);
+		};
+
+		let assignSidenoteToCell = (sidenote, cell) => {
+			cell.room -= cellRoomTakenBySidenote(sidenote);
+			cell.sidenotes.push(sidenote);
+			sidenote.layoutCell = cell;
+		};
+
+		let unassignSidenoteFromCell = (sidenote, cell) => {
+			cell.room += cellRoomTakenBySidenote(sidenote);
+			cell.sidenotes.splice(cell.sidenotes.indexOf(sidenote), 1);
+			sidenote.layoutCell = null;
 		};
 
 		//	Assign sidenotes to layout cells.
-		for (citation of Sidenotes.citations) {
-			let citationBoundingRect = citation.getBoundingClientRect();
+		for (citation of context.citations) {
+			let citationBoundingRect = citationRects.get(citation);
 
-			let sidenote = Sidenotes.counterpart(citation);
+			let sidenote = Sidenotes.counterpart(citation, context);
 
 			/*  Is this sidenote even displayed? Or is it hidden (i.e., its
 				citation is within a currently-collapsed collapse block)? If so,
 				skip it.
 				*/
 			if (sidenote.classList.contains("hidden")) {
-				Sidenotes.hiddenSidenoteStorage.append(sidenote);
+				context.hiddenSidenoteStorage.append(sidenote);
 				continue;
 			}
 
@@ -356,7 +460,7 @@ Sidenotes = { ...Sidenotes,
 			let fittingLayoutCells = layoutCells.filter(cell => cell.room >= sidenote.lastKnownHeight);
 			if (fittingLayoutCells.length == 0) {
 				GWLog("TOO MUCH SIDENOTES. GIVING UP. :(", "sidenotes.js");
-				Sidenotes.sidenotes.forEach(sidenote => {
+				context.sidenotes.forEach(sidenote => {
 					sidenote.remove();
 				});
 				return;
@@ -365,21 +469,13 @@ Sidenotes = { ...Sidenotes,
 			/*	These functions are used to sort layout cells by best fit for 
 				placing the current sidenote.
 			*/
-			let vDistanceToCell = (cell) => {
-				if (   citationBoundingRect.top > cell.rect.top 
-					&& citationBoundingRect.top < cell.rect.bottom)
-					return 0;
-				return (citationBoundingRect.top < cell.rect.top
-						? Math.abs(citationBoundingRect.top - cell.rect.top)
-						: Math.abs(citationBoundingRect.top - cell.rect.bottom));
-			};
 			let hDistanceToCell = (cell) => {
-				return Math.abs(citationBoundingRect.left - (cell.left + (cell.width / 2)));
+				return Math.abs(citationBoundingRect.left - (cell.rect.left + (cell.rect.width / 2)));
 			};
 			let overlapWithNote = (cell, note) => {
 				let notePosInCell = defaultNotePosInCellForCitation(cell, citation);
 
-				let otherNoteCitation = Sidenotes.counterpart(note);
+				let otherNoteCitation = Sidenotes.counterpart(note, context);
 				let otherNotePosInCell = defaultNotePosInCellForCitation(cell, otherNoteCitation);
 
 				return (   otherNotePosInCell > notePosInCell + sidenote.lastKnownHeight + Sidenotes.sidenoteSpacing
@@ -397,15 +493,14 @@ Sidenotes = { ...Sidenotes,
 				cell, and secondarily by horizontal distance from the sidenote.
 			 */
 			fittingLayoutCells.sort((cellA, cellB) => {
-				return (   (  (vDistanceToCell(cellA) + cellCrowdedness(cellA)) 
-							- (vDistanceToCell(cellB) + cellCrowdedness(cellB)))
+				return (   (  (vDistanceToCell(cellA, citation) + cellCrowdedness(cellA)) 
+							- (vDistanceToCell(cellB, citation) + cellCrowdedness(cellB)))
 						|| (hDistanceToCell(cellA) - hDistanceToCell(cellB)));
 			});
 			let closestFittingLayoutCell = fittingLayoutCells[0];
 
 			//	Add the sidenote to the selected cell.
-			closestFittingLayoutCell.room -= (sidenote.lastKnownHeight + Sidenotes.sidenoteSpacing);
-			closestFittingLayoutCell.sidenotes.push(sidenote);
+			assignSidenoteToCell(sidenote, closestFittingLayoutCell);
 		};
 
 		//	Function to compute distance between two successive sidenotes.
@@ -413,14 +508,17 @@ Sidenotes = { ...Sidenotes,
 			return (noteB.posInCell - (noteA.posInCell + noteA.lastKnownHeight + Sidenotes.sidenoteSpacing));
 		};
 
-		//	Position sidenotes within layout cells.
-		layoutCells.forEach(cell => {
+		/*	Position sidenotes within a layout cell (i.e., set the `posInCell`
+			property of each sidenote in the cell; the sidenotes themselves are
+			not modified).
+		 */
+		let positionSidenotesInCell = (cell) => {
 			if (cell.sidenotes.length == 0)
 				return;
 
 			//	Set all of the cell’s sidenotes to default positions.
 			cell.sidenotes.forEach(sidenote => {
-				let citation = Sidenotes.counterpart(sidenote);
+				let citation = Sidenotes.counterpart(sidenote, context);
 				sidenote.posInCell = defaultNotePosInCellForCitation(cell, citation);
 			});
 
@@ -466,9 +564,6 @@ Sidenotes = { ...Sidenotes,
 			for (let i = 1; i < cell.sidenotes.length; i++) {
 				let prevNote = cell.sidenotes[i - 1];
 				let thisNote = cell.sidenotes[i];
-				let nextNote = (i == cell.sidenotes.length - 1)
-							   ? null
-							   : cell.sidenotes[i + 1];
 
 				let overlapAbove = Math.max(0, (-1 * getDistance(prevNote, thisNote)));
 				if (overlapAbove == 0)
@@ -485,6 +580,76 @@ Sidenotes = { ...Sidenotes,
 			let overlapOfBottom = Math.max(0, (cell.sidenotes.last.posInCell + cell.sidenotes.last.lastKnownHeight) - parseInt(cell.style.height));
 			if (overlapOfBottom > 0)
 				pushNotesUp([ (cell.sidenotes.length - 1) ], overlapOfBottom, true);
+		};
+
+		/*	Total vertical displacement of the sidenotes in a layout cell from
+			their citations. (Call positionSidenotesInCell() first.)
+		 */
+		let cellDisplacement = (cell) => {
+			return cell.sidenotes.reduce((totalDisplacement, sidenote) => {
+				let citation = Sidenotes.counterpart(sidenote, context);
+				return (totalDisplacement + Math.abs(  (cell.rect.top + sidenote.posInCell)
+													 - (citationRects.get(citation).top + 4)));
+			}, 0);
+		};
+
+		layoutCells.forEach(positionSidenotesInCell);
+
+		/*	If both columns are in use, improve on the initial (greedy)
+			assignment: for each sidenote, try moving it to the nearest cell
+			(with room for it) in the other column, and keep the move if it
+			reduces the total displacement of sidenotes from their citations.
+			Repeat until no move helps (or we run out of passes).
+		 */
+		if (sides.length > 1) {
+			for (let pass = 0; pass < Sidenotes.layoutOptimizationMaxPasses; pass++) {
+				let layoutDidImprove = false;
+
+				displayedSidenotes.forEach(sidenote => {
+					let currentCell = sidenote.layoutCell;
+					if (currentCell == null)
+						return;
+
+					let citation = Sidenotes.counterpart(sidenote, context);
+					let otherColumnCells = layoutCells.filter(cell => (   cell.container != currentCell.container
+																	   && cell.room >= sidenote.lastKnownHeight));
+					if (otherColumnCells.length == 0)
+						return;
+
+					let candidateCell = otherColumnCells.reduce((bestCell, cell) => {
+						return (vDistanceToCell(cell, citation) < vDistanceToCell(bestCell, citation)
+								? cell
+								: bestCell);
+					});
+
+					let displacementBefore = cellDisplacement(currentCell) + cellDisplacement(candidateCell);
+
+					unassignSidenoteFromCell(sidenote, currentCell);
+					assignSidenoteToCell(sidenote, candidateCell);
+					positionSidenotesInCell(currentCell);
+					positionSidenotesInCell(candidateCell);
+
+					let displacementAfter = cellDisplacement(currentCell) + cellDisplacement(candidateCell);
+
+					if (displacementAfter < displacementBefore - 1) {
+						layoutDidImprove = true;
+					} else {
+						unassignSidenoteFromCell(sidenote, candidateCell);
+						assignSidenoteToCell(sidenote, currentCell);
+						positionSidenotesInCell(currentCell);
+						positionSidenotesInCell(candidateCell);
+					}
+				});
+
+				if (layoutDidImprove == false)
+					break;
+			}
+		}
+
+		//	Set sidenote positions.
+		layoutCells.forEach(cell => {
+			if (cell.sidenotes.length == 0)
+				return;
 
 			//	Set the sidenote positions via inline styles.
 			cell.sidenotes.forEach(sidenote => {
@@ -496,61 +661,55 @@ Sidenotes = { ...Sidenotes,
 		});
 
 		//  Un-hide the sidenote columns.
-		Sidenotes.sidenoteColumnLeft.style.visibility = "";
-		Sidenotes.sidenoteColumnRight.style.visibility = "";
+		context.sidenoteColumnLeft.style.visibility = "";
+		context.sidenoteColumnRight.style.visibility = "";
 
 		//	Fire event.
-		GW.notificationCenter.fireEvent("Sidenotes.sidenotePositionsDidUpdate");
+		GW.notificationCenter.fireEvent("Sidenotes.sidenotePositionsDidUpdate", { context: context });
 	},
 
 	/*  Destroys the HTML structure of the sidenotes.
 		*/
-	deconstructSidenotes: () => {
+	deconstructSidenotes: (context = Sidenotes) => {
 		GWLog("Sidenotes.deconstructSidenotes", "sidenotes.js", 1);
 
-		Sidenotes.sidenotes = null;
-		Sidenotes.citations = null;
+		context.sidenotes = null;
+		context.citations = null;
 
-		if (Sidenotes.sidenoteColumnLeft)
-			Sidenotes.sidenoteColumnLeft.remove();
-		Sidenotes.sidenoteColumnLeft = null;
+		if (context.sidenoteColumnLeft)
+			context.sidenoteColumnLeft.remove();
+		context.sidenoteColumnLeft = null;
 
-		if (Sidenotes.sidenoteColumnRight)
-			Sidenotes.sidenoteColumnRight.remove();
-		Sidenotes.sidenoteColumnRight = null;
+		if (context.sidenoteColumnRight)
+			context.sidenoteColumnRight.remove();
+		context.sidenoteColumnRight = null;
 
-		if (Sidenotes.hiddenSidenoteStorage)
-			Sidenotes.hiddenSidenoteStorage.remove();
-		Sidenotes.hiddenSidenoteStorage = null;
+		if (context.hiddenSidenoteStorage)
+			context.hiddenSidenoteStorage.remove();
+		context.hiddenSidenoteStorage = null;
 	},
 
-	/*  Constructs the HTML structure, and associated listeners and auxiliaries,
-		of the sidenotes.
-		*/
-	constructSidenotes: (loadEventInfo) => {
-		GWLog("Sidenotes.constructSidenotes", "sidenotes.js", 1);
-
-		/*  Do nothing if constructSidenotes() somehow gets run extremely early 
-			in the page load process.
-			*/
-		let markdownBody = document.querySelector("#markdownBody");
-		if (markdownBody == null)
-			return;
-
-		//	Destroy before creating.
-		Sidenotes.deconstructSidenotes();
-
+	/*	Adds the sidenote columns and the hidden sidenote storage of the given
+		sidenote context to the given container (#markdownBody, or a 
+		pop-frame’s body), and creates a sidenote for each of the context’s
+		citations (with listeners to highlight the citation when the sidenote
+		is hovered over, and to hide the “more” indicator of cut-off sidenotes
+		when they are scrolled to the bottom).
+	 */
+	//	Called by: Sidenotes.constructSidenotes
+	//	Called by: Sidenotes.constructSidenotesInPopFrame
+	createSidenotes: (context, container) => {
 		//  Add the sidenote columns.
-		Sidenotes.sidenoteColumnLeft = newElement("DIV", { "id": "sidenote-column-left" });
-		Sidenotes.sidenoteColumnRight = newElement("DIV", { "id": "sidenote-column-right" });
-		[ Sidenotes.sidenoteColumnLeft, Sidenotes.sidenoteColumnRight ].forEach(column => {
+		context.sidenoteColumnLeft = newElement("DIV", { "id": "sidenote-column-left" });
+		context.sidenoteColumnRight = newElement("DIV", { "id": "sidenote-column-right" });
+		[ context.sidenoteColumnLeft, context.sidenoteColumnRight ].forEach(column => {
 			column.classList.add("footnotes");
 			column.style.visibility = "hidden";
-			markdownBody.append(column);
+			container.append(column);
 		});
 
 		//	Add the hidden sidenote storage.
-		markdownBody.append(Sidenotes.hiddenSidenoteStorage = newElement("DIV", {
+		container.append(context.hiddenSidenoteStorage = newElement("DIV", {
 			"id": "hidden-sidenote-storage", 
 			"class": "footnotes",
 			"style": "display:none" 
@@ -558,22 +717,15 @@ Sidenotes = { ...Sidenotes,
 
 		/*  Create and inject the sidenotes.
 			*/
-		Sidenotes.sidenotes = [ ];
-		//  The footnote references (citations).
-		Sidenotes.citations = Array.from(document.querySelectorAll("a.footnote-ref"));
-
-		//	If there are no footnotes, we’re done.
-		if (Sidenotes.citations.length == 0)
-			return;
-
-		Sidenotes.citations.forEach(citation => {
+		context.sidenotes = [ ];
+		context.citations.forEach(citation => {
 			let noteNumber = Notes.noteNumberFromHash(citation.hash);
 
 			//  Create the sidenote outer containing block...
 			let sidenote = newElement("DIV", { "class": "sidenote", "id": `sn${noteNumber}` });
 
 			//  Wrap the contents of the footnote in two wrapper divs...
-			let referencedFootnote = document.querySelector(`#fn${noteNumber}`);
+			let referencedFootnote = (context.document ?? document).querySelector(`#fn${noteNumber}`);
 			sidenote.innerHTML = `<div class="sidenote-outer-wrapper"><div class="sidenote-inner-wrapper">` 
 							   + (referencedFootnote 
 							   	  ? referencedFootnote.innerHTML 
@@ -595,46 +747,66 @@ Sidenotes = { ...Sidenotes,
 			//	Add listener to update sidenote positions when media loads.
 			sidenote.querySelectorAll("figure img, figure video").forEach(mediaElement => {
 				mediaElement.addEventListener("load", (event) => {
-					Sidenotes.updateSidenotePositionsIfNeeded();
+					Sidenotes.updateSidenotePositionsIfNeeded(context);
 				}, { once: true });
 			});
 
+			//	Highlight the citation when the sidenote is hovered over.
+			sidenote.addEventListener("mouseenter", sidenote.onSidenoteMouseEnterHighlightCitation = (event) => {
+				citation.classList.toggle("highlighted", true);
+			});
+			sidenote.addEventListener("mouseleave", sidenote.onSidenoteMouseLeaveUnhighlightCitation = (event) => {
+				citation.classList.toggle("highlighted", false);
+			});
+
+			sidenote.scrollListener = addScrollListener((event) => {
+				sidenote.classList.toggle("hide-more-indicator", sidenote.outerWrapper.scrollTop + sidenote.outerWrapper.clientHeight == sidenote.outerWrapper.scrollHeight);
+			}, null, { }, sidenote.outerWrapper);
+
 			//  Add the sidenote to the sidenotes array...
-			Sidenotes.sidenotes.push(sidenote);
+			context.sidenotes.push(sidenote);
 
 			//	Inject the sidenote into the page.
-			Sidenotes.hiddenSidenoteStorage.append(sidenote);
+			context.hiddenSidenoteStorage.append(sidenote);
 		});
+	},
+
+	/*  Constructs the HTML structure, and associated listeners and auxiliaries,
+		of the sidenotes.
+		*/
+	constructSidenotes: (loadEventInfo) => {
+		GWLog("Sidenotes.constructSidenotes", "sidenotes.js", 1);
 
-		/*  Bind sidenote mouse-hover events.
+		/*  Do nothing if constructSidenotes() somehow gets run extremely early 
+			in the page load process.
+			*/
+		let markdownBody = document.querySelector("#markdownBody");
+		if (markdownBody == null)
+			return;
+
+		//	Destroy before creating.
+		Sidenotes.deconstructSidenotes();
+
+		//  The footnote references (citations).
+		Sidenotes.citations = Array.from(document.querySelectorAll("a.footnote-ref"));
+
+		//	Create the sidenote columns and the sidenotes.
+		Sidenotes.createSidenotes(Sidenotes, markdownBody);
+
+		//	If there are no footnotes, we’re done.
+		if (Sidenotes.citations.length == 0)
+			return;
+
+		/*  Bind sidenote slide events.
 			*/
 		Sidenotes.citations.forEach(citation => {
 			let sidenote = Sidenotes.counterpart(citation);
 
 			//	Unbind existing events, if any.
-			if (sidenote.onSidenoteMouseEnterHighlightCitation)
-				sidenote.removeEventListener("mouseenter", sidenote.onSidenoteMouseEnterHighlightCitation);
-			if (sidenote.onSidenoteMouseLeaveUnhighlightCitation)
-				sidenote.removeEventListener("mouseleave", sidenote.onSidenoteMouseLeaveUnhighlightCitation);
-
 			if (citation.onCitationMouseEnterSlideSidenote)
 				citation.removeEventListener("mouseenter", citation.onCitationMouseEnterSlideSidenote);
-			if (sidenote.onSidenoteMouseEnterSlideSidenote)
-				sidenote.removeEventListener("mouseenter", sidenote.onSidenoteMouseEnterSlideSidenote);
-			if (sidenote.onSidenoteMouseLeaveUnslideSidenote)
-				sidenote.removeEventListener("mouseleave", sidenote.onSidenoteMouseLeaveUnslideSidenote);
-
-			if (sidenote.scrollListener)
-				sidenote.outerWrapper.removeEventListener("scroll", sidenote.scrollListener);
 
 			//	Bind new events.
-			sidenote.addEventListener("mouseenter", sidenote.onSidenoteMouseEnterHighlightCitation = (event) => {
-				citation.classList.toggle("highlighted", true);
-			});
-			sidenote.addEventListener("mouseleave", sidenote.onSidenoteMouseLeaveUnhighlightCitation = (event) => {
-				citation.classList.toggle("highlighted", false);
-			});
-
 			citation.addEventListener("mouseenter", citation.onCitationMouseEnterSlideSidenote = (event) => {
 				Sidenotes.putAllSidenotesBack(sidenote);
 				requestAnimationFrame(() => {
@@ -650,10 +822,6 @@ Sidenotes = { ...Sidenotes,
 			sidenote.addEventListener("mouseleave", sidenote.onSidenoteMouseLeaveUnslideSidenote = (event) => {
 				Sidenotes.putSidenoteBack(sidenote);
 			});
-
-			sidenote.scrollListener = addScrollListener((event) => {
-				sidenote.classList.toggle("hide-more-indicator", sidenote.outerWrapper.scrollTop + sidenote.outerWrapper.clientHeight == sidenote.outerWrapper.scrollHeight);
-			}, null, { }, sidenote.outerWrapper);
 		});
 
 		GW.notificationCenter.fireEvent("Sidenotes.sidenotesDidConstruct");
@@ -865,7 +1033,10 @@ Sidenotes = { ...Sidenotes,
 			 */
 			if (Notes.noteNumberFromHash() > "")
 				Sidenotes.hideInterferingUIElements();
-		}, { once: true });
+		}, {
+			condition: (info) => (info.context == Sidenotes),
+			once: true
+		});
 
 		//	Add event listeners, and the switch between modes.
 		doWhenMatchMedia(Sidenotes.mediaQueries.viewportWidthBreakpoint, "Sidenotes.addOrRemoveEventHandlersForCurrentMode", (mediaQuery) => {
@@ -918,8 +1089,12 @@ Sidenotes = { ...Sidenotes,
 					if (citation.pathname != location.pathname)
 						return;
 
-					let sidenote = Sidenotes.counterpart(citation);
+					let sidenote = Sidenotes.counterpart(citation, Sidenotes);
 					citation.addEventListener("mouseenter", citation.onCitationMouseEnterSlideSidenote = (event) => {
+						//	Not if the pop-frame has its own sidenotes.
+						if (Sidenotes.contextForElement(citation) != null)
+							return;
+
 						Sidenotes.putAllSidenotesBack(sidenote);
 						requestAnimationFrame(() => {
 							Sidenotes.slideSidenoteIntoView(sidenote, true);
@@ -984,6 +1159,16 @@ Sidenotes = { ...Sidenotes,
 								  && info.source != "Sidenotes.constructSidenotes")
 		});
 
+		/*	Construct sidenotes in pop-frames that are (or become) wide enough
+			(e.g., zoomed popups).
+		 */
+		GW.notificationCenter.addHandlerForEvent("Popups.popupDidSpawn", (info) => {
+			Sidenotes.observePopFrameWidth(info.popup);
+		});
+		GW.notificationCenter.addHandlerForEvent("Popins.popinDidInject", (info) => {
+			Sidenotes.observePopFrameWidth(info.popin);
+		});
+
 		GW.notificationCenter.fireEvent("Sidenotes.setupDidComplete");
 	},
 
@@ -1000,6 +1185,183 @@ Sidenotes = { ...Sidenotes,
 		});
 	},
 
+	/***********************/
+	/*	Pop-frame sidenotes.
+	 */
+
+	/*	The smallest width (in CSS px) of a pop-frame’s scroll view at which
+		sidenotes will be shown in the pop-frame.
+	 */
+	minimumPopFrameWidthForSidenotes: 1300,
+
+	/*	Citations in the pop-frame whose footnotes are also in the pop-frame.
+		(Citations within sidenotes, which are copies of footnotes, do not
+		 count.)
+	 */
+	//	Called by: Sidenotes.updateSidenotesInPopFrame
+	//	Called by: Sidenotes.constructSidenotesInPopFrame
+	citationsInPopFrame: (popFrame) => {
+		return Array.from(popFrame.body.querySelectorAll("a.footnote-ref")).filter(citation => 
+			   citation.closest(".sidenote, #hidden-sidenote-storage") == null
+			&& popFrame.document.querySelector(`#fn${(Notes.noteNumberFromHash(citation.hash))}`) != null
+		);
+	},
+
+	/*	Constructs sidenotes in the pop-frame (reusing the main page’s layout
+		logic, with the pop-frame as the sidenote context), replacing any it
+		already has.
+	 */
+	//	Called by: Sidenotes.updateSidenotesInPopFrame
+	constructSidenotesInPopFrame: (popFrame) => {
+		GWLog("Sidenotes.constructSidenotesInPopFrame", "sidenotes.js", 1);
+
+		//	Destroy before creating.
+		Sidenotes.deconstructSidenotesInPopFrame(popFrame);
+
+		let citations = Sidenotes.citationsInPopFrame(popFrame);
+		if (citations.length == 0)
+			return;
+
+		let context = popFrame.document.sidenoteContext = {
+			document:              popFrame.document,
+			sidenotes:             null,
+			citations:             citations,
+			sidenoteColumnLeft:    null,
+			sidenoteColumnRight:   null,
+			hiddenSidenoteStorage: null,
+			positionUpdateQueued:  false
+		};
+
+		//	Make room for the sidenote columns.
+		popFrame.classList.add("sidenotes-enabled");
+		popFrame.body.classList.add("sidenotes-enabled");
+
+		Sidenotes.createSidenotes(context, popFrame.body);
+
+		/*	Links between citations and sidenotes scroll the pop-frame (not the
+			main page), and update targeting within the pop-frame.
+		 */
+		let activateLinkInPopFrame = (link) => {
+			let target = popFrame.document.querySelector(selectorFromHash(link.hash));
+			if (target == null)
+				return;
+
+			revealElement(target, true);
+			Sidenotes.updateTargetCounterpart(context, target);
+		};
+		citations.forEach(citation => {
+			citation.hash = "#sn" + Notes.noteNumberFromHash(citation.hash);
+
+			citation.addEventListener("click", citation.onCitationClickTargetSidenoteInPopFrame = (event) => {
+				event.preventDefault();
+
+				activateLinkInPopFrame(citation);
+			});
+		});
+		context.sidenotes.forEach(sidenote => {
+			sidenote.querySelectorAll("a.sidenote-self-link, a.footnote-back").forEach(link => {
+				link.onclick = () => { return false; };
+				link.addActivateEvent((event) => {
+					activateLinkInPopFrame(link);
+				});
+			});
+		});
+
+		//	Show margin notes in sidenote style.
+		Sidenotes.setMarginNoteStyle({
+			container: popFrame.body,
+			document: popFrame.document
+		});
+
+		//	Fire events.
+		let loadLocation = new URL(popFrame.spawningTarget.href);
+		GW.notificationCenter.fireEvent("GW.contentDidLoad", {
+			source: "Sidenotes.constructSidenotesInPopFrame",
+			container: context.hiddenSidenoteStorage,
+			document: popFrame.document,
+			loadLocation: loadLocation
+		});
+		GW.notificationCenter.fireEvent("GW.contentDidInject", {
+			source: "Sidenotes.constructSidenotesInPopFrame",
+			container: context.hiddenSidenoteStorage,
+			document: popFrame.document,
+			loadLocation: loadLocation,
+			flags: 0
+		});
+
+		Sidenotes.updateSidenotePositionsIfNeeded(context);
+	},
+
+	/*	Removes the pop-frame’s sidenotes (if any), restoring its citations and
+		margin notes to footnote mode.
+	 */
+	//	Called by: Sidenotes.updateSidenotesInPopFrame
+	//	Called by: Sidenotes.constructSidenotesInPopFrame
+	deconstructSidenotesInPopFrame: (popFrame) => {
+		let context = popFrame.document.sidenoteContext;
+		if (context == null)
+			return;
+
+		GWLog("Sidenotes.deconstructSidenotesInPopFrame", "sidenotes.js", 1);
+
+		context.citations.forEach(citation => {
+			citation.hash = "#fn" + Notes.noteNumberFromHash(citation.hash);
+			citation.classList.remove("targeted", "highlighted");
+
+			citation.removeEventListener("click", citation.onCitationClickTargetSidenoteInPopFrame);
+		});
+
+		Sidenotes.deconstructSidenotes(context);
+		popFrame.document.sidenoteContext = null;
+
+		popFrame.classList.remove("sidenotes-enabled");
+		popFrame.body.classList.remove("sidenotes-enabled");
+
+		Sidenotes.setMarginNoteStyle({
+			container: popFrame.body,
+			document: popFrame.document
+		});
+	},
+
+	/*	Constructs or deconstructs the pop-frame’s sidenotes, depending on its
+		width (re-constructing them if citations have been added, e.g. by
+		transclusion); otherwise, updates sidenote positions.
+	 */
+	//	Called by: Sidenotes.observePopFrameWidth
+	updateSidenotesInPopFrame: (popFrame) => {
+		let context = popFrame.document.sidenoteContext;
+
+		if (popFrame.scrollView.clientWidth < Sidenotes.minimumPopFrameWidthForSidenotes) {
+			Sidenotes.deconstructSidenotesInPopFrame(popFrame);
+		} else if (   context == null
+				   || context.citations.length != Sidenotes.citationsInPopFrame(popFrame).length) {
+			Sidenotes.constructSidenotesInPopFrame(popFrame);
+		} else {
+			Sidenotes.updateSidenotePositionsIfNeeded(context);
+		}
+	},
+
+	/*	Updates the pop-frame’s sidenotes whenever the pop-frame, or its
+		content, changes size (until the pop-frame is despawned).
+	 */
+	//	Called by: ‘Popups.popupDidSpawn’ and ‘Popins.popinDidInject’ event handlers
+	observePopFrameWidth: (popFrame) => {
+		let resizeObserver = new ResizeObserver((entries) => {
+			requestAnimationFrame(() => {
+				if (popFrame.isConnected == false)
+					return;
+
+				Sidenotes.updateSidenotesInPopFrame(popFrame);
+			});
+		});
+		resizeObserver.observe(popFrame.scrollView);
+		resizeObserver.observe(popFrame.body);
+
+		popFrame.abortController.signal.addEventListener("abort", (event) => {
+			resizeObserver.disconnect();
+		});
+	},
+
 	/**************/
 	/*	Slidenotes.
 	 */
@@ -186,6 +186,48 @@
     element in the page order (i.e., if the start element comes after the end
     element, or if they are the same), then the transcluded content is empty.
 
+    Parts of a page which have no ID of their own may be selected by content,
+    with further ‘#’-prefixed parts (“content selectors”) after the two range
+    parts. Content selectors are applied in the order given, to whatever the
+    range selects:
+
+    #heading=Results
+        Include only the section under the heading with the given text (case-
+        insensitive). The section is the heading’s containing `<section>`
+        element, if any; otherwise, the heading and everything following it, up
+        to the next heading of the same or higher level.
+
+    #block=3
+        Include only the specified block(s), by index (1-based; e.g. `3`, for
+        the third block, or `2-4`, for the second through fourth blocks, or
+        `2-`, for the second block onwards). Blocks are the top-level elements
+        of the content (or, if the content is a single section, e.g. as
+        selected by `#heading=`, the elements of that section); headings are
+        not counted.
+
+    #sentences=1-2
+        Include only the specified sentence(s) (same index syntax as `#block=`)
+        of the first paragraph of the content. Inline markup within the
+        sentences is preserved.
+
+    For example, this includes the first two sentences of the third paragraph
+    under the “Further reading” heading of the "/Sidenotes" page:
+
+        <a class="include" href="/Sidenotes##heading=Further%20reading#block=3#sentences=1-2"></a>
+
+    and this does the same, but only looks for the heading within the part of
+    the page from element `#tufte-css` to element `#tables`:
+
+        <a class="include" href="/Sidenotes#tufte-css#tables#heading=Further%20reading#block=3#sentences=1-2"></a>
+
+    (Note that content selectors always come after *both* range parts, even if
+    those are empty; a hash with a single part is a simple element transclude,
+    as described in the BASICS section.)
+
+    If the specified heading, blocks, or sentences do not exist, or if a content
+    selector is malformed (e.g., `#block=x`, or an unknown selector name), the
+    transclusion fails.
+
 	2. Include template
 	-------------------
 
@@ -213,6 +255,17 @@
 	 `data-include-selector-not` may be used simultaneously. The effects of the 
 	 data attributes are applied last, after all `include-*` options have been
 	 applied.)
+
+	4. Cycles and nesting depth
+	---------------------------
+
+	Transclusions are recorded, per root document (the page, or a pop-frame),
+	in a transclusion graph (see Transclude.graphs; inspect via the
+	`transclusion-graph` console command). An include-link which would
+	transclude a document into itself (directly, or via intermediate
+	transclusions), or which is nested more deeply than
+	Transclude.maxNestingDepth, is not transcluded; instead, it is replaced
+	with a visible error message.
  */
 
 /******************************************************************************/
@@ -315,50 +368,292 @@ function evaluateTemplateExpressionConstant(constant) {
 	return false;
 }
 
-/************************************************************************/
+/*****************************************************************/
+/*	Null values and empty lists are false in template conditionals.
+ */
+function templateValueIsEmpty(value) {
+	return (   value == null
+			|| (   (   value instanceof Array
+					|| value instanceof NodeList)
+				&& value.length == 0));
+}
+
+/******************************************************************************/
+/*	Parse a template expression (used in conditionals, e.g.
+	`<[IF !foo & bar]>baz<[IFEND]>`). Returns the parsed expression (a tree of
+	expression nodes, for evaluateTemplateExpression()), or else (if the
+	expression is malformed) an expression node of type `error`, with a
+	message and the offset of the problem within the expression string.
+
+	Expression syntax, in order of precedence (loosest first):
+
+		a | b
+			True if either operand is true.
+
+		a & b
+			True if both operands are true.
+
+		!a
+			True if operand is false.
+
+		a == b, a != b
+			Equality/inequality of the operands’ string values.
+
+		a < b, a <= b, a > b, a >= b
+			Numeric comparison. (False if either operand is not a number.)
+
+		a in b
+			True if the string value of `a` is a member of list `b` (a list
+			field, or a comma-separated string).
+
+		[ a ]
+			Grouping.
+
+	Operands are field names (e.g. `foo`, `foo.bar`), string literals
+	(e.g. `"foo"` or `'foo'`), numbers (e.g. `3`, `-1.5`), or the constants
+	`_TRUE_` and `_FALSE_`. A field is true if it has a value (and is not an
+	empty list).
+
+	Examples:
+
+		<[IF dataSourceClass == "tweet"]>
+		<[IF [ foo | bar ] & !baz]>
+		<[IF authorCount > 3]>
+		<[IF linkTarget in "_blank, _top"]>
+ */
+function parseTemplateExpression(expr) {
+	let tokenPattern = /\s*(?:(?<operator>==|!=|<=|>=|<|>|&|\||!|\[|\])|"(?<doubleQuoted>[^"]*)"|'(?<singleQuoted>[^']*)'|(?<number>-?[0-9]+(?:\.[0-9]+)?)(?![\w.])|(?<word>[A-Za-z_$][\w$.\-]*)|(?<other>\S))\s*/y;
+
+	let tokens = [ ];
+	let match;
+	while (   tokenPattern.lastIndex < expr.length
+		   && (match = tokenPattern.exec(expr)) != null) {
+		let token = match.groups;
+		let offset = match.index + (match[0].length - match[0].trimStart().length);
+		if (token.other != null)
+			return {
+				type: "error",
+				message: (`"'`.includes(token.other)
+						  ? "unterminated string"
+						  : `unexpected character “${token.other}”`),
+				offset: offset
+			};
+
+		if (token.operator != null) {
+			tokens.push({ operator: token.operator, offset: offset });
+		} else if (token.word == "in") {
+			tokens.push({ operator: "in", offset: offset });
+		} else if (token.number != null) {
+			tokens.push({ node: { type: "literal", value: parseFloat(token.number) }, offset: offset });
+		} else if (token.word != null) {
+			tokens.push({
+				node: (/^_(.*)_$/.test(token.word)
+					   ? { type: "literal", value: (evaluateTemplateExpressionConstant(token.word) || null) }
+					   : { type: "field", fieldName: token.word }),
+				offset: offset
+			});
+		} else {
+			tokens.push({ node: { type: "literal", value: (token.doubleQuoted ?? token.singleQuoted) }, offset: offset });
+		}
+	}
+
+	let position = 0;
+	let error = null;
+	let fail = (message) => {
+		if (error == null)
+			error = { type: "error", message: message, offset: (tokens[position]?.offset ?? expr.length) };
+		return error;
+	};
+	let nextOperatorIs = (...operators) => {
+		return operators.includes(tokens[position]?.operator);
+	};
+
+	let parseBinary = (type, operator, parseOperand) => {
+		let node = parseOperand();
+		while (   error == null
+			   && nextOperatorIs(operator)) {
+			position++;
+			node = { type: type, left: node, right: parseOperand() };
+		}
+		return node;
+	};
+	let parseOr = () => parseBinary("or", "|", parseAnd);
+	let parseAnd = () => parseBinary("and", "&", parseNot);
+	let parseNot = () => {
+		if (nextOperatorIs("!")) {
+			position++;
+			return { type: "not", operand: parseNot() };
+		}
+
+		return parseComparison();
+	};
+	let parseComparison = () => {
+		let node = parseOperand();
+		if (nextOperatorIs("==", "!=", "<", "<=", ">", ">=", "in")) {
+			let operator = tokens[position++].operator;
+			node = { type: "comparison", operator: operator, left: node, right: parseOperand() };
+		}
+		return node;
+	};
+	let parseOperand = () => {
+		let token = tokens[position];
+		if (token == null)
+			return fail("unexpected end of expression");
+
+		if (token.operator == "[") {
+			position++;
+			let node = parseOr();
+			if (nextOperatorIs("]") == false)
+				return fail("missing “]”");
+			position++;
+			return node;
+		}
+
+		if (token.node == null)
+			return fail(`unexpected “${token.operator}”`);
+
+		position++;
+		return token.node;
+	};
+
+	let expression = parseOr();
+	if (   error == null
+		&& position < tokens.length)
+		fail(`unexpected “${(tokens[position].operator ?? expr.slice(tokens[position].offset).trim())}”`);
+
+	return (error ?? expression);
+}
+
+/******************************************************************************/
 /*	Return either true or false, having evaluated the template expression
-	(used in conditionals, e.g. `<[IF !foo & bar]>baz<[IFEND]>`).
+	(either an expression string, or an expression already parsed by
+	parseTemplateExpression()). Malformed expressions are reported, and
+	evaluate to false.
  */
 function evaluateTemplateExpression(expr, valueFunction = (() => null)) {
-	if (expr == "_TRUE_")
-		return true;
+	if (typeof expr == "string")
+		expr = parseTemplateExpression(expr);
 
-	if (expr == "_FALSE_")
+	if (expr.type == "error") {
+		GWLog(`Malformed template expression: ${expr.message}`, "transclude.js", 0);
 		return false;
+	}
+
+	let value = (node) => {
+		if (node.type == "literal")
+			return node.value;
+
+		if (node.type == "field")
+			return valueFunction(node.fieldName);
+
+		return truth(node);
+	};
+	let truth = (node) => {
+		if (node.type == "or")
+			return (truth(node.left) || truth(node.right));
 
-	return evaluateTemplateExpressionConstant(expr.replace(
-		//	Brackets.
-		/\s*\[\s*(.+?)\s*\]\s*/g,
-		(match, bracketedExpr) =>
-		(evaluateTemplateExpression(bracketedExpr, valueFunction)
-		 ? "_TRUE_"
-		 : "_FALSE_")
-	).replace(
-		//	Boolean AND, OR.
-		/^\s*([^&|]+?)\s*([&|])\s*(.+?)\s*$/,
-		(match, leftOperand, operator, rightOperand) => {
-			let leftOperandTrue = evaluateTemplateExpression(leftOperand, valueFunction);
-			let rightOperandTrue = evaluateTemplateExpression(rightOperand, valueFunction);
-			let expressionTrue = operator == "&"
-								 ? (leftOperandTrue && rightOperandTrue)
-								 : (leftOperandTrue || rightOperandTrue);
-			return expressionTrue ? "_TRUE_" : "_FALSE_";
+		if (node.type == "and")
+			return (truth(node.left) && truth(node.right));
+
+		if (node.type == "not")
+			return (truth(node.operand) == false);
+
+		if (node.type == "comparison") {
+			let [ left, right ] = [ value(node.left), value(node.right) ];
+			if ([ "==", "!=" ].includes(node.operator)) {
+				let equal = (stringFromTemplateValue(left) == stringFromTemplateValue(right));
+				return (node.operator == "==" ? equal : (equal == false));
+			}
+
+			if (node.operator == "in") {
+				let list = (typeof right == "string"
+							? right.split(",").map(item => item.trim())
+							: listFromTemplateValue(right).map(stringFromTemplateValue));
+				return list.includes(stringFromTemplateValue(left));
+			}
+
+			[ left, right ] = [ parseFloat(stringFromTemplateValue(left)), parseFloat(stringFromTemplateValue(right)) ];
+			if (   isNaN(left)
+				|| isNaN(right))
+				return false;
+
+			return ({
+				"<":  (left < right),
+				"<=": (left <= right),
+				">":  (left > right),
+				">=": (left >= right)
+			})[node.operator];
 		}
-	).replace(
-		//	Boolean NOT.
-		/^\s*!\s*(.+?)\s*$/,
-		(match, operand) =>
-		(evaluateTemplateExpression(operand, valueFunction)
-		 ? "_FALSE_"
-		 : "_TRUE_")
-	).replace(/^\s*(.+)\s*$/g,
-		(match, fieldName) =>
-		(/^_(.*)_$/.test(fieldName)
-		 ? fieldName
-		 : (valueFunction(fieldName) == null
-			? "_FALSE_"
-			: "_TRUE_"))
-	));
+
+		let nodeValue = value(node);
+		return (   nodeValue === true
+				|| (   nodeValue !== false
+					&& templateValueIsEmpty(nodeValue) == false));
+	};
+
+	return truth(expr);
+}
+
+/*****************************************************************************/
+/*	Escape a value for output into a template (or into HTML generally).
+	(Safe for element content and for quoted attribute values.)
+ */
+function escapeHTML(string) {
+	return string.replace(/[&<>"']/g, (c) => ({
+		"&": "&amp;",
+		"<": "&lt;",
+		">": "&gt;",
+		"\"": "&quot;",
+		"'": "&#39;"
+	})[c]);
+}
+
+/*******************************************************************/
+/*	Returns string representation of a template value, for output.
+ */
+function stringFromTemplateValue(value) {
+	if (value == null)
+		return "";
+
+	if (   value instanceof Array
+		|| value instanceof NodeList)
+		return Array.from(value).map(stringFromTemplateValue).join(", ");
+
+	if (value instanceof Node)
+		return (value.outerHTML ?? value.innerHTML ?? value.textContent);
+
+	return `${value}`;
+}
+
+/*****************************************************************************/
+/*	Returns an array of values, given a template value (for iteration).
+	Null and empty strings yield an empty array; other non-list values yield
+	a one-member array.
+ */
+function listFromTemplateValue(value) {
+	if (   value == null
+		|| value === "")
+		return [ ];
+
+	if (   value instanceof Array
+		|| value instanceof NodeList)
+		return Array.from(value);
+
+	return [ value ];
+}
+
+/******************************************************************************/
+/*	Parse a template filter argument list (the part after the colon in e.g.
+	`<{foo|join:", "}>` or `<{foo|truncate:3}>`). Arguments are separated by
+	commas, and may be quoted (with single or double quotes).
+ */
+function templateFilterArguments(argumentString) {
+	if (argumentString == null)
+		return [ ];
+
+	return Array.from(argumentString.matchAll(/\s*(?:"([^"]*)"|'([^']*)'|([^,]+?))\s*(?:,|$)/g)).map(match =>
+		(match[1] ?? match[2] ?? match[3])
+	);
 }
 
 /******************************************************************************/
@@ -374,11 +669,62 @@ function evaluateTemplateExpression(expr, valueFunction = (() => null)) {
 
 	(Context argument must be an object, not a string.)
 
+	The template is compiled on first use (see compileTemplate()); returns
+	null if the template cannot be parsed.
+
+	Template syntax:
+
+		<{foo}>
+			Replaced with the value of field `foo` (HTML-escaped). Arrays are
+			output as comma-separated lists. Dotted field names (`foo.bar`)
+			retrieve properties of field values.
+
+		<{foo|raw}>
+			Replaced with the value of field `foo`, NOT HTML-escaped. (Use for
+			fields which contain HTML.)
+
+		<{foo|bar|baz:1,"x"}>
+			Filters: the value of field `foo` is passed through each of the
+			listed filters in turn (with arguments, if given after a colon).
+			See Transclude.templateFilters for available filters. The `raw`
+			filter may appear anywhere in the filter chain.
+
+		<[IF foo]>bar<[IFEND]>
+		<[IF foo]>bar<[ELSE]>baz<[IFEND]>
+			Conditionals. (See parseTemplateExpression() for expression
+			syntax.) Empty lists are false.
+
+		<[EACH foo]>bar<[EACHEND]>
+		<[EACH foo AS baz]>bar<[EACHEND]>
+			Iteration: the body is filled once for each item of list field
+			`foo`, and the results are concatenated. Within the body, the
+			current item is available as the field `item` (or as the field
+			named after `AS`); if the item is an object, its properties are
+			also available as fields. Also available are the fields `index`
+			(0-based), `position` (1-based), `isFirst`, and `isLast` (the last
+			two are true or null, for use in conditionals).
+
+		<[PARTIAL foo]>
+			Replaced with the template named `foo` (from Transclude.templates),
+			filled with the same data (and, within a loop body, the same
+			current item).
+
+		\x
+			Escape: outputs the character `x` literally (e.g., to preserve
+			whitespace at the edges of conditionals).
+
+		<( foo )>
+			Comment (removed).
+
+	Conditionals and loops may be nested; nested blocks of the same kind
+	must be numbered (e.g. `<[IF2 foo]>…<[IF2END]>`, `<[EACH2 foo]>…
+	<[EACH2END]>`).
+
 	Available options (defaults):
 
 		preserveSurroundingWhitespaceInConditionals (false)
 			If true, `<[IF foo]> bar <[IFEND]>` becomes ` bar `;
-			if false, `bar`.
+			if false, `bar`. (Applies also to loop bodies.)
 
 		fireContentLoadEvent (false)
 			If true, a GW.contentDidLoad event is fired on the filled template.
@@ -410,57 +756,13 @@ function fillTemplate(template, data = null, context = null, options = { }) {
 				: (data ? data[fieldName] : null));
 	};
 
-	//	Line continuations.
-	template = template.replace(
-		/>\\\n\s*</gs,
-		(match) => "><"
-	);
-
-	//	Comments.
-	template = template.replace(
-		/<\(.+?\)>/gs,
-		(match) => ""
-	);
-
-	//	Escapes.
-	template = template.replace(
-		/\\(.)/gs,
-		(match, escaped) => "<[:" + escaped.codePointAt(0) + ":]>"
-	);
-
-	/*	Conditionals. JavaScript’s regexps do not support recursion, so we
-		keep running the replacement until no conditionals remain.
-	 */
-	let didReplace;
-	do {
-		didReplace = false;
-		template = template.replace(
-			/<\[IF([0-9]*)\s+(.+?)\]>(.+?)(?:<\[ELSE\1\]>(.+?))?<\[IF\1END\]>/gs,
-			(match, nestLevel, expr, ifValue, elseValue) => {
-				didReplace = true;
-				let returnValue = evaluateTemplateExpression(expr, valueFunction)
-								  ? (ifValue ?? "")
-								  : (elseValue ?? "");
-				return options.preserveSurroundingWhitespaceInConditionals
-					   ? returnValue
-					   : returnValue.trim();
-			});
-	} while (didReplace);
-
-	//	Data variable substitution.
-	template = template.replace(
-		/<\{(.+?)\}>/g,
-		(match, fieldName) => (valueFunction(fieldName) ?? "")
-	);
-
-	//	Escapes, redux.
-	template = template.replace(
-		/<\[:(.+?):\]>/gs,
-		(match, codePointSequence) => String.fromCodePoint(...(codePointSequence.split("/").map(x => parseInt(x))))
-	);
+	//	Compile template (or retrieve already-compiled template).
+	let renderTemplate = compileTemplate(template);
+	if (renderTemplate == null)
+		return null;
 
 	//	Construct DOM tree from filled template.
-	let outputDocument = newDocument(template);
+	let outputDocument = newDocument(renderTemplate(valueFunction, options));
 
 	//	Fire GW.contentDidLoad event, if need be.
 	if (options.fireContentLoadEvent) {
@@ -480,6 +782,291 @@ function fillTemplate(template, data = null, context = null, options = { }) {
 	return outputDocument;
 }
 
+/*****************************************************************************/
+/*	Compile a template (see fillTemplate() for template syntax) into a render
+	function, which takes a value function (mapping field names to values),
+	an options object, and a nesting depth, and returns the filled template
+	as a string.
+
+	Compiled templates are cached (see Transclude.compiledTemplates), so each
+	template is parsed only once, no matter how many times it is filled.
+
+	Returns null (and reports the error, with the template name and the line
+	and column of the problem) if the template cannot be parsed.
+ */
+function compileTemplate(template, templateName = null) {
+	if (Transclude.compiledTemplates.has(template))
+		return Transclude.compiledTemplates.get(template);
+
+	let positionDescription = (offset) => {
+		let linesBefore = template.slice(0, offset).split("\n");
+		return `line ${linesBefore.length}, column ${(linesBefore.last.length + 1)}`;
+	};
+	let reportParseError = (message, offset) => {
+		GWLog(`Could not parse template “${(templateName ?? "(unnamed)")}”: ${message} (at ${(positionDescription(offset))})`, "transclude.js", 0);
+		if (templateName)
+			GWServerLogError(templateName + `--template-parse-failed`, "template parse error");
+
+		Transclude.compiledTemplates.set(template, null);
+		return null;
+	};
+
+	let tagPattern = new RegExp([
+		/<\((?<comment>.+?)\)>/,
+		/(?<=>)(?<lineContinuation>\\\n\s*)(?=<)/,
+		/\\(?<escaped>.)/,
+		/<\[IF(?<ifLevel>[0-9]*)\s+(?<ifExpression>.+?)\]>/,
+		/<\[ELSE(?<elseLevel>[0-9]*)\]>/,
+		/<\[IF(?<ifEndLevel>[0-9]*)END\]>/,
+		/<\[EACH(?<eachLevel>[0-9]*)\s+(?<eachListFieldName>.+?)(?:\s+AS\s+(?<eachItemFieldName>\S+?))?\s*\]>/,
+		/<\[EACH(?<eachEndLevel>[0-9]*)END\]>/,
+		/<\[PARTIAL\s+(?<partialName>.+?)\]>/,
+		/<\{(?<fieldSpec>.+?)\}>/
+	].map(pattern => pattern.source).join("|"), "gs");
+
+	/*	The stack of currently open blocks (conditionals and loops); the
+		bottom entry is the template itself.
+	 */
+	let rootNodes = [ ];
+	let openBlocks = [ { nodes: rootNodes } ];
+	let currentNodes = () => openBlocks.last.nodes;
+	let appendText = (text, escaped = false) => {
+		let nodes = currentNodes();
+		if (   escaped == false
+			&& nodes.last?.type == "text"
+			&& nodes.last.escaped == false) {
+			nodes.last.text += text;
+		} else {
+			nodes.push({ type: "text", text: text, escaped: escaped });
+		}
+	};
+	let blockDescription = (block) => {
+		return (block.node.type == "if"
+				? `<[IF${block.level} …]>`
+				: `<[EACH${block.level} …]>`);
+	};
+	let closeBlock = (type, level, offset) => {
+		let block = openBlocks.last;
+		if (   block.node?.type != type
+			|| block.level != level) {
+			let tag = `<[${type.toUpperCase()}${level}END]>`;
+			return (block.node
+					? `${tag} found where ${blockDescription(block)} (opened at ${(positionDescription(block.offset))}) should be closed`
+					: `${tag} without matching opening tag`);
+		}
+
+		openBlocks.pop();
+		return null;
+	};
+
+	let position = 0;
+	for (match of template.matchAll(tagPattern)) {
+		if (match.index > position)
+			appendText(template.slice(position, match.index));
+		position = match.index + match[0].length;
+
+		let tag = match.groups;
+		if (   tag.comment != null
+			|| tag.lineContinuation != null) {
+			//	Nothing to output.
+		} else if (tag.escaped != null) {
+			appendText(tag.escaped, true);
+		} else if (tag.ifExpression != null) {
+			let expression = parseTemplateExpression(tag.ifExpression);
+			if (expression.type == "error")
+				return reportParseError(`malformed expression “${tag.ifExpression}”: ${expression.message}`,
+										match.index + match[0].indexOf(tag.ifExpression, 3) + expression.offset);
+
+			let node = {
+				type: "if",
+				expression: expression,
+				ifNodes: [ ],
+				elseNodes: [ ]
+			};
+			currentNodes().push(node);
+			openBlocks.push({ node: node, level: tag.ifLevel, offset: match.index, nodes: node.ifNodes });
+		} else if (tag.elseLevel != null) {
+			let block = openBlocks.last;
+			if (   block.node?.type != "if"
+				|| block.level != tag.elseLevel
+				|| block.nodes == block.node.elseNodes)
+				return reportParseError(`<[ELSE${tag.elseLevel}]> without matching <[IF${tag.elseLevel} …]>`, match.index);
+
+			block.nodes = block.node.elseNodes;
+		} else if (tag.ifEndLevel != null) {
+			let error = closeBlock("if", tag.ifEndLevel, match.index);
+			if (error)
+				return reportParseError(error, match.index);
+		} else if (tag.eachListFieldName != null) {
+			let node = {
+				type: "each",
+				listFieldName: tag.eachListFieldName,
+				itemFieldName: (tag.eachItemFieldName ?? "item"),
+				bodyNodes: [ ]
+			};
+			currentNodes().push(node);
+			openBlocks.push({ node: node, level: tag.eachLevel, offset: match.index, nodes: node.bodyNodes });
+		} else if (tag.eachEndLevel != null) {
+			let error = closeBlock("each", tag.eachEndLevel, match.index);
+			if (error)
+				return reportParseError(error, match.index);
+		} else if (tag.partialName != null) {
+			currentNodes().push({
+				type: "partial",
+				templateName: tag.partialName.trim()
+			});
+		} else if (tag.fieldSpec != null) {
+			let [ fieldName, ...filterSpecs ] = tag.fieldSpec.match(/(?:"[^"]*"|'[^']*'|[^|])+/g);
+			let filters = filterSpecs.map(filterSpec => {
+				let [ filterName, argumentString ] = filterSpec.trim().split(/:(.*)/s);
+				return {
+					name: filterName,
+					arguments: templateFilterArguments(argumentString)
+				};
+			});
+			currentNodes().push({
+				type: "field",
+				fieldName: fieldName.trim(),
+				filters: filters.filter(filter => filter.name != "raw"),
+				raw: (filters.findIndex(filter => filter.name == "raw") != -1)
+			});
+		}
+	}
+	appendText(template.slice(position));
+
+	if (openBlocks.length > 1)
+		return reportParseError(`${blockDescription(openBlocks.last)} is never closed`, openBlocks.last.offset);
+
+	/*	Unless the preserveSurroundingWhitespaceInConditionals option is set,
+		whitespace at the start and end of conditional branches and loop
+		bodies is trimmed (escaped whitespace is not).
+	 */
+	let trimNodes = (nodes) => {
+		nodes.forEach(node => {
+			if (node.type == "if") {
+				node.trimmedIfNodes = trimNodes(node.ifNodes);
+				node.trimmedElseNodes = trimNodes(node.elseNodes);
+			} else if (node.type == "each") {
+				node.trimmedBodyNodes = trimNodes(node.bodyNodes);
+			}
+		});
+
+		let trimmedNodes = nodes.slice();
+		if (   trimmedNodes.first?.type == "text"
+			&& trimmedNodes.first.escaped == false)
+			trimmedNodes[0] = { type: "text", text: trimmedNodes.first.text.trimStart(), escaped: false };
+		if (   trimmedNodes.last?.type == "text"
+			&& trimmedNodes.last.escaped == false)
+			trimmedNodes[trimmedNodes.length - 1] = { type: "text", text: trimmedNodes.last.text.trimEnd(), escaped: false };
+		return trimmedNodes;
+	};
+	trimNodes(rootNodes);
+
+	let renderFunction = (valueFunction, options = { }, depth = 0) => {
+		return renderTemplateNodes(rootNodes, valueFunction, options, depth);
+	};
+
+	Transclude.compiledTemplates.set(template, renderFunction);
+
+	return renderFunction;
+}
+
+/******************************************************************************/
+/*	Render compiled template nodes (see compileTemplate()), using the given
+	value function to look up field values. Returns a string.
+ */
+//	Called by: compileTemplate
+function renderTemplateNodes(nodes, valueFunction, options, depth) {
+	/*	Value lookup, with support for dotted field names (`foo.bar`).
+	 */
+	let lookup = (fieldName) => {
+		let [ baseFieldName, ...propertyNames ] = fieldName.trim().split(".");
+		let value = valueFunction(baseFieldName);
+		for (propertyName of propertyNames)
+			value = (value == null ? null : value[propertyName]);
+		return value;
+	};
+
+	let preserveWhitespace = options.preserveSurroundingWhitespaceInConditionals;
+
+	return nodes.map(node => {
+		if (node.type == "text")
+			return node.text;
+
+		if (node.type == "field") {
+			let value = lookup(node.fieldName);
+			for (filter of node.filters) {
+				let filterFunction = Transclude.templateFilters[filter.name];
+				if (filterFunction == null) {
+					GWLog(`Unknown template filter “${filter.name}”`, "transclude.js", 1);
+					continue;
+				}
+
+				value = filterFunction(value, ...filter.arguments);
+			}
+
+			let output = stringFromTemplateValue(value);
+			return (node.raw ? output : escapeHTML(output));
+		}
+
+		if (node.type == "if") {
+			let branchNodes = evaluateTemplateExpression(node.expression, lookup)
+							  ? (preserveWhitespace ? node.ifNodes : node.trimmedIfNodes)
+							  : (preserveWhitespace ? node.elseNodes : node.trimmedElseNodes);
+			return renderTemplateNodes(branchNodes, valueFunction, options, depth);
+		}
+
+		if (node.type == "each") {
+			if (depth >= Transclude.maxTemplateNestingDepth) {
+				GWLog(`Template loops nested too deeply`, "transclude.js", 1);
+				return "";
+			}
+
+			let bodyNodes = (preserveWhitespace ? node.bodyNodes : node.trimmedBodyNodes);
+			let list = listFromTemplateValue(lookup(node.listFieldName));
+			return list.map((item, index) => {
+				let loopFields = {
+					[node.itemFieldName]:  item,
+					index:                 index,
+					position:              index + 1,
+					isFirst:               (index == 0 ? true : null),
+					isLast:                (index == list.length - 1 ? true : null)
+				};
+				let itemValueFunction = (fieldName) => {
+					if (fieldName in loopFields)
+						return loopFields[fieldName];
+
+					if (   item != null
+						&& typeof item == "object"
+						&& fieldName in item)
+						return item[fieldName];
+
+					return valueFunction(fieldName);
+				};
+
+				return renderTemplateNodes(bodyNodes, itemValueFunction, options, depth + 1);
+			}).join("");
+		}
+
+		if (node.type == "partial") {
+			let partial = Transclude.templates[node.templateName];
+			let renderPartial = (   partial == null
+								 || partial == "LOADING_FAILED"
+								 || depth >= Transclude.maxTemplateNestingDepth)
+								? null
+								: compileTemplate(partial, node.templateName);
+			if (renderPartial == null) {
+				GWLog(`Could not fill template partial “${node.templateName}”`, "transclude.js", 1);
+				return "";
+			}
+
+			return renderPartial(valueFunction, options, depth + 1);
+		}
+
+		return "";
+	}).join("");
+}
+
 /*****************************************************************************/
 /*	Construct synthetic include-link. The optional ‘link’ argument may be
 	a string, a URL object, or an HTMLAnchorElement, in which case it, or its
@@ -629,6 +1216,12 @@ function includeContent(includeLink, content) {
 	//	Clear loading state of all include-links.
 	Transclude.allIncludeLinksInContainer(wrapper).forEach(Transclude.clearLinkState);
 
+	//	Record transclusion chain for nested include-links.
+	let transclusionChain = [ ...Transclude.transclusionChainForLink(includeLink), Transclude.graphKeyForIncludeLink(includeLink) ];
+	Transclude.allIncludeLinksInContainer(wrapper).forEach(nestedIncludeLink => {
+		nestedIncludeLink.transclusionChain = transclusionChain;
+	});
+
     //  Fire GW.contentDidInject event.
 	let flags = GW.contentDidInjectEventFlags.clickable;
 	if (containingDocument == document)
@@ -1097,6 +1690,89 @@ Transclude = {
 
 	templates: { },
 
+	/*	Compiled templates (render functions; see compileTemplate()), keyed by
+		template source. (Null for templates that could not be parsed.)
+	 */
+	compiledTemplates: new Map(),
+
+	//	Maximum nesting depth of partials and loops (see fillTemplate()).
+	maxTemplateNestingDepth: 10,
+
+	/*	Filters available in template substitutions (e.g. `<{foo|upper}>`).
+		Each filter takes a value (and, optionally, string arguments), and
+		returns a new value. (The `raw` filter, which disables HTML escaping,
+		is handled by fillTemplate() itself.)
+	 */
+	templateFilters: {
+		//	HTML-escape (useful to escape the value before further filtering).
+		escape: (value) => {
+			return escapeHTML(stringFromTemplateValue(value));
+		},
+
+		//	Strip HTML tags, leaving text content only.
+		strip: (value) => {
+			return newDocument(stringFromTemplateValue(value)).textContent;
+		},
+
+		upper: (value) => {
+			return stringFromTemplateValue(value).toUpperCase();
+		},
+
+		lower: (value) => {
+			return stringFromTemplateValue(value).toLowerCase();
+		},
+
+		//	Year of a date (e.g. `2014-01-01` → `2014`).
+		year: (value) => {
+			return stringFromTemplateValue(value).match(/[0-9]{4}/)?.[0] ?? "";
+		},
+
+		default: (value, defaultValue = "") => {
+			return (templateValueIsEmpty(value) || value === ""
+					? defaultValue
+					: value);
+		},
+
+		//	Split a string into a list (on `, ` by default).
+		split: (value, separator = ", ") => {
+			return (typeof value == "string"
+					? (value == "" ? [ ] : value.split(separator))
+					: listFromTemplateValue(value));
+		},
+
+		join: (value, separator = ", ") => {
+			return listFromTemplateValue(value).map(stringFromTemplateValue).join(separator);
+		},
+
+		count: (value) => {
+			return Transclude.templateFilters.split(value).length;
+		},
+
+		first: (value) => {
+			return Transclude.templateFilters.split(value).first ?? null;
+		},
+
+		last: (value) => {
+			return Transclude.templateFilters.split(value).last ?? null;
+		},
+
+		/*	Keep only the first N items of a list (or of a comma-separated
+			string), marking the truncation with an ellipsis.
+		 */
+		truncate: (value, maxCount = "3") => {
+			let list = Transclude.templateFilters.split(value);
+			maxCount = parseInt(maxCount);
+			if (list.length <= maxCount)
+				return value;
+
+			list = list.slice(0, maxCount);
+			list[list.length - 1] = stringFromTemplateValue(list.last) + "…";
+			return (typeof value == "string"
+					? list.join(", ")
+					: list);
+		}
+	},
+
 	loadTemplates: () => {
         GWLog("Transclude.loadTemplates", "transclude.js", 1);
 
@@ -1118,7 +1794,21 @@ Transclude = {
 			location: versionedAssetURL(Transclude.templateDirectoryPathname + templateName + ".tmpl").href,
 			responseType: "text",
 			onSuccess: (event) => {
-				Transclude.templates[templateName] = event.target.response;
+				let template = event.target.response;
+
+				//	Compile template now, so it need not be parsed when filled.
+				if (compileTemplate(template, templateName) == null) {
+					Transclude.templates[templateName] = "LOADING_FAILED";
+
+					GW.notificationCenter.fireEvent("Transclude.templateLoadDidFail", {
+						source: "Transclude.loadTemplateByName",
+						templateName: templateName
+					});
+
+					return;
+				}
+
+				Transclude.templates[templateName] = template;
 
 				GW.notificationCenter.fireEvent("Transclude.templateDidLoad", {
 					source: "Transclude.loadTemplateByName",
@@ -1214,6 +1904,176 @@ Transclude = {
 				: block);
 	},
 
+	/*	Parses a 1-based, inclusive index range (e.g. `3`, `2-4`, `2-`, `-4`).
+		Returns an object with `start` and `end` (0-based, end-exclusive; end
+		is null for open-ended ranges), or null if the string is malformed.
+	 */
+	//	Called by: Transclude.blocksFromContent
+	//	Called by: Transclude.sentencesFromContent
+	indexRangeFromString: (string) => {
+		let match = string.trim().match(/^([0-9]+)?(?:\s*(-)\s*([0-9]+)?)?$/);
+		if (   match == null
+			|| (   match[1] == null
+				&& match[3] == null))
+			return null;
+
+		let start = parseInt(match[1] ?? "1");
+		let end = match[2]
+				  ? (match[3] ? parseInt(match[3]) : null)
+				  : start;
+		if (   start < 1
+			|| (   end != null
+				&& end < start))
+			return null;
+
+		return {
+			start: start - 1,
+			end: end
+		};
+	},
+
+	/*	Returns the section headed by the heading with the given text (compared
+		case-insensitively, ignoring extra whitespace), or null if no such
+		heading exists. (The section is the heading’s containing <section>, if
+		the heading is the section’s heading; otherwise, the heading and all
+		following siblings, up to the next heading of the same or higher level.)
+	 */
+	//	Called by: Transclude.applyContentSelector
+	sectionForHeadingText: (content, headingText) => {
+		let normalize = (text) => text.trim().replace(/\s+/g, " ").toLowerCase();
+		let heading = Array.from(content.querySelectorAll("h1, h2, h3, h4, h5, h6")).find(heading =>
+			normalize(heading.textContent) == normalize(headingText)
+		);
+		if (heading == null)
+			return null;
+
+		let section = heading.parentElement;
+		if (   section?.tagName == "SECTION"
+			&& section.firstElementChild == heading)
+			return newDocument(section);
+
+		let headingLevel = parseInt(heading.tagName.slice(1));
+		let nodes = [ heading ];
+		let nextNode = heading.nextSibling;
+		while (   nextNode
+			   && (   /^H[1-6]$/.test(nextNode.tagName) == false
+				   || parseInt(nextNode.tagName.slice(1)) > headingLevel)) {
+			nodes.push(nextNode);
+			nextNode = nextNode.nextSibling;
+		}
+
+		return newDocument(nodes);
+	},
+
+	/*	Returns the block elements in the given index range (see
+		Transclude.indexRangeFromString()), counting the content’s top-level
+		block elements (or, if the content is a single section, the section’s
+		block elements), not counting headings. Returns null if the range is
+		malformed or no such blocks exist.
+	 */
+	//	Called by: Transclude.applyContentSelector
+	blocksFromContent: (content, rangeString) => {
+		let range = Transclude.indexRangeFromString(rangeString);
+		if (range == null)
+			return null;
+
+		let container = (   content.children.length == 1
+						 && content.firstElementChild.tagName == "SECTION")
+						? content.firstElementChild
+						: content;
+		let blocks = Array.from(container.children).filter(block =>
+			/^H[1-6]$/.test(block.tagName) == false
+		).slice(range.start, range.end ?? undefined);
+		if (blocks.length == 0)
+			return null;
+
+		return newDocument(blocks);
+	},
+
+	/*	Returns a paragraph containing the sentences (in the given index range;
+		see Transclude.indexRangeFromString()) of the first paragraph in the
+		given content. Inline markup within the sentences is preserved. Returns
+		null if the range is malformed, or if there is no paragraph, or no such
+		sentences.
+	 */
+	//	Called by: Transclude.applyContentSelector
+	sentencesFromContent: (content, rangeString) => {
+		let range = Transclude.indexRangeFromString(rangeString);
+		let paragraph = content.querySelector("p");
+		if (   range == null
+			|| paragraph == null)
+			return null;
+
+		//	Character offsets (in paragraph text) of sentence starts.
+		let text = paragraph.textContent;
+		let sentenceStarts = [ ];
+		if (window.Intl?.Segmenter) {
+			for (segment of new Intl.Segmenter(document.documentElement.lang || undefined, { granularity: "sentence" }).segment(text))
+				if (segment.segment.trim() > "")
+					sentenceStarts.push(segment.index);
+		} else {
+			sentenceStarts.push(0);
+			for (match of text.matchAll(/[.!?…]["”’)\]]*\s+(?=\S)/g))
+				sentenceStarts.push(match.index + match[0].length);
+		}
+
+		let startOffset = sentenceStarts[range.start];
+		let endOffset = (range.end == null ? null : sentenceStarts[range.end]) ?? text.length;
+		if (startOffset == null)
+			return null;
+
+		//	Convert text offsets to a DOM range within the paragraph.
+		let domRange = document.createRange();
+		let charactersSoFar = 0;
+		let walker = document.createTreeWalker(paragraph, NodeFilter.SHOW_TEXT);
+		while (walker.nextNode()) {
+			let textNode = walker.currentNode;
+			let textNodeEnd = charactersSoFar + textNode.length;
+			if (   startOffset >= charactersSoFar
+				&& startOffset < textNodeEnd)
+				domRange.setStart(textNode, startOffset - charactersSoFar);
+			if (   endOffset > charactersSoFar
+				&& endOffset <= textNodeEnd)
+				domRange.setEnd(textNode, endOffset - charactersSoFar);
+			charactersSoFar = textNodeEnd;
+		}
+
+		let sentences = paragraph.cloneNode(false);
+		sentences.removeAttribute("id");
+		sentences.append(domRange.cloneContents());
+		sentences.normalize();
+		if (sentences.lastChild?.nodeType == Node.TEXT_NODE)
+			sentences.lastChild.textContent = sentences.lastChild.textContent.trimEnd();
+
+		return newDocument(sentences);
+	},
+
+	/*	Applies a content selector (e.g. `#heading=Results`, `#block=3`, or
+		`#sentences=1-2`; see ‘Transclude range syntax’, above) to the given
+		content. Returns the selected content, or null if the selector is
+		malformed or cannot be satisfied.
+	 */
+	//	Called by: Transclude.sliceContentFromDocument
+	applyContentSelector: (content, selectorHash) => {
+		let match = decodeURIComponent(selectorHash.slice(1)).match(/^(heading|block|sentences)=([^]+)$/);
+		if (match == null)
+			return null;
+
+		let [ , selectorName, selectorValue ] = match;
+		switch (selectorName) {
+		case "heading":
+			return Transclude.sectionForHeadingText(content, selectorValue);
+		case "block":
+			return Transclude.blocksFromContent(content, selectorValue);
+		case "sentences":
+			return Transclude.sentencesFromContent(content, selectorValue);
+		}
+	},
+
+    /*	Returns the part of the given document specified by the include-link
+    	(see the ADVANCED section, above), or null if one of the content
+    	selectors in the include-link’s range syntax cannot be satisfied.
+     */
     //  Called by: Transclude.transclude
     sliceContentFromDocument: (sourceDocument, includeLink) => {
         //  If it’s a full page, extract just the page content.
@@ -1222,7 +2082,9 @@ Transclude = {
 
         //  If the link’s anchor(s) specify part of the page, extract that.
         let anchors = anchorsForLink(includeLink);
-        if (anchors.length == 2) {
+        if (   anchors.length >= 2
+            && (   anchors[0].length > 1
+                || anchors[1].length > 1)) {
             //  PmWiki-like transclude range syntax.
 
 			//	Start element.
@@ -1245,13 +2107,6 @@ Transclude = {
 					return newDocument();
 			}
 
-            /*  If both ends of the range are unspecified, we return the entire
-                content.
-             */
-            if (   startElement == null
-                && endElement == null)
-                return content;
-
             /*  If both ends of the range exist, but the end element
                 doesn’t follow the start element, we return nothing.
              */
@@ -1397,6 +2252,13 @@ Transclude = {
             }
         }
 
+		//	Apply content selectors, if any (after the two range parts).
+		for (let selectorHash of anchors.slice(2)) {
+			content = Transclude.applyContentSelector(content, selectorHash);
+			if (content == null)
+				return null;
+		}
+
 		//	Apply `data-include-selector-not` attribute.
 		if (includeLink.dataset.includeSelectorNot) {
 			content.querySelectorAll(includeLink.dataset.includeSelectorNot).forEach(element => {
@@ -1431,6 +2293,29 @@ Transclude = {
 		return window[Transclude.dataProviderNameForLink(includeLink)];
 	},
 
+	/*	Request options (see doAjax() in utility.js) for loading the content
+		of an include-link. Transclusions into a pop-frame (which is being
+		shown) take precedence over prefetches, and are cancelled if the
+		pop-frame goes away; lazy transclusions elsewhere come after
+		prefetches.
+	 */
+	//	Called by: Transclude.transclude
+	requestOptionsForIncludeLink: (includeLink) => {
+		let shadowBody = includeLink.closest(".shadow-body");
+		let popFrame = (shadowBody?.popup ?? shadowBody?.popin);
+		if (popFrame)
+			return {
+				priority: "visible",
+				signal: popFrame.abortController.signal
+			};
+
+		return {
+			priority: (includeLink.classList.contains("include-strict")
+					   ? "normal"
+					   : "lazy")
+		};
+	},
+
 	doWhenDataProviderLoaded: (includeLink, loadHandler) => {
 		GW.notificationCenter.addHandlerForEvent(`${(Transclude.dataProviderNameForLink(includeLink))}.didLoad`, 
 												 loadHandler, 
@@ -1470,6 +2355,12 @@ Transclude = {
 			&& Transclude.hasAnnotation(includeLink) == false)
 			return;
 
+		/*	We refuse to transclude content into itself (directly or via
+			intermediate transclusions), or beyond the maximum nesting depth.
+		 */
+		if (Transclude.recordTransclusion(includeLink) == false)
+			return;
+
         /*  By default, includes within collapse blocks only get transcluded
             if/when the collapse block is expanded.
          */
@@ -1521,12 +2412,33 @@ Transclude = {
 			return;
         }
 
+		/*	If the pop-frame into which we would be transcluding has already
+			gone away, do nothing.
+		 */
+		let requestOptions = Transclude.requestOptionsForIncludeLink(includeLink);
+		if (requestOptions.signal?.aborted)
+			return;
+
 		//	Activity begins.
 		beginActivity();
 
-		//	Request data load, if need be.
+		/*	Request data load, if need be. If the request is cancelled (because
+			the pop-frame went away), stop waiting for the data, and reset the
+			include-link.
+		 */
+		let cancelWaitForDataLoad = null;
 		if (dataProvider.cachedDataExists(includeLink) == false) {
-			dataProvider.load(includeLink);
+			dataProvider.load(includeLink, null, null, Object.assign(requestOptions, {
+				onAbort: () => {
+					endActivity();
+
+					if (cancelWaitForDataLoad)
+						cancelWaitForDataLoad();
+
+					Transclude.clearLinkState(includeLink);
+					includeLink.classList.remove("include-spinner");
+				}
+			}));
 	        includeLink.delayed = true;
 		}
 
@@ -1559,7 +2471,16 @@ Transclude = {
 
 			//	Slice and include, or else handle failure.
 			if (content) {
-				includeContent(includeLink, Transclude.sliceContentFromDocument(content, includeLink));
+				let slicedContent = Transclude.sliceContentFromDocument(content, includeLink);
+				if (slicedContent) {
+					includeContent(includeLink, slicedContent);
+				} else {
+					Transclude.setLinkStateLoadingFailed(includeLink);
+
+					//	Send request to record failure in server logs.
+					GWServerLogError(includeLink.href + `--transclude-range-failed`,
+									 "failed transclude range");
+				}
 			} else {
 				Transclude.setLinkStateLoadingFailed(includeLink);
 
@@ -1568,7 +2489,7 @@ Transclude = {
 								 "failed transclude template fill");
 			}
 		};
-		dataProvider.waitForDataLoad(includeLink,
+		cancelWaitForDataLoad = dataProvider.waitForDataLoad(includeLink,
 		   (link) => {
 		   	//	Load success handler.
 
@@ -1608,6 +2529,158 @@ Transclude = {
 		});
     },
 
+    /***********************/
+    /*  Transclusion graph.
+     */
+
+	//	Maximum depth of nested transclusion. (Override via local storage.)
+	maxNestingDepth: parseInt(localStorage.getItem("transclude-max-nesting-depth") || "8"),
+
+	/*	Record of transclusions, per root document (i.e., the page itself, or
+		a pop-frame’s document). Keys are root documents; values are objects
+		with the following keys/values:
+
+		- ‘root’
+			Graph key (see Transclude.graphKeyForURL()) of the root document.
+
+		- ‘includes’
+			Dictionary mapping each graph key to an array of the graph keys
+			which it transcludes.
+
+		- ‘errors’
+			Array of refused transclusions, each an object with a ‘reason’
+			(‘cycle’ or ‘depth’) and a ‘chain’ (array of graph keys, from the
+			root to the refused include).
+	 */
+	graphs: new Map(),
+
+	/*	Graph key for a URL: its pathname (preceded by its origin, if not the
+		current one), plus its hash if `includeHash` is true.
+	 */
+	//	Called by: Transclude.graphKeyForIncludeLink
+	//	Called by: Transclude.graphForDocument
+	graphKeyForURL: (url, includeHash = false) => {
+		return (  (url.origin == location.origin ? "" : url.origin)
+				+ url.pathname
+				+ (includeHash ? url.hash : ""));
+	},
+
+	/*	The hash of an include-link is part of its graph key only if it makes
+		the transcluded node distinct: i.e., for annotations (which are
+		specific to the full URL), or if it selects part of the page.
+	 */
+	//	Called by: Transclude.recordTransclusion
+	//	Called by: includeContent
+	graphKeyForIncludeLink: (includeLink) => {
+		let url = new URL(includeLink.href);
+		return (Transclude.isAnnotationTransclude(includeLink)
+				? `annotation:${(Transclude.graphKeyForURL(url, true))}`
+				: Transclude.graphKeyForURL(url, url.hash.length > 1));
+	},
+
+	/*	Returns the transclusion graph for the given root document (creating
+		it, if need be), or null if the document is not a root document (e.g.,
+		if it is a template fill or a cached source document).
+	 */
+	//	Called by: Transclude.recordTransclusion
+	graphForDocument: (doc) => {
+		let graph = Transclude.graphs.get(doc);
+		if (graph)
+			return graph;
+
+		let baseLocation = baseLocationForDocument(doc);
+		if (baseLocation == null)
+			return null;
+
+		//	Discard graphs for pop-frames that no longer exist.
+		for ([ graphDocument, graph ] of Transclude.graphs)
+			if (   graphDocument instanceof ShadowRoot
+				&& graphDocument.host.isConnected == false)
+				Transclude.graphs.delete(graphDocument);
+
+		graph = {
+			root: Transclude.graphKeyForURL(baseLocation),
+			includes: { },
+			errors: [ ]
+		};
+		Transclude.graphs.set(doc, graph);
+
+		return graph;
+	},
+
+	/*	Returns the chain of graph keys (root first) of the documents through
+		which the given include-link was transcluded into its root document.
+	 */
+	transclusionChainForLink: (includeLink) => {
+		return (includeLink.transclusionChain ?? [ Transclude.graphForDocument(includeLink.eventInfo.document)?.root ]);
+	},
+
+	/*	Records the given include-link in its root document’s transclusion
+		graph. Returns false (having replaced the include-link with an error
+		stub) if the include-link would complete a transclusion cycle, or if it
+		is nested too deeply (see Transclude.maxNestingDepth); true otherwise.
+	 */
+	//	Called by: Transclude.transclude
+	recordTransclusion: (includeLink) => {
+		let graph = Transclude.graphForDocument(includeLink.eventInfo.document);
+		if (graph == null)
+			return true;
+
+		let chain = Transclude.transclusionChainForLink(includeLink);
+		let key = Transclude.graphKeyForIncludeLink(includeLink);
+
+		let includes = (graph.includes[chain.last] ??= [ ]);
+		if (includes.includes(key) == false)
+			includes.push(key);
+
+		let reason = null;
+		if (chain.includes(key))
+			reason = "cycle";
+		else if (chain.length > Transclude.maxNestingDepth)
+			reason = "depth";
+
+		if (reason == null)
+			return true;
+
+		graph.errors.push({
+			reason: reason,
+			chain: [ ...chain, key ]
+		});
+
+		Transclude.replaceLinkWithErrorStub(includeLink, (reason == "cycle"
+														  ? `transclusion cycle (${([ ...chain.slice(chain.indexOf(key)), key ].join(" → "))})`
+														  : `transclusion nested too deeply (more than ${Transclude.maxNestingDepth} levels)`));
+
+		//	Send request to record failure in server logs.
+		GWServerLogError(includeLink.href + `--transclude-${reason}`, `transclusion ${reason}`);
+
+		return false;
+	},
+
+	/*	Replaces the include-link with a visible error message (followed by
+		the link itself, as a normal link).
+	 */
+	//	Called by: Transclude.recordTransclusion
+	replaceLinkWithErrorStub: (includeLink, message) => {
+		GWLog(`Not transcluding ${includeLink.href}: ${message}`, "transclude.js", 1);
+
+		let errorStub = newElement("SPAN", { "class": "include-error", "title": message }, { textContent: `[${message}]` });
+		includeLink.replaceWith(errorStub);
+
+		Transclude.clearLinkState(includeLink);
+		includeLink.classList.remove(...Transclude.permittedClassNames, "include-spinner", "include-spinner-not");
+		if (includeLink.textContent > "")
+			errorStub.append(" ", includeLink);
+
+		//  Fire event, if need be.
+		if (includeLink.delayed) {
+			GW.notificationCenter.fireEvent("Rewrite.contentDidChange", {
+				source: "transclude.error",
+				document: includeLink.eventInfo.document
+			});
+		}
+	},
+
     /*****************/
     /*  Misc. helpers.
      */
@@ -1684,6 +2757,7 @@ Transclude = {
     },
 
     //  Called by: includeContent
+    //  Called by: Transclude.transclude
 	clearLinkState: (link) => {
         if (Transclude.isIncludeLink(link) == false)
             return;
@@ -1718,6 +2792,18 @@ Transclude = {
  */
 Transclude.loadTemplates();
 
+/**************************************************/
+/*	Console command to inspect transclusion graphs.
+ */
+GW.console.registerCommand("transclusion-graph", {
+	description: "Print the transclusion graph of the page and of each pop-frame.",
+	action: () => {
+		Transclude.graphs.forEach(graph => {
+			GW.console.print(graph);
+		});
+	}
+});
+
 /****************************/
 /*  Process transclude-links.
  */
@@ -16,22 +16,45 @@
 	*/
 
 Typography = {
-	replacements: (types) => {
+	/*	Returns the replacements of the given types, for the given locale (if
+		any; see Typography.definitionGroupsForLanguage).
+
+		Available option fields:
+
+		lang (string)
+			Language tag (e.g. ‘en-GB’) whose rule set should be used.
+
+		retainLength (boolean)
+			Omit replacement groups that add length (see
+			Typography.lengthChangingDefinitionGroups).
+
+		lengthChangingOnly (boolean)
+			Return *only* replacements from groups that add length.
+	 */
+	replacements: (types, options = { }) => {
+		let definitionGroups = Typography.definitionGroupsForLanguage(options.lang);
+
 		let allReplacements = [ ];
 		let replacementTypeDefinitions = [
-			[ Typography.replacementTypes.QUOTES,		Typography.replacementDefinitionGroups.quotes		],
-			[ Typography.replacementTypes.HYPHENS,		Typography.replacementDefinitionGroups.hyphens		],
-			[ Typography.replacementTypes.ELLIPSES,		Typography.replacementDefinitionGroups.ellipses		],
-			[ Typography.replacementTypes.ARROWS,		Typography.replacementDefinitionGroups.arrows		],
-			[ Typography.replacementTypes.WORDBREAKS,	Typography.replacementDefinitionGroups.wordbreaks	],
-			[ Typography.replacementTypes.MISC,			Typography.replacementDefinitionGroups.misc			],
-			[ Typography.replacementTypes.SOFTHYPHENS,	Typography.replacementDefinitionGroups.softHyphens	],
-			[ Typography.replacementTypes.JOINERS,		Typography.replacementDefinitionGroups.joiners		],
-			[ Typography.replacementTypes.SEPARATORS,	Typography.replacementDefinitionGroups.separators	]
+			[ Typography.replacementTypes.QUOTES,		"quotes"		],
+			[ Typography.replacementTypes.QUOTES,		"quoteSpacing"	],
+			[ Typography.replacementTypes.HYPHENS,		"hyphens"		],
+			[ Typography.replacementTypes.ELLIPSES,		"ellipses"		],
+			[ Typography.replacementTypes.ARROWS,		"arrows"		],
+			[ Typography.replacementTypes.WORDBREAKS,	"wordbreaks"	],
+			[ Typography.replacementTypes.MISC,			"misc"			],
+			[ Typography.replacementTypes.SOFTHYPHENS,	"softHyphens"	],
+			[ Typography.replacementTypes.JOINERS,		"joiners"		],
+			[ Typography.replacementTypes.SEPARATORS,	"separators"	]
 		];
-		for ([ replacementTypeCode, replacementGroup ] of replacementTypeDefinitions) {
+		for ([ replacementTypeCode, replacementGroupName ] of replacementTypeDefinitions) {
+			let addsLength = Typography.lengthChangingDefinitionGroups.includes(replacementGroupName);
+			if (   (options.retainLength && addsLength)
+				|| (options.lengthChangingOnly && addsLength == false))
+				continue;
+
 			if (types & replacementTypeCode)
-				for (replacement of replacementGroup)
+				for (replacement of definitionGroups[replacementGroupName])
 					allReplacements.push(replacement);
 		}
 		return allReplacements;
@@ -108,6 +131,10 @@ Typography = {
 		/*	This replacement type adds length, so the ‘retainLength’ trick does
 			not work. See the ‘processElement’ method for how we deal with this.
 		 */
+		/*	Spacing around quotation marks, for locales that require it. (This
+			replacement type adds length; see the ‘wordbreaks’ group, below.)
+		 */
+		quoteSpacing: [ ],
 		wordbreaks: [
 			// Word-breaks after slashes (for long URLs etc.).
 			[ /.\/+/g, '$&\u200b' ],
@@ -135,8 +162,192 @@ Typography = {
 			[ /\u200a|&hairsp;/g, retainLength => (retainLength ? '\u2063' : '') ],
 		]
 	},
+	/*	Replacement groups that add length (and so cannot be used with the
+		‘retainLength’ option; see the ‘processElement’ method for how we deal
+		with this).
+	 */
+	lengthChangingDefinitionGroups: [ "wordbreaks", "quoteSpacing" ],
+
+	/*	Locale-specific replacement definition groups, keyed by lowercased
+		language tag (e.g. ‘en-gb’, ‘fr’). Each value is a dictionary of
+		replacement definition groups (with the same keys as
+		Typography.replacementDefinitionGroups), which override the default
+		(US English) groups; groups not specified fall back to the defaults.
+
+		(See Typography.registerLocale.)
+	 */
+	localeDefinitionGroups: { },
+
+	/*	Register a rule set for the given language tag. (Replaces any rule set
+		already registered for that language tag.)
+	 */
+	registerLocale: (lang, definitionGroups) => {
+		Typography.localeDefinitionGroups[lang.toLowerCase()] = definitionGroups;
+	},
+
+	/*	Returns the key (in Typography.localeDefinitionGroups) of the rule set
+		that applies to the given language tag, or null if the default rule set
+		applies. A rule set registered for a language tag also applies to more
+		specific tags (e.g., one registered for ‘fr’ applies to ‘fr-CA’), unless
+		a more specific rule set is registered.
+	 */
+	localeForLanguage: (lang) => {
+		let subtags = (lang ?? "").toLowerCase().split("-");
+		while (subtags.length > 0) {
+			let tag = subtags.join("-");
+			if (Typography.localeDefinitionGroups[tag])
+				return tag;
+			subtags.pop();
+		}
+		return null;
+	},
+
+	/*	Returns the replacement definition groups that apply to the given
+		language tag (the default groups, overridden by those of the matching
+		locale, if any).
+	 */
+	definitionGroupsForLanguage: (lang) => {
+		let locale = Typography.localeForLanguage(lang);
+		return (locale
+				? { ...Typography.replacementDefinitionGroups, ...(Typography.localeDefinitionGroups[locale]) }
+				: Typography.replacementDefinitionGroups);
+	},
+
+	/*	Returns the language tag of the given element (or document fragment),
+		i.e. the ‘lang’ attribute of its nearest ancestor that has one (or of
+		the root element of the page, if there is no such ancestor).
+	 */
+	languageOfElement: (element) => {
+		return (   element.closest?.("[lang]")?.getAttribute("lang")
+				?? document.documentElement.getAttribute("lang"));
+	},
+
+	/*	Returns quote replacements that educate straight quotes directly into
+		the given quotation marks: "double" quotes become doubleOpen/doubleClose,
+		and 'single' quotes become singleOpen/singleClose. (Apostrophes become
+		’, as in the default rules.)
+
+		These are the default quote replacements, made to produce (and to
+		match, as context) placeholder characters instead of curly quotes; the
+		last replacement turns the placeholders into the given marks.
+
+		They are preceded by a replacement that converts already educated (US
+		English style) quotation marks: each “double” quoted passage which is
+		not already enclosed in doubleOpen/doubleClose marks becomes
+		doubleOpen/doubleClose quoted, and ‘single’ quoted passages within it
+		become singleOpen/singleClose quoted. (Single quoted passages not
+		within double quotes are left alone, as are apostrophes.) Converted
+		passages are either no longer “double” quoted (or have no closing ”),
+		or are enclosed in doubleOpen/doubleClose marks, so the replacements
+		may safely be applied more than once.
+	 */
+	localizedQuoteReplacements: (doubleOpen, doubleClose, singleOpen, singleClose) => {
+		/*	Returns the spans of the given string that are quoted with the
+			given marks. (A quotation mark is opening only if it does not
+			follow a letter, digit, or closing punctuation; if the closing mark
+			is ’, it is closing only if not followed by a letter, to skip
+			apostrophes.)
+		 */
+		let quotedSpans = (string, open, close) => {
+			let pattern = new RegExp(  `(?<![\\p{L}\\p{N}.,;:!?)\\]}\u2019\u201d])${open}`
+									 + (close == '\u2019'
+										? `[^${open}]*?${close}(?!\\p{L})`
+										: `[^${open}${close}]*${close}`), "gu");
+			return Array.from(string.matchAll(pattern), match => [ match.index, match.index + match[0].length ]);
+		};
+		let convertCurlyQuotes = (string) => {
+			let enclosingSpans = quotedSpans(string, doubleOpen, doubleClose);
+			let replacedSpans = quotedSpans(string, '\u201c', '\u201d').filter(([ start, end ]) =>
+				enclosingSpans.findIndex(span => (span[0] < start && span[1] >= end)) == -1
+			);
+			replacedSpans.reverse().forEach(([ start, end ]) => {
+				let quoted = string.slice(start + 1, end - 1);
+				quotedSpans(quoted, '\u2018', '\u2019').reverse().forEach(([ innerStart, innerEnd ]) => {
+					quoted = (  quoted.slice(0, innerStart)
+							  + singleOpen
+							  + quoted.slice(innerStart + 1, innerEnd - 1)
+							  + singleClose
+							  + quoted.slice(innerEnd));
+				});
+				string = string.slice(0, start) + doubleOpen + quoted + doubleClose + string.slice(end);
+			});
+			return string;
+		};
+
+		let placeholders = [
+			[ '\u201c', '\ue001' ],
+			[ '\u201d', '\ue002' ],
+			[ '\u2018', '\ue003' ],
+			[ '\u2019', '\ue004' ]
+		];
+		let substitutePlaceholders = (string, escaped = false) => {
+			placeholders.forEach(([ quote, placeholder ]) => {
+				string = string.replaceAll(quote, placeholder);
+				if (escaped)
+					string = string.replaceAll("\\u" + quote.charCodeAt(0).toString(16), "\\u" + placeholder.charCodeAt(0).toString(16));
+			});
+			return string;
+		};
+		let substitutePlaceholdersInReplacement = (replacement) => {
+			if (typeof replacement === "function")
+				return (...args) => substitutePlaceholders(replacement(...args));
+			else
+				return substitutePlaceholders(replacement);
+		};
+
+		return [
+			[ /^[^]*[\u201c\u2018][^]*$/, retainLength => convertCurlyQuotes ],
+			...(Typography.replacementDefinitionGroups.quotes.map(([ pattern, replacement ]) => [
+				new RegExp(substitutePlaceholders(pattern.source, true), pattern.flags),
+				(typeof replacement === "function"
+				 ? retainLength => substitutePlaceholdersInReplacement(replacement(retainLength))
+				 : substitutePlaceholders(replacement))
+			])),
+			[ /\ue003([^\ue003\ue001\ue002]*?)\ue004(?!\p{L})|[\ue001-\ue004]/gu, retainLength => (match, singleQuoted) => {
+				if (singleQuoted !== undefined)
+					return (singleOpen + singleQuoted.replaceAll('\ue004', '\u2019') + singleClose);
+
+				switch (match) {
+				case '\ue001':
+					return doubleOpen;
+				case '\ue002':
+					return doubleClose;
+				case '\ue003':
+					return singleOpen;
+				default:
+					return '\u2019';
+				}
+			} ]
+		];
+	},
+
+	/*	Hyphen replacements for locales that use spaced en-dashes (rather than
+		unspaced em-dashes) as parenthetical dashes.
+	 */
+	spacedEnDashReplacements: [
+		// turn a hyphen surrounded by spaces, between words, into an en-dash
+		[ /([\p{L}\u2019\u201c\u201d\u00bb]) - ([\p{L}\u2018\u201c\u201e\u00ab])/gu, '$1 \u2013 $2' ],
+		// turn a double or triple hyphen, optionally surrounded by spaces, between words, or at the start of a line, into an en-dash (spaced if the hyphens were)
+		[ /([\p{L}"'“”‘’„«»]|\n)( ?---? ?)([\p{L}"'“”‘’„«»])/gu, retainLength => (m0, m1, m2, m3) => {
+			let dash = (m2.trim() == m2 ? '\u2013' : ' \u2013 ');
+			return (m1 + (retainLength ? dash.padStart(m2.length, '\u2063') : dash) + m3);
+		} ],
+		// turn a hyphen surrounded by spaces, between decimal digits, into an en-dash
+		[ /([0-9]) - ([0-9])/g, retainLength => (retainLength ? '$1\u2063\u2013\u2063$2' : '$1\u2013$2') ]
+	],
+
+	/*	Available option fields:
+
+		lang (string)
+			Language tag (e.g. ‘fr’) whose rule set should be used. (If not
+			specified, the default rule set is used.)
+
+		retainLength (boolean)
+			Do not change the length of the string. (Replacement groups that
+			add length are skipped.)
+	 */
 	processString: (str, replacementTypes = Typography.replacementTypes.NONE, options = { }) => {
-		Typography.replacements(replacementTypes).forEach(replace => {
+		Typography.replacements(replacementTypes, options).forEach(replace => {
 			replacement = typeof replace[1] === "function"
 						  ? replace[1](options.retainLength)
 						  : replace[1];
@@ -198,42 +409,87 @@ Typography = {
 			}
 		}
 	},
-	processElement: (element, replacementTypes = Typography.replacementTypes.NONE, replaceZeroWidthSpaces = true) => {
+	/*	Returns the language tag that applies to the given child node of an
+		element whose language tag is the given one.
+	 */
+	languageOfChildNode: (node, parentLang) => {
+		return (node.nodeType === Node.ELEMENT_NODE && node.hasAttribute("lang")
+				? node.getAttribute("lang")
+				: parentLang);
+	},
+
+	/*	Applies only the replacements (of the given types) that add length, to
+		each text node in the given element individually.
+	 */
+	processElementLocally: (element, replacementTypes, lang) => {
 		if ([ 'CODE', 'PRE', 'SCRIPT', 'STYLE', 'NOSCRIPT' ].includes(element.nodeName))
 			return;
 
-		//	Word breaks require special treatment, because they add length.
-		let doWordbreaks = (replacementTypes & Typography.replacementTypes.WORDBREAKS);
-		replacementTypes &= ~(Typography.replacementTypes.WORDBREAKS);
+		for (let node of element.childNodes) {
+			if (node.nodeType === Node.TEXT_NODE) {
+				node.nodeValue = Typography.processString(node.nodeValue, replacementTypes, {
+					lang: lang,
+					lengthChangingOnly: true
+				});
+			} else if (node.childNodes.length > 0) {
+				Typography.processElementLocally(node, replacementTypes, Typography.languageOfChildNode(node, lang));
+			}
+		}
+	},
+
+	/*	Applies the replacements of the given types (other than those that add
+		length) to the given element, treating the text of the element (and of
+		its descendants) as a single string, so that (e.g.) quotation marks are
+		correctly educated even when the quoted text spans several elements.
+		Returns the processed text.
+
+		Descendants with a different language tag are processed with their own
+		rule set; their text is included only as context.
+	 */
+	processElementNonLocally: (element, replacementTypes, lang) => {
+		if ([ 'CODE', 'PRE', 'SCRIPT', 'STYLE', 'NOSCRIPT' ].includes(element.nodeName))
+			return;
 
 		let text = "";
 		let textNodes = [ ];
 
-		//	We process everything *but* the wordbreaks rule in a non-local way.
 		for (node of element.childNodes) {
 			if (node.nodeType === Node.TEXT_NODE) {
 				textNodes.push([ node, text.length ]);
 				text += node.nodeValue;
 			} else if (node.childNodes.length > 0) {
-				text += Typography.processElement(node, replacementTypes, false);
+				text += Typography.processElementNonLocally(node, replacementTypes, Typography.languageOfChildNode(node, lang));
 			}
 		}
-		text = Typography.processString(text, replacementTypes, { retainLength: true });
+		text = Typography.processString(text, replacementTypes, { lang: lang, retainLength: true });
 		for (nodeInfo of textNodes)
 			nodeInfo[0].nodeValue = Typography.substringSansSeparators(text, nodeInfo[0].nodeValue, nodeInfo[1]);
 
-		/*	Word breaks cannot be processed non-locally; each text node must be
-			handled individually, due to length increase from added word breaks.
+		return text;
+	},
+
+	/*	The rule set used for each element (and each of its descendants) is
+		selected according to the language tag that applies to it (see
+		Typography.languageOfElement), unless a language tag is given.
+	 */
+	processElement: (element, replacementTypes = Typography.replacementTypes.NONE, replaceZeroWidthSpaces = true, lang) => {
+		if ([ 'CODE', 'PRE', 'SCRIPT', 'STYLE', 'NOSCRIPT' ].includes(element.nodeName))
+			return;
+
+		if (lang === undefined)
+			lang = Typography.languageOfElement(element);
+
+		//	We process everything *but* the length-changing rules in a non-local way.
+		let text = Typography.processElementNonLocally(element, replacementTypes & ~(Typography.replacementTypes.WORDBREAKS), lang);
+
+		/*	Word breaks (and any other replacements that add length) cannot be
+			processed non-locally; each text node must be handled individually,
+			due to length increase from added word breaks (or spaces).
 		 */
-		if (doWordbreaks) {
-			for (node of element.childNodes) {
-				if (node.nodeType === Node.TEXT_NODE) {
-					node.nodeValue = Typography.processString(node.nodeValue, Typography.replacementTypes.WORDBREAKS);
-				} else if (node.childNodes.length > 0) {
-					Typography.processElement(node, Typography.replacementTypes.WORDBREAKS, false);
-				}
-			}
-		}
+		let lengthChangingReplacementTypes = (replacementTypes & (  Typography.replacementTypes.WORDBREAKS
+																  | Typography.replacementTypes.QUOTES));
+		if (lengthChangingReplacementTypes)
+			Typography.processElementLocally(element, lengthChangingReplacementTypes, lang);
 
 		//  Transform zero-width spaces into <wbr> tags.
 		if (replaceZeroWidthSpaces)
@@ -242,3 +498,31 @@ Typography = {
 		return text;
 	}
 };
+
+/*	Locale-specific rule sets. (Sites may register additional ones, or replace
+	these, with Typography.registerLocale.)
+ */
+
+//	British English: ‘single’ quotes outermost, “double” quotes nested.
+Typography.registerLocale("en-GB", {
+	quotes: Typography.localizedQuoteReplacements('\u2018', '\u2019', '\u201c', '\u201d'),
+	hyphens: Typography.spacedEnDashReplacements
+});
+
+/*	French: «guillemets» (with narrow no-break spaces inside) outermost,
+	“double” quotes nested.
+ */
+Typography.registerLocale("fr", {
+	quotes: Typography.localizedQuoteReplacements('\u00ab', '\u00bb', '\u201c', '\u201d'),
+	quoteSpacing: [
+		[ /\u00ab[ \u00a0\u202f]?/g, '\u00ab\u202f' ],
+		[ /[ \u00a0\u202f]?\u00bb/g, '\u202f\u00bb' ]
+	],
+	hyphens: Typography.spacedEnDashReplacements
+});
+
+//	German: „low-high“ double quotes outermost, ‚low-high‘ single quotes nested.
+Typography.registerLocale("de", {
+	quotes: Typography.localizedQuoteReplacements('\u201e', '\u201c', '\u201a', '\u2018'),
+	hyphens: Typography.spacedEnDashReplacements
+});
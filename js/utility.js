@@ -703,37 +703,246 @@ function urlEncodeQuery(params) {
     return (Object.keys(params)).map(x => (`${x}=${ fixedEncodeURIComponent(params[x]) }`)).join("&");
 }
 
+/*******************************************************************************/
+/*  Queue for requests made via doAjax(). Requests are started in order of
+    priority (and, within each priority class, in the order in which they were
+    made), with no more than a set number of requests to any one origin active
+    at once. Identical GET (and HEAD) requests which are already queued or in
+    flight are not made again; the new request’s callbacks are called when the
+    existing request completes.
+ */
+AjaxRequestQueue = {
+    /*  Priority classes, from highest to lowest:
+
+        visible
+            Content for a pop-frame (or other UI) that is being displayed.
+
+        normal
+            The default.
+
+        prefetch
+            Content that may be displayed soon (e.g., on link hover).
+
+        lazy
+            Content that is not needed yet (e.g., lazy transclusions).
+     */
+    priorities: [ "visible", "normal", "prefetch", "lazy" ],
+
+    //  Maximum number of simultaneously active requests per origin.
+    maxActiveRequestsPerOrigin: 4,
+
+    //  Requests not yet started, in order of priority.
+    queuedRequests: [ ],
+
+    //  Requests in flight.
+    activeRequests: [ ],
+
+    priorityRank: (priority) => {
+        let rank = AjaxRequestQueue.priorities.indexOf(priority ?? "normal");
+        return (rank == -1
+                ? AjaxRequestQueue.priorities.indexOf("normal")
+                : rank);
+    },
+
+    //  Called by: doAjax
+    requestKey: (options) => {
+        if ([ "GET", "HEAD" ].includes(options.method) == false)
+            return null;
+
+        return JSON.stringify([ options.method, options.location, options.responseType, options.headers ]);
+    },
+
+    /*  Adds a request (see doAjax() for available options), or attaches the
+        given callbacks to an identical existing request.
+     */
+    //  Called by: doAjax
+    enqueue: (options) => {
+        let subscriber = {
+            onSuccess: options.onSuccess,
+            onFailure: options.onFailure,
+            onAbort: options.onAbort
+        };
+
+        let key = AjaxRequestQueue.requestKey(options);
+        let request = (key
+                       ? (   AjaxRequestQueue.activeRequests.find(request => request.key == key)
+                          ?? AjaxRequestQueue.queuedRequests.find(request => request.key == key))
+                       : null);
+        if (request) {
+            request.subscribers.push(subscriber);
+        } else {
+            request = {
+                key:          key,
+                options:      options,
+                origin:       new URL(options.location, location.href).origin,
+                rank:         AjaxRequestQueue.priorityRank(options.priority),
+                subscribers:  [ subscriber ],
+                xhr:          null,
+                completed:    false
+            };
+            AjaxRequestQueue.insertQueuedRequest(request);
+        }
+
+        //  Requests with a higher-priority subscriber are moved up the queue.
+        AjaxRequestQueue.prioritizeRequest(request, options.priority);
+
+        if (options.signal) {
+            options.signal.addEventListener("abort", (event) => {
+                AjaxRequestQueue.removeSubscriber(request, subscriber);
+            }, { once: true });
+        }
+
+        AjaxRequestQueue.startQueuedRequests();
+    },
+
+    //  Called by: AjaxRequestQueue.enqueue
+    //  Called by: AjaxRequestQueue.prioritizeRequest
+    insertQueuedRequest: (request) => {
+        let index = AjaxRequestQueue.queuedRequests.findIndex(queuedRequest => queuedRequest.rank > request.rank);
+        if (index == -1)
+            AjaxRequestQueue.queuedRequests.push(request);
+        else
+            AjaxRequestQueue.queuedRequests.splice(index, 0, request);
+    },
+
+    //  Called by: AjaxRequestQueue.enqueue
+    prioritizeRequest: (request, priority) => {
+        let rank = AjaxRequestQueue.priorityRank(priority);
+        if (rank >= request.rank)
+            return;
+
+        request.rank = rank;
+
+        let index = AjaxRequestQueue.queuedRequests.indexOf(request);
+        if (index != -1) {
+            AjaxRequestQueue.queuedRequests.splice(index, 1);
+            AjaxRequestQueue.insertQueuedRequest(request);
+        }
+    },
+
+    /*  A request whose subscribers have all aborted is removed from the queue
+        (or aborted, if already in flight).
+     */
+    //  Called by: AjaxRequestQueue.enqueue
+    removeSubscriber: (request, subscriber) => {
+        if (   request.completed
+            || request.subscribers.includes(subscriber) == false)
+            return;
+
+        request.subscribers.remove(subscriber);
+
+        if (subscriber.onAbort)
+            subscriber.onAbort();
+
+        if (request.subscribers.length > 0)
+            return;
+
+        if (request.xhr) {
+            AjaxRequestQueue.activeRequests.remove(request);
+            request.xhr.abort();
+
+            AjaxRequestQueue.startQueuedRequests();
+        } else {
+            AjaxRequestQueue.queuedRequests.remove(request);
+        }
+    },
+
+    //  Called by: AjaxRequestQueue.enqueue
+    //  Called by: AjaxRequestQueue.removeSubscriber
+    //  Called by: AjaxRequestQueue.startRequest
+    startQueuedRequests: () => {
+        let activeRequestCounts = { };
+        AjaxRequestQueue.activeRequests.forEach(request => {
+            activeRequestCounts[request.origin] = (activeRequestCounts[request.origin] ?? 0) + 1;
+        });
+
+        AjaxRequestQueue.queuedRequests.slice().forEach(request => {
+            if ((activeRequestCounts[request.origin] ?? 0) >= AjaxRequestQueue.maxActiveRequestsPerOrigin)
+                return;
+
+            activeRequestCounts[request.origin] = (activeRequestCounts[request.origin] ?? 0) + 1;
+
+            AjaxRequestQueue.queuedRequests.remove(request);
+            AjaxRequestQueue.startRequest(request);
+        });
+    },
+
+    //  Called by: AjaxRequestQueue.startQueuedRequests
+    startRequest: (request) => {
+        AjaxRequestQueue.activeRequests.push(request);
+
+        let options = request.options;
+
+        let didComplete = (callbackName, event) => {
+            if (AjaxRequestQueue.activeRequests.includes(request) == false)
+                return;
+
+            AjaxRequestQueue.activeRequests.remove(request);
+            request.completed = true;
+
+            request.subscribers.forEach(subscriber => {
+                if (subscriber[callbackName])
+                    subscriber[callbackName](event);
+            });
+
+            AjaxRequestQueue.startQueuedRequests();
+        };
+
+        let req = request.xhr = new XMLHttpRequest();
+        req.addEventListener("load", (event) => {
+            didComplete((event.target.status < 400 ? "onSuccess" : "onFailure"), event);
+        });
+        req.addEventListener("error", (event) => {
+            didComplete("onFailure", event);
+        });
+        req.open(options.method, options.location);
+        if (options["responseType"])
+            req.responseType = options["responseType"];
+        if (options["headers"])
+            for ([ headerName, headerValue ] of Object.entries(options.headers))
+                req.setRequestHeader(headerName, headerValue);
+        if (options.method == "POST") {
+            req.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");
+            req.send(urlEncodeQuery(options.params));
+        } else {
+            req.send();
+        }
+    }
+};
+
 /***********************************************************************/
 /*  Helper function for AJAX, by kronusaturn
     https://github.com/kronusaturn/lw2-viewer/blob/master/www/script.js
+
+    Requests are scheduled via AjaxRequestQueue (see above). Available options,
+    in addition to the basic ones (location, method, params, responseType,
+    headers, onSuccess, onFailure):
+
+    priority ("normal")
+        Priority class of the request (see AjaxRequestQueue.priorities).
+
+    signal
+        An AbortSignal (from an AbortController), to cancel the request. (An
+        in-flight request shared with other callers is aborted only once all
+        of them have cancelled it.)
+
+    onAbort
+        Called if the request is cancelled (neither onSuccess nor onFailure is
+        called in that case).
  */
 function doAjax(options) {
-    let req = new XMLHttpRequest();
-    req.addEventListener("load", (event) => {
-        if (event.target.status < 400) {
-            if (options["onSuccess"])
-                options.onSuccess(event);
-        } else {
-            if (options["onFailure"])
-                options.onFailure(event);
-        }
-    });
-    req.addEventListener("error", (event) => {
-        if (options["onFailure"])
-            options.onFailure(event);
-    });
+    if (options.signal?.aborted) {
+        if (options.onAbort)
+            options.onAbort();
+
+        return;
+    }
+
     let method = (options["method"] || "GET");
     let location = (options.location || document.location)
                    + ((options.params && method == "GET") ? ("?" + urlEncodeQuery(options.params)) : "");
-    req.open(method, location);
-    if (options["responseType"])
-	    req.responseType = options["responseType"];
-    if (options["method"] == "POST") {
-        req.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");
-        req.send(urlEncodeQuery(options.params));
-    } else {
-        req.send();
-    }
+
+    AjaxRequestQueue.enqueue({ ...options, method: method, location: `${location}` });
 }
 
 /***********************************************************************/